@@ -103,6 +103,68 @@ class AutoCommitHook extends HookBase {
     }
   }
 
+  /**
+   * Check that git can commit from the current directory: git is installed, this is a
+   * repository, commits are allowed on the current branch and an author identity is set
+   * @returns {Promise<Array>} Diagnostics
+   */
+  async diagnose() {
+    if (!await this.isCommandAvailable('git')) {
+      return [{ check: 'Git', status: 'error', message: 'git not found in PATH; no changes will be committed' }];
+    }
+
+    if (!await this.isGitRepository()) {
+      return [{
+        check: 'Git Repository',
+        status: 'warning',
+        message: `${process.cwd()} is not in a git repository; changes made here will not be committed`
+      }];
+    }
+
+    const diagnostics = [];
+
+    if (await this.isBranchRestricted()) {
+      const branch = (await this.runGitCommand(['branch', '--show-current'])).trim();
+      diagnostics.push({
+        check: 'Branch Restrictions',
+        status: 'warning',
+        message: `${branch} is listed in branchRestrictions; changes on this branch will not be committed`
+      });
+    }
+
+    const identity = [
+      { key: 'user.name', env: 'GIT_AUTHOR_NAME' },
+      { key: 'user.email', env: 'GIT_AUTHOR_EMAIL' }
+    ];
+    const missing = [];
+
+    for (const { key, env } of identity) {
+      if (process.env[env] || await this.getGitConfig(key)) {
+        continue;
+      }
+      missing.push(key);
+    }
+
+    diagnostics.push(missing.length === 0
+      ? { check: 'Git Identity', status: 'ok', message: 'Commit author is configured' }
+      : {
+        check: 'Git Identity',
+        status: 'error',
+        message: `${missing.join(' and ')} not set; every commit will fail ` +
+          `(run ${missing.map(key => `git config --global ${key} <value>`).join(' and ')})`
+      });
+
+    return diagnostics;
+  }
+
+  async getGitConfig(key) {
+    try {
+      return (await this.runGitCommand(['config', '--get', key])).trim();
+    } catch (error) {
+      return '';
+    }
+  }
+
   async isGitRepository() {
     try {
       await this.runGitCommand(['rev-parse', '--git-dir']);
@@ -204,8 +266,8 @@ if (require.main === module) {
   (async () => {
     try {
       const input = await HookBase.parseInput();
-      const hook = new AutoCommitHook();
-      const result = await hook.execute(input);
+      const hook = new AutoCommitHook(await HookBase.loadConfig('auto-commit'));
+      const result = await hook.dispatch(input);
       HookBase.outputResult(result);
     } catch (error) {
       console.error(`Auto-commit hook error: ${error.message}`);
@@ -114,6 +114,51 @@ class CodeFormatterHook extends HookBase {
     }
   }
 
+  /**
+   * Check that each configured formatter is installed. Files whose formatter is
+   * missing are skipped, or fail the hook when failOnError is set.
+   * @returns {Promise<Array>} Diagnostics
+   */
+  async diagnose() {
+    const extensionsByCommand = new Map();
+
+    for (const [ext, formatter] of Object.entries(this.config.formatters || {})) {
+      const command = formatter.split(' ')[0];
+      if (!command) {
+        continue;
+      }
+
+      extensionsByCommand.set(command, [...(extensionsByCommand.get(command) || []), ext]);
+    }
+
+    if (extensionsByCommand.size === 0) {
+      return [{ check: 'Formatters', status: 'warning', message: 'No formatters configured; every file will be skipped' }];
+    }
+
+    const diagnostics = [];
+    for (const [command, extensions] of extensionsByCommand) {
+      const files = `${extensions.join(', ')} files`;
+
+      if (await this.isCommandAvailable(command)) {
+        diagnostics.push({ check: `Formatter ${command}`, status: 'ok', message: `${command} formats ${files}` });
+      } else if (this.config.failOnError) {
+        diagnostics.push({
+          check: `Formatter ${command}`,
+          status: 'error',
+          message: `${command} not found in PATH; the hook will fail on ${files}`
+        });
+      } else {
+        diagnostics.push({
+          check: `Formatter ${command}`,
+          status: 'warning',
+          message: `${command} not found in PATH; ${files} will be skipped without formatting`
+        });
+      }
+    }
+
+    return diagnostics;
+  }
+
   shouldExcludeFile(filePath) {
     const fileName = path.basename(filePath);
     const relativePath = path.relative(process.cwd(), filePath);
@@ -125,24 +170,6 @@ class CodeFormatterHook extends HookBase {
     });
   }
 
-  isCommandAvailable(command) {
-    return new Promise((resolve) => {
-      const checkCommand = process.platform === 'win32' ? 'where' : 'which';
-
-      const child = spawn(checkCommand, [command], {
-        stdio: ['pipe', 'pipe', 'pipe']
-      });
-
-      child.on('close', (code) => {
-        resolve(code === 0);
-      });
-
-      child.on('error', () => {
-        resolve(false);
-      });
-    });
-  }
-
   formatFile(filePath, formatter) {
     return new Promise((resolve) => {
       // Parse formatter command and arguments
@@ -230,8 +257,8 @@ if (require.main === module) {
   (async () => {
     try {
       const input = await HookBase.parseInput();
-      const hook = new CodeFormatterHook();
-      const result = await hook.execute(input);
+      const hook = new CodeFormatterHook(await HookBase.loadConfig('code-formatter'));
+      const result = await hook.dispatch(input);
       HookBase.outputResult(result);
     } catch (error) {
       console.error(`Code formatter hook error: ${error.message}`);
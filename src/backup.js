@@ -0,0 +1,262 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const chalk = require('chalk');
+const { createTwoFilesPatch } = require('diff');
+
+const HookBase = require('./hook-base');
+const Utils = require('./utils');
+
+const SCOPES = ['user', 'project', 'local'];
+const DEFAULT_KEEP = 10;
+// Backups written next to settings.json before backups had their own directory
+const LEGACY_PATTERN = /\.backup\.(\d+)$/;
+
+class BackupManager {
+  /**
+   * Backups of a scope's settings file are stored in
+   * ~/.claude/rins_hooks/backups/<settings path hash>/<scope>-<timestamp>.json
+   * so they never end up in the project's .claude directory.
+   * @param {Object} options - Backup options
+   * @param {ConfigManager} options.configManager - Config manager providing settings paths
+   */
+  constructor(options = {}) {
+    this.configManager = options.configManager;
+    this.backupsDir = path.join(this.configManager.pathOptions.homedir, '.claude', 'rins_hooks', 'backups');
+  }
+
+  getBackupDir(scope) {
+    const settingsPath = path.resolve(this.configManager.getSettingsPath(scope));
+    const hash = crypto.createHash('sha1').update(settingsPath).digest('hex').slice(0, 12);
+    return path.join(this.backupsDir, hash);
+  }
+
+  /**
+   * Copy a scope's settings file into the backup directory and apply the retention limit
+   * @param {string} scope - user, project or local
+   * @param {Object} options - Backup options
+   * @param {string} options.protect - Id of a backup the retention limit must not delete
+   * @returns {Promise<Object|null>} Backup, or null if there is no settings file
+   */
+  async createBackup(scope, options = {}) {
+    const settingsPath = this.configManager.getSettingsPath(scope);
+
+    if (!await fs.pathExists(settingsPath)) {
+      return null;
+    }
+
+    await this.migrateLegacyBackups(scope);
+
+    const backupDir = this.getBackupDir(scope);
+    const stamp = BackupManager.formatTimestamp(new Date());
+    let id = `${scope}-${stamp}`;
+
+    for (let i = 1; await fs.pathExists(path.join(backupDir, `${id}.json`)); i++) {
+      id = `${scope}-${stamp}-${i}`;
+    }
+
+    await fs.ensureDir(backupDir);
+    await fs.copy(settingsPath, path.join(backupDir, `${id}.json`));
+    await this.pruneBackups({ scopes: [scope], protect: options.protect });
+
+    return this.getBackup(id);
+  }
+
+  /**
+   * List backups, newest first
+   * @param {Array} scopes - Scopes to list (defaults to all)
+   * @returns {Promise<Array>} Backups ({ id, scope, path, settingsPath, createdAt, size })
+   */
+  async listBackups(scopes = SCOPES) {
+    const backups = [];
+
+    for (const scope of scopes) {
+      await this.migrateLegacyBackups(scope);
+
+      const backupDir = this.getBackupDir(scope);
+      if (!await fs.pathExists(backupDir)) {
+        continue;
+      }
+
+      for (const file of await fs.readdir(backupDir)) {
+        const id = path.basename(file, '.json');
+        const createdAt = BackupManager.parseId(id);
+
+        if (!file.endsWith('.json') || !createdAt || createdAt.scope !== scope) {
+          continue;
+        }
+
+        const backupPath = path.join(backupDir, file);
+        const stat = await fs.stat(backupPath);
+        backups.push({
+          id,
+          scope,
+          path: backupPath,
+          settingsPath: this.configManager.getSettingsPath(scope),
+          createdAt: createdAt.date,
+          size: stat.size
+        });
+      }
+    }
+
+    return backups.sort((a, b) => b.createdAt - a.createdAt || b.id.localeCompare(a.id));
+  }
+
+  /**
+   * Find a backup by id
+   * @param {string} id - Backup id, e.g. project-20250101T120000000Z
+   * @returns {Promise<Object>} Backup
+   */
+  async getBackup(id) {
+    const parsed = BackupManager.parseId(id);
+    if (!parsed) {
+      throw new Error(`Invalid backup id: ${id}`);
+    }
+
+    const backup = (await this.listBackups([parsed.scope])).find(b => b.id === id);
+    if (!backup) {
+      throw new Error(`Backup '${id}' not found`);
+    }
+
+    return backup;
+  }
+
+  /**
+   * Unified diff from the current settings file to a backup, i.e. what restoring would change
+   * @param {string} id - Backup id
+   * @returns {Promise<string>} Unified diff (empty if identical)
+   */
+  async diffBackup(id) {
+    const backup = await this.getBackup(id);
+    const current = await fs.pathExists(backup.settingsPath) ? await fs.readFile(backup.settingsPath, 'utf8') : '';
+    const contents = await fs.readFile(backup.path, 'utf8');
+
+    if (current === contents) {
+      return '';
+    }
+
+    return createTwoFilesPatch(backup.settingsPath, backup.id, current, contents, 'current', 'backup');
+  }
+
+  /**
+   * Restore a backup over the current settings file. The current file is
+   * backed up first so the restore can itself be undone.
+   * @param {string} id - Backup id
+   * @returns {Promise<Object>} Restored backup and the backup taken beforehand ({ restored, previous })
+   */
+  async restoreBackup(id) {
+    const backup = await this.getBackup(id);
+    const contents = await fs.readFile(backup.path);
+
+    try {
+      JSON.parse(contents.toString('utf8'));
+    } catch (error) {
+      throw new Error(`Backup '${id}' is not valid JSON: ${error.message}`);
+    }
+
+    return Utils.withFileLock(backup.settingsPath, async () => {
+      // At the retention limit the backup being restored may be the oldest one
+      const previous = await this.createBackup(backup.scope, { protect: backup.id });
+      await Utils.writeFileAtomic(backup.settingsPath, contents);
+
+      return { restored: backup, previous };
+    });
+  }
+
+  /**
+   * Delete old backups, keeping the newest `keep` per scope
+   * @param {Object} options - Prune options
+   * @param {number} options.keep - Backups to keep per scope (defaults to backups.keep in rins_hooks.json, or 10)
+   * @param {number} options.olderThanDays - Also delete backups older than this many days
+   * @param {Array} options.scopes - Scopes to prune (defaults to all)
+   * @param {string} options.protect - Id of a backup to keep regardless
+   * @returns {Promise<Array>} Deleted backups
+   */
+  async pruneBackups(options = {}) {
+    const keep = options.keep !== undefined ? options.keep : await this.getRetentionLimit();
+    const cutoff = options.olderThanDays !== undefined ? Date.now() - options.olderThanDays * 24 * 60 * 60 * 1000 : null;
+    const removed = [];
+
+    for (const scope of options.scopes || SCOPES) {
+      const backups = (await this.listBackups([scope])).filter(backup => backup.id !== options.protect);
+
+      for (const [index, backup] of backups.entries()) {
+        if (index >= keep || (cutoff !== null && backup.createdAt.getTime() < cutoff)) {
+          await fs.remove(backup.path);
+          removed.push(backup);
+        }
+      }
+    }
+
+    return removed;
+  }
+
+  async getRetentionLimit() {
+    const config = await HookBase.loadLayeredConfig(this.configManager.pathOptions);
+    const keep = config.backups && config.backups.keep;
+    return Number.isInteger(keep) && keep > 0 ? keep : DEFAULT_KEEP;
+  }
+
+  /**
+   * Move settings.json.backup.<timestamp> files left next to the settings file
+   * by earlier versions into the backup directory
+   * @param {string} scope - user, project or local
+   * @returns {Promise<number>} Number of backups moved
+   */
+  async migrateLegacyBackups(scope) {
+    const settingsPath = this.configManager.getSettingsPath(scope);
+    const settingsDir = path.dirname(settingsPath);
+
+    if (!await fs.pathExists(settingsDir)) {
+      return 0;
+    }
+
+    let moved = 0;
+    for (const file of await fs.readdir(settingsDir)) {
+      const match = file.startsWith(`${path.basename(settingsPath)}.backup.`) && file.match(LEGACY_PATTERN);
+      if (!match) {
+        continue;
+      }
+
+      const id = `${scope}-${BackupManager.formatTimestamp(new Date(Number(match[1])))}`;
+      const target = path.join(this.getBackupDir(scope), `${id}.json`);
+
+      if (!await fs.pathExists(target)) {
+        await fs.move(path.join(settingsDir, file), target);
+        moved++;
+      }
+    }
+
+    if (moved > 0) {
+      console.log(chalk.blue(`📋 Moved ${moved} old ${scope} backup(s) to ${this.getBackupDir(scope)}`));
+    }
+
+    return moved;
+  }
+
+  static formatTimestamp(date) {
+    return date.toISOString().replace(/[-:.]/g, '');
+  }
+
+  /**
+   * Parse a backup id into its scope and creation date
+   * @param {string} id - Backup id
+   * @returns {Object|null} { scope, date } or null if the id is malformed
+   */
+  static parseId(id) {
+    const match = /^(user|project|local)-(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(\d{3})Z(?:-\d+)?$/.exec(id);
+    if (!match) {
+      return null;
+    }
+
+    const [, scope, year, month, day, hours, minutes, seconds, ms] = match;
+    return {
+      scope,
+      date: new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds, ms))
+    };
+  }
+}
+
+BackupManager.DEFAULT_KEEP = DEFAULT_KEEP;
+
+module.exports = BackupManager;
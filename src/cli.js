@@ -1,12 +1,19 @@
 #!/usr/bin/env node
 
-const { Command } = require('commander');
+const { Command, Option } = require('commander');
 const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
 const { version } = require('../package.json');
 
 const Installer = require('./installer');
 const ConfigManager = require('./config');
 const Utils = require('./utils');
+const HookBase = require('./hook-base');
+const Dispatcher = require('./dispatcher');
+const SettingsRepair = require('./repair');
+const SelfTest = require('./selftest');
+const HookScaffold = require('./scaffold');
 
 const program = new Command();
 
@@ -14,7 +21,48 @@ const program = new Command();
 program
   .name('rins_hooks')
   .description('Universal Claude Code hooks collection with cross-platform installer')
-  .version(version);
+  .version(version)
+  .option('--json', 'Print machine-readable JSON on stdout instead of text')
+  .option('--no-color', 'Disable colored output')
+  .option('-y, --yes', 'Answer yes to confirmations (platform warnings, reset, restore)')
+  .option('--no-input', 'Never prompt; fail with a message when an answer is needed (the default when stdin is not a terminal)');
+
+program.hook('preAction', () => {
+  const { json, color } = program.opts();
+
+  if (json || color === false || process.env.NO_COLOR !== undefined) {
+    chalk.level = 0;
+  }
+
+  // Progress messages go to stderr so that stdout only carries the JSON document
+  if (json) {
+    console.log = console.error;
+    console.info = console.error;
+  }
+});
+
+const isJson = () => Boolean(program.opts().json);
+
+// Commands that may prompt read --yes and --no-input along with their own options
+const withGlobals = options => ({ ...program.opts(), ...options });
+
+function printJson(data) {
+  process.stdout.write(`${JSON.stringify(data, null, 2)}\n`);
+}
+
+/**
+ * Report a failed command, as { error: { message } } in --json mode, and exit with status 1
+ * @param {string} label - What failed
+ * @param {Error} error - Error
+ */
+function fail(label, error) {
+  if (isJson()) {
+    printJson({ error: { message: error.message } });
+  } else {
+    console.error(chalk.red(`❌ ${label}:`), error.message);
+  }
+  process.exit(1);
+}
 
 // Install command
 program
@@ -26,19 +74,25 @@ program
   .option('-p, --project', 'Install at project level (.claude/settings.json)')
   .option('-l, --local', 'Install at local level (.claude/settings.local.json)')
   .option('--dry-run', 'Show what would be installed without making changes')
+  .option('-f, --force', 'Overwrite changes made to the settings file by another program during the install')
+  .option('--portable [mode]', 'Write machine-independent commands: npx (default) or node_modules')
+  .option('--no-selftest', 'Skip running each installed hook once with a sample event')
   .action(async (hooks, options) => {
     try {
       console.log(chalk.blue('🔧 Rins Hooks Installer'));
       console.log();
 
       const installer = new Installer();
+      let result;
 
       if (options.interactive) {
-        await installer.interactiveInstall(options);
+        result = await installer.interactiveInstall(withGlobals(options));
       } else if (options.all) {
-        await installer.installAll(options);
+        result = await installer.installAll(withGlobals(options));
       } else if (hooks.length > 0) {
-        await installer.installHooks(hooks, options);
+        result = await installer.installHooks(hooks, withGlobals(options));
+      } else if (isJson()) {
+        throw new Error('No hooks specified. Use --all or specify hook names.');
       } else {
         console.log(chalk.yellow('ℹ️  No hooks specified. Use --interactive or --all, or specify hook names.'));
         console.log();
@@ -50,9 +104,12 @@ program
         console.log();
         console.log(chalk.cyan('Example: rins_hooks install auto-commit notification'));
       }
+
+      if (isJson()) {
+        printJson(result);
+      }
     } catch (error) {
-      console.error(chalk.red('❌ Installation failed:'), error.message);
-      process.exit(1);
+      fail('Installation failed', error);
     }
   });
 
@@ -65,6 +122,25 @@ program
       const installer = new Installer();
       const hooks = await installer.getAvailableHooks();
 
+      if (isJson()) {
+        printJson({
+          hooks: hooks.map(hook => ({
+            name: hook.name,
+            description: hook.description,
+            version: hook.version,
+            tags: hook.tags,
+            requirements: hook.requirements,
+            platforms: hook.platforms,
+            events: hook.events,
+            defaultConfig: hook.defaultConfig,
+            source: hook.source,
+            path: hook.path,
+            shadowed: hook.shadowed
+          }))
+        });
+        return;
+      }
+
       console.log(chalk.blue('📋 Available Claude Code Hooks'));
       console.log();
 
@@ -74,11 +150,14 @@ program
         if (hook.tags && hook.tags.length > 0) {
           console.log(chalk.cyan(`   Tags: ${hook.tags.join(', ')}`));
         }
+        console.log(chalk.gray(`   Source: ${hook.source}${hook.source === 'builtin' ? '' : ` (${hook.path})`}`));
+        hook.shadowed.forEach(other => {
+          console.log(chalk.yellow(`   ⚠️  Also provided by ${other.source} (${other.path}), ignored`));
+        });
         console.log();
       });
     } catch (error) {
-      console.error(chalk.red('❌ Failed to list hooks:'), error.message);
-      process.exit(1);
+      fail('Failed to list hooks', error);
     }
   });
 
@@ -89,72 +168,163 @@ program
   .action(async () => {
     try {
       const configManager = new ConfigManager();
-      const status = await configManager.getInstallationStatus();
+      const hooks = await configManager.getEffectiveHooks();
+
+      if (isJson()) {
+        printJson({ hooks, pipelines: await configManager.getPipelines() });
+        return;
+      }
 
       console.log(chalk.blue('📊 Installation Status'));
+      console.log(chalk.gray('Hooks Claude Code runs, merged from local, project and user settings'));
       console.log();
 
-      if (status.user.length > 0) {
-        console.log(chalk.green('👤 User Level Hooks:'));
-        status.user.forEach(hook => {
-          console.log(chalk.green(`  ✅ ${hook.name}`), chalk.gray(`- ${hook.status}`));
+      const eventTypes = [...new Set(hooks.map(hook => hook.eventType))];
+      for (const eventType of eventTypes) {
+        console.log(chalk.green(`${eventType}:`));
+        hooks.filter(hook => hook.eventType === eventType).forEach(hook => {
+          console.log(formatEffectiveHook(hook));
         });
         console.log();
       }
 
-      if (status.project.length > 0) {
-        console.log(chalk.green('📁 Project Level Hooks:'));
-        status.project.forEach(hook => {
-          console.log(chalk.green(`  ✅ ${hook.name}`), chalk.gray(`- ${hook.status}`));
-        });
+      if (hooks.some(hook => hook.scope === 'project' && !hook.portable)) {
+        console.log(chalk.yellow('⚠️  Some project commands use paths that only exist on this machine.'));
+        console.log(chalk.yellow('   Reinstall them with `rins_hooks install <hooks> --project --portable`.'));
         console.log();
       }
 
-      if (status.local.length > 0) {
-        console.log(chalk.green('🔒 Local Level Hooks:'));
-        status.local.forEach(hook => {
-          console.log(chalk.green(`  ✅ ${hook.name}`), chalk.gray(`- ${hook.status}`));
-        });
-        console.log();
-      }
-
-      if (status.user.length === 0 && status.project.length === 0 && status.local.length === 0) {
+      if (!hooks.some(hook => hook.managed)) {
         console.log(chalk.yellow('ℹ️  No hooks installed.'));
         console.log(chalk.cyan('Run `rins_hooks install --interactive` to get started.'));
       }
+
+      const pipelines = await configManager.getPipelines();
+      if (pipelines.length > 0) {
+        console.log();
+        console.log(chalk.green('🔗 Pipelines:'));
+        pipelines.forEach(pipeline => {
+          console.log(chalk.cyan(`  ${pipeline.eventType}`), chalk.gray(`[${pipeline.matcher || '(all)'}]`));
+          console.log(`    ${pipeline.hooks.join(' → ')}`);
+        });
+      }
     } catch (error) {
-      console.error(chalk.red('❌ Failed to get status:'), error.message);
-      process.exit(1);
+      fail('Failed to get status', error);
     }
   });
 
+function formatEffectiveHook(hook) {
+  const label = hook.managed ? `${hook.name}${hook.version ? ` ${hook.version}` : ''}` : hook.command;
+  const where = chalk.gray(`[${hook.scope}] ${hook.matcher || '(all)'}`);
+
+  switch (hook.status) {
+    case 'missing':
+      return `${chalk.red(`  ❌ ${label}`)} ${where} ${chalk.red(`- script not found: ${hook.script}`)}`;
+    case 'duplicate':
+      return `${chalk.yellow(`  🔁 ${label}`)} ${where} ${chalk.yellow(`- same command as the ${hook.duplicateOf} entry, runs once`)}`;
+    case 'shadowed':
+      return `${chalk.yellow(`  ⚠️  ${label}`)} ${where} ${chalk.yellow(`- also installed at ${hook.shadowedBy} level with a different command, runs twice`)}`;
+    case 'disabled':
+      return `${chalk.yellow(`  ⏸️  ${label}`)} ${where} ${chalk.gray('- disabled')}`;
+    case 'foreign':
+      return `${chalk.white(`  •  ${label}`)} ${where} ${chalk.gray('- not managed by rins_hooks')}`;
+    default:
+      return `${chalk.green(`  ✅ ${label}`)} ${where}`;
+  }
+}
+
 // Config command
-program
+const configCommand = program
   .command('config [hook]')
   .description('Manage hook configuration')
   .option('-s, --show', 'Show current configuration')
-  .option('-e, --edit', 'Edit configuration')
+  .option('-e, --edit', 'Edit configuration interactively')
   .option('-r, --reset', 'Reset to default configuration')
   .option('-v, --validate', 'Validate configuration')
+  .option('-u, --user', 'Use user level configuration (~/.claude/rins_hooks.json)')
+  .option('-p, --project', 'Use project level configuration (.claude/rins_hooks.json)')
+  .option('-l, --local', 'Use local level configuration (.claude/rins_hooks.local.json)')
   .action(async (hook, options) => {
     try {
       const configManager = new ConfigManager();
 
-      if (options.show) {
+      if (options.show && isJson()) {
+        printJson({
+          hook: hook || null,
+          entries: await configManager.getConfigEntries(hook),
+          options: hook ? await configManager.getEffectiveHookConfig(hook) : null
+        });
+      } else if (options.show) {
         await configManager.showConfig(hook);
       } else if (options.edit) {
-        await configManager.editConfig(hook);
+        const result = await configManager.editConfig(hook, withGlobals(options));
+        if (isJson()) {
+          printJson(result);
+        }
       } else if (options.reset) {
-        await configManager.resetConfig(hook);
+        const reset = await configManager.resetConfig(hook, withGlobals(options));
+        if (isJson()) {
+          printJson({ hook: hook || null, reset });
+        }
       } else if (options.validate) {
-        await configManager.validateConfig(hook);
+        const result = isJson() ? await configManager.validateAll(hook) : { valid: await configManager.validateConfig(hook) };
+        if (isJson()) {
+          printJson(result);
+        }
+        if (!result.valid) {
+          process.exit(1);
+        }
+      } else if (isJson()) {
+        throw new Error('Please specify a configuration action: --show, --edit, --reset or --validate');
       } else {
         console.log(chalk.yellow('ℹ️  Please specify a configuration action.'));
-        console.log('Use --show, --edit, --reset, or --validate');
+        console.log('Use --show, --edit, --reset, or --validate, or the set and get subcommands');
       }
     } catch (error) {
-      console.error(chalk.red('❌ Configuration failed:'), error.message);
-      process.exit(1);
+      fail('Configuration failed', error);
+    }
+  });
+
+configCommand
+  .command('set <key> <value>')
+  .description('Set a hook option, e.g. config set auto-commit.maxCommitMessageLength 200 --project')
+  .action(async (key, value, _options, command) => {
+    try {
+      const configManager = new ConfigManager();
+      const result = await configManager.setConfigValue(key, value, command.optsWithGlobals());
+
+      if (isJson()) {
+        printJson({ key, value: result.value, scope: result.scope });
+        return;
+      }
+
+      console.log(chalk.green(`✅ ${key} = ${JSON.stringify(result.value)} (${result.scope} level)`));
+    } catch (error) {
+      fail('Configuration failed', error);
+    }
+  });
+
+configCommand
+  .command('get <key>')
+  .description('Print a hook option, e.g. config get auto-commit.maxCommitMessageLength')
+  .action(async (key, _options, command) => {
+    try {
+      const configManager = new ConfigManager();
+      const value = await configManager.getConfigValue(key, command.optsWithGlobals());
+
+      if (isJson()) {
+        printJson({ key, value: value === undefined ? null : value });
+        process.exit(value === undefined ? 1 : 0);
+      }
+
+      if (value === undefined) {
+        console.error(chalk.yellow(`ℹ️  ${key} is not set`));
+        process.exit(1);
+      }
+
+      console.log(typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+    } catch (error) {
+      fail('Configuration failed', error);
     }
   });
 
@@ -168,11 +338,19 @@ program
   .action(async (hook, options) => {
     try {
       const configManager = new ConfigManager();
-      await configManager.enableHook(hook, options);
-      console.log(chalk.green(`✅ Hook '${hook}' enabled successfully.`));
+      const result = await configManager.enableHook(hook, options);
+
+      if (isJson()) {
+        printJson(result);
+      } else if (!result.overriddenBy) {
+        console.log(chalk.green(`✅ Hook '${hook}' enabled successfully.`));
+      }
+
+      if (result.overriddenBy) {
+        process.exit(1);
+      }
     } catch (error) {
-      console.error(chalk.red('❌ Failed to enable hook:'), error.message);
-      process.exit(1);
+      fail('Failed to enable hook', error);
     }
   });
 
@@ -186,11 +364,19 @@ program
   .action(async (hook, options) => {
     try {
       const configManager = new ConfigManager();
-      await configManager.disableHook(hook, options);
-      console.log(chalk.green(`✅ Hook '${hook}' disabled successfully.`));
+      const result = await configManager.disableHook(hook, options);
+
+      if (isJson()) {
+        printJson(result);
+      } else if (!result.overriddenBy) {
+        console.log(chalk.green(`✅ Hook '${hook}' disabled successfully.`));
+      }
+
+      if (result.overriddenBy) {
+        process.exit(1);
+      }
     } catch (error) {
-      console.error(chalk.red('❌ Failed to disable hook:'), error.message);
-      process.exit(1);
+      fail('Failed to disable hook', error);
     }
   });
 
@@ -203,20 +389,92 @@ program
   .option('-p, --project', 'Uninstall from project level')
   .option('-l, --local', 'Uninstall from local level')
   .option('--dry-run', 'Show what would be uninstalled without making changes')
+  .option('-f, --force', 'Overwrite changes made to the settings file by another program during the uninstall')
   .action(async (hooks, options) => {
     try {
       const installer = new Installer();
+      let result;
 
       if (options.all) {
-        await installer.uninstallAll(options);
+        result = await installer.uninstallAll(options);
       } else if (hooks.length > 0) {
-        await installer.uninstallHooks(hooks, options);
+        result = await installer.uninstallHooks(hooks, options);
+      } else if (isJson()) {
+        throw new Error('No hooks specified. Use --all or specify hook names.');
       } else {
         console.log(chalk.yellow('ℹ️  No hooks specified. Use --all or specify hook names.'));
       }
+
+      if (isJson()) {
+        printJson(result);
+      }
     } catch (error) {
-      console.error(chalk.red('❌ Uninstallation failed:'), error.message);
-      process.exit(1);
+      fail('Uninstallation failed', error);
+    }
+  });
+
+// Upgrade command
+program
+  .command('upgrade')
+  .description('Update installed hooks to this version of rins_hooks, migrating their configuration')
+  .option('-u, --user', 'Upgrade user level hooks only')
+  .option('-p, --project', 'Upgrade project level hooks only')
+  .option('-l, --local', 'Upgrade local level hooks only')
+  .option('--dry-run', 'Show the changes without making them')
+  .option('-f, --force', 'Overwrite changes made to the settings file by another program during the upgrade')
+  .action(async (options) => {
+    try {
+      const installer = new Installer();
+      const plans = await installer.upgrade(options);
+
+      if (isJson()) {
+        printJson({
+          dryRun: Boolean(options.dryRun),
+          scopes: plans.map(plan => ({
+            scope: plan.scope,
+            hooks: plan.hooks,
+            settingsDiff: plan.settingsDiff,
+            configDiff: plan.configDiff
+          }))
+        });
+      }
+    } catch (error) {
+      fail('Upgrade failed', error);
+    }
+  });
+
+// Sync command
+program
+  .command('sync')
+  .description('Install, update and remove hooks to match the "install" list in .claude/rins_hooks.json')
+  .option('-p, --project', 'Sync .claude/settings.json (default)')
+  .option('-l, --local', 'Sync .claude/settings.local.json instead')
+  .option('--check', 'Only report differences, exiting with a non-zero status if there are any')
+  .option('--dry-run', 'Show the changes without making them')
+  .option('--portable [mode]', 'Write machine-independent commands: npx (default) or node_modules')
+  .option('-f, --force', 'Overwrite changes made to the settings file by another program during the sync')
+  .action(async (options) => {
+    try {
+      const installer = new Installer();
+      const plan = await installer.sync(options);
+
+      if (isJson()) {
+        printJson({
+          scope: plan.scope,
+          manifest: plan.manifestPath,
+          check: Boolean(options.check),
+          dryRun: Boolean(options.dryRun),
+          drift: plan.drift,
+          hooks: plan.hooks,
+          diff: plan.diff
+        });
+      }
+
+      if (options.check && plan.drift) {
+        process.exit(1);
+      }
+    } catch (error) {
+      fail('Sync failed', error);
     }
   });
 
@@ -224,13 +482,35 @@ program
 program
   .command('doctor')
   .description('Diagnose installation and configuration issues')
-  .action(async () => {
+  .option('--fix', 'Repair settings files: recover invalid JSON from backups, re-point moved hook scripts, remove entries whose scripts are gone and drop repeated entries')
+  .option('-f, --force', 'Overwrite changes made to a settings file by another program during the repair')
+  .action(async (options) => {
     try {
       console.log(chalk.blue('🔍 Rins Hooks Doctor'));
       console.log();
 
       const utils = new Utils();
-      const diagnostics = await utils.runDiagnostics();
+      const configManager = new ConfigManager();
+      let repairs = null;
+
+      // Repair first so the diagnostics describe the repaired files
+      if (options.fix) {
+        repairs = await new SettingsRepair({ configManager }).repairAll({ force: options.force });
+        SettingsRepair.printSummary(repairs);
+      }
+
+      const diagnostics = [
+        ...await utils.runDiagnostics(),
+        ...await configManager.runDiagnostics(),
+        ...await configManager.runHookDiagnostics()
+      ];
+
+      const hasErrors = diagnostics.some(d => d.status === 'error');
+
+      if (isJson()) {
+        printJson({ ok: !hasErrors, diagnostics, repairs });
+        process.exit(hasErrors ? 1 : 0);
+      }
 
       diagnostics.forEach(diagnostic => {
         const icon = diagnostic.status === 'ok' ? '✅' : diagnostic.status === 'warning' ? '⚠️' : '❌';
@@ -238,14 +518,253 @@ program
       });
 
       console.log();
-      const hasErrors = diagnostics.some(d => d.status === 'error');
       if (hasErrors) {
         console.log(chalk.red('❌ Some issues found. Please address them before using rins_hooks.'));
+        process.exit(1);
       } else {
         console.log(chalk.green('✅ Everything looks good!'));
       }
     } catch (error) {
-      console.error(chalk.red('❌ Doctor failed:'), error.message);
+      fail('Doctor failed', error);
+    }
+  });
+
+// Create command
+program
+  .command('create <name>')
+  .description('Create a new hook with a config.json, a test and sample event payloads')
+  .option('-e, --events <events...>', 'Events the hook handles', ['PostToolUse'])
+  .option('-m, --matcher <matcher>', 'Tool matcher for PreToolUse and PostToolUse', '')
+  .option('--description <text>', 'Hook description')
+  .option('-d, --dir <directory>', 'Create the hook in this directory (default: .claude/hooks) and add it to hookPaths in rins_hooks.json')
+  .option('-u, --user', 'With --dir, register the directory in ~/.claude/rins_hooks.json')
+  .option('-p, --project', 'With --dir, register the directory in .claude/rins_hooks.json (default)')
+  .option('-l, --local', 'With --dir, register the directory in .claude/rins_hooks.local.json')
+  .action(async (name, options) => {
+    try {
+      const configManager = new ConfigManager();
+      const result = await new HookScaffold({ configManager }).create(name, options);
+
+      if (isJson()) {
+        printJson(result);
+        return;
+      }
+
+      console.log(chalk.green(`✅ Created ${name} in ${result.path}`));
+      result.files.forEach(file => console.log(chalk.gray(`  • ${file}`)));
+
+      if (result.registered && result.registered.added) {
+        console.log(chalk.blue(`📝 Added ${result.registered.hookPath} to hookPaths in ${result.registered.file}`));
+      }
+
+      result.warnings.forEach(warning => console.log(chalk.yellow(`⚠️  ${warning}`)));
+
+      console.log();
+      console.log(chalk.cyan(`Next: edit ${path.join(result.path, 'index.js')}, then run \`rins_hooks install ${name}\``));
+      if (result.registered) {
+        console.log(chalk.cyan('Start Claude Code with RINS_HOOKS_RECORD_FIXTURES=1 to record real events as test fixtures'));
+      }
+    } catch (error) {
+      fail('Failed to create hook', error);
+    }
+  });
+
+// Self-test command
+program
+  .command('selftest [hooks...]')
+  .description('Run installed hooks with a sample event in a throwaway git repository')
+  .option('-u, --user', 'Only test user level hooks')
+  .option('-p, --project', 'Only test project level hooks')
+  .option('-l, --local', 'Only test local level hooks')
+  .action(async (hooks, options) => {
+    try {
+      const configManager = new ConfigManager();
+      const scopes = ['user', 'project', 'local'].filter(scope => options[scope]);
+      const results = await new SelfTest({ configManager }).run({
+        scopes: scopes.length > 0 ? scopes : undefined,
+        hooks: hooks.length > 0 ? hooks : undefined
+      });
+      const passed = results.every(result => result.passed);
+
+      if (isJson()) {
+        printJson({ ok: passed, results });
+        process.exit(passed ? 0 : 1);
+      }
+
+      SelfTest.printResults(results);
+
+      if (!passed) {
+        console.log(chalk.red('❌ Some hooks failed. Run the command shown with a sample event to see the full output.'));
+        process.exit(1);
+      }
+    } catch (error) {
+      fail('Self-test failed', error);
+    }
+  });
+
+// Backup command
+const backupCommand = program
+  .command('backup')
+  .description('Manage settings backups taken before install, uninstall and restore');
+
+backupCommand
+  .command('list')
+  .description('List backups, newest first')
+  .option('-u, --user', 'Only user level backups')
+  .option('-p, --project', 'Only project level backups')
+  .option('-l, --local', 'Only local level backups')
+  .action(async (options) => {
+    try {
+      const configManager = new ConfigManager();
+      const scopes = ['user', 'project', 'local'].filter(scope => options[scope]);
+      const backups = await configManager.backups.listBackups(scopes.length > 0 ? scopes : undefined);
+
+      if (isJson()) {
+        printJson({ backups });
+        return;
+      }
+
+      console.log(chalk.blue('📋 Settings Backups'));
+      console.log();
+
+      if (backups.length === 0) {
+        console.log(chalk.yellow('ℹ️  No backups found.'));
+        return;
+      }
+
+      backups.forEach(backup => {
+        console.log(chalk.green(`  ${backup.id}`), chalk.gray(`- ${backup.createdAt.toLocaleString()}, ${backup.size} bytes, ${backup.settingsPath}`));
+      });
+    } catch (error) {
+      fail('Failed to list backups', error);
+    }
+  });
+
+backupCommand
+  .command('show <id>')
+  .description('Show the changes restoring a backup would make to the current settings file')
+  .option('--raw', 'Print the backup contents instead of a diff')
+  .action(async (id, options) => {
+    try {
+      const configManager = new ConfigManager();
+
+      if (options.raw) {
+        const backup = await configManager.backups.getBackup(id);
+        const contents = await fs.readFile(backup.path, 'utf8');
+        if (isJson()) {
+          printJson({ id, contents });
+        } else {
+          process.stdout.write(contents);
+        }
+        return;
+      }
+
+      const diff = await configManager.backups.diffBackup(id);
+
+      if (isJson()) {
+        printJson({ id, diff });
+        return;
+      }
+      if (!diff) {
+        console.log(chalk.green('✅ Backup is identical to the current settings file.'));
+        return;
+      }
+
+      console.log(Utils.colorizeDiff(diff));
+    } catch (error) {
+      fail('Failed to show backup', error);
+    }
+  });
+
+backupCommand
+  .command('restore <id>')
+  .description('Restore a backup (the current settings file is backed up first)')
+  .action(async (id) => {
+    try {
+      const options = withGlobals({});
+      const configManager = new ConfigManager();
+      const backup = await configManager.backups.getBackup(id);
+
+      if (!options.yes) {
+        Utils.assertCanPrompt(options, 'Restoring a backup needs confirmation; pass --yes to confirm');
+
+        const diff = await configManager.backups.diffBackup(id);
+        if (diff) {
+          console.log(Utils.colorizeDiff(diff));
+        }
+
+        const confirm = await Utils.confirm(`Restore ${backup.id} over ${backup.settingsPath}?`, options,
+          'Restoring a backup needs confirmation');
+
+        if (!confirm) {
+          console.log(chalk.yellow('ℹ️  Restore cancelled.'));
+          return;
+        }
+      }
+
+      const { previous } = await configManager.backups.restoreBackup(id);
+
+      if (isJson()) {
+        printJson({ restored: backup.id, settingsPath: backup.settingsPath, previous: previous ? previous.id : null });
+        return;
+      }
+
+      console.log(chalk.green(`✅ Restored ${backup.id} to ${backup.settingsPath}`));
+      if (previous) {
+        console.log(chalk.gray(`   Previous settings saved as ${previous.id}; run \`rins_hooks backup restore ${previous.id}\` to undo.`));
+      }
+    } catch (error) {
+      fail('Failed to restore backup', error);
+    }
+  });
+
+backupCommand
+  .command('prune')
+  .description('Delete old backups')
+  .option('-k, --keep <count>', 'Backups to keep per scope (defaults to backups.keep in rins_hooks.json, or 10)')
+  .option('--older-than <days>', 'Also delete backups older than this many days')
+  .action(async (options) => {
+    try {
+      const configManager = new ConfigManager();
+      const keep = options.keep !== undefined ? Number(options.keep) : undefined;
+      const olderThanDays = options.olderThan !== undefined ? Number(options.olderThan) : undefined;
+
+      if ((keep !== undefined && !(Number.isInteger(keep) && keep >= 0)) ||
+          (olderThanDays !== undefined && !(olderThanDays >= 0))) {
+        throw new Error('--keep and --older-than must be non-negative numbers');
+      }
+
+      const removed = await configManager.backups.pruneBackups({ keep, olderThanDays });
+
+      if (isJson()) {
+        printJson({ removed: removed.map(backup => backup.id) });
+        return;
+      }
+
+      console.log(chalk.green(`✅ Removed ${removed.length} backup(s).`));
+    } catch (error) {
+      fail('Failed to prune backups', error);
+    }
+  });
+
+// Run command
+program
+  .command('run [hooks...]')
+  .description('Run hooks in-process for a Claude Code event (reads hook input from stdin)')
+  .option('-e, --event <event>', 'Hook event name (defaults to hook_event_name from the input)')
+  // Installed commands name the hooks they run with one identity marker per hook
+  .addOption(new Option('--rins-hook <identity>').hideHelp()
+    .argParser((identity, identities = []) => [...identities, identity]))
+  .action(async (hooks, options) => {
+    try {
+      const input = await HookBase.parseInput();
+      // Claude Code names the project, which hook commands may be started outside of (e.g. in a subdirectory)
+      const dispatcher = new Dispatcher({ configOptions: { cwd: process.env.CLAUDE_PROJECT_DIR || process.cwd() } });
+      const installed = options.rinsHook && options.rinsHook.map(identity => identity.split('@')[0]);
+      const result = await dispatcher.run(input, { event: options.event, hooks, installed });
+      HookBase.outputResult(result);
+    } catch (error) {
+      console.error(`rins_hooks run error: ${error.message}`);
       process.exit(1);
     }
   });
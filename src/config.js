@@ -1,14 +1,42 @@
 const fs = require('fs-extra');
 const path = require('path');
 const os = require('os');
+const crypto = require('crypto');
+const { isDeepStrictEqual } = require('util');
 const chalk = require('chalk');
 const inquirer = require('inquirer');
+const { createTwoFilesPatch } = require('diff');
+
+const HookBase = require('./hook-base');
+const HookRegistry = require('./registry');
+const ConfigValidator = require('./validator');
+const BackupManager = require('./backup');
+const Utils = require('./utils');
+
+// Installed commands carry a --rins-hook=<name>@<version> marker so that only
+// entries managed by rins_hooks are ever updated or removed
+const IDENTITY_PATTERN = /--rins-hook=([^@\s"']+)(?:@([^\s"']+))?/;
+// Entries installed before identity markers pointed at the package's hook scripts
+const LEGACY_PATTERN = /rins_hooks[/\\]hooks[/\\]([^/\\"]+)[/\\]index\.js/;
 
 class ConfigManager {
-  constructor() {
-    this.userSettingsPath = path.join(os.homedir(), '.claude', 'settings.json');
-    this.projectSettingsPath = path.join(process.cwd(), '.claude', 'settings.json');
-    this.localSettingsPath = path.join(process.cwd(), '.claude', 'settings.local.json');
+  /**
+   * @param {Object} options - Path options
+   * @param {string} options.cwd - Project directory (defaults to process.cwd())
+   * @param {string} options.homedir - Home directory (defaults to os.homedir())
+   */
+  constructor(options = {}) {
+    const cwd = options.cwd || process.cwd();
+    const homedir = options.homedir || os.homedir();
+
+    this.pathOptions = { cwd, homedir };
+    this.userSettingsPath = path.join(homedir, '.claude', 'settings.json');
+    this.projectSettingsPath = path.join(cwd, '.claude', 'settings.json');
+    this.localSettingsPath = path.join(cwd, '.claude', 'settings.local.json');
+    this.hookConfigPaths = HookBase.getConfigPaths(this.pathOptions);
+    this.registry = new HookRegistry({ ...this.pathOptions, hooksDir: options.hooksDir });
+    this.validator = new ConfigValidator({ registry: this.registry });
+    this.backups = new BackupManager({ configManager: this });
   }
 
   getSettingsPath(scope) {
@@ -38,90 +66,531 @@ class ConfigManager {
   }
 
   async loadSettings(scope) {
+    return (await this.readSettingsFile(scope)).settings;
+  }
+
+  /**
+   * Read a scope's settings file along with what's needed to write it back safely
+   * @param {string} scope - user, project or local
+   * @returns {Promise<Object>} { settings, hash (null if the file doesn't exist), format }
+   */
+  async readSettingsFile(scope) {
     try {
       const settingsPath = this.getSettingsPath(scope);
 
       if (!await fs.pathExists(settingsPath)) {
-        return {};
+        return { settings: {}, hash: null, format: Utils.detectJsonFormat('') };
       }
 
-      return await fs.readJson(settingsPath);
+      const raw = await fs.readFile(settingsPath, 'utf8');
+      return {
+        settings: JSON.parse(raw),
+        hash: ConfigManager.hashContent(raw),
+        format: Utils.detectJsonFormat(raw)
+      };
     } catch (error) {
       throw new Error(`Failed to load settings: ${error.message}`);
     }
   }
 
-  async saveSettings(scope, settings) {
+  async getSettingsHash(scope) {
+    const settingsPath = this.getSettingsPath(scope);
+
+    if (!await fs.pathExists(settingsPath)) {
+      return null;
+    }
+
+    return ConfigManager.hashContent(await fs.readFile(settingsPath, 'utf8'));
+  }
+
+  static hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  async saveSettings(scope, settings, format = {}) {
     try {
-      await this.ensureSettingsFileExists(scope);
-      const settingsPath = this.getSettingsPath(scope);
-      await fs.writeJson(settingsPath, settings, { spaces: 2 });
+      await Utils.writeJsonAtomic(this.getSettingsPath(scope), settings, format);
     } catch (error) {
       throw new Error(`Failed to save settings: ${error.message}`);
     }
   }
 
-  async addHook(eventType, hookConfig, scope) {
+  getHookConfigPath(scope) {
+    if (!this.hookConfigPaths[scope]) {
+      throw new Error(`Invalid scope: ${scope}`);
+    }
+    return this.hookConfigPaths[scope];
+  }
+
+  /**
+   * Load the rins_hooks configuration file (rins_hooks.json) for a scope
+   * @param {string} scope - user, project or local
+   * @returns {Promise<Object>} Configuration document
+   */
+  async loadHookConfigFile(scope) {
     try {
-      const settings = await this.loadSettings(scope);
+      const configPath = this.getHookConfigPath(scope);
+
+      if (!await fs.pathExists(configPath)) {
+        return {};
+      }
+
+      return await fs.readJson(configPath);
+    } catch (error) {
+      throw new Error(`Failed to load hook configuration: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save the rins_hooks configuration file (rins_hooks.json) for a scope
+   * @param {string} scope - user, project or local
+   * @param {Object} config - Configuration document
+   */
+  async saveHookConfigFile(scope, config) {
+    try {
+      await Utils.writeJsonAtomic(this.getHookConfigPath(scope), config);
+    } catch (error) {
+      throw new Error(`Failed to save hook configuration: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resolve the effective configuration of a hook across every layer
+   * @param {string} hookName - Hook name
+   * @returns {Promise<Object>} Merged hook configuration
+   */
+  getEffectiveHookConfig(hookName) {
+    return HookBase.loadConfig(hookName, this.pathOptions);
+  }
+
+  /**
+   * Apply a change to a scope's settings file as one transaction. The settings file
+   * is locked against other rins_hooks processes, the complete new document is
+   * computed and validated first, the current file is backed up and the result is
+   * written atomically in the file's existing format. If the file was changed by
+   * something else (Claude Code, an editor) while the change was being prepared the
+   * write is refused unless options.force is set. If the write fails the file is
+   * rolled back to the backup, so settings are never left half-modified.
+   * @param {string} scope - user, project or local
+   * @param {Function} mutate - Receives the settings document and modifies it in place (may be async)
+   * @param {Object} options - Update options
+   * @param {boolean} options.force - Overwrite changes made to the file by another program
+   * @returns {Promise<Object>} Result ({ settings, backup, changed })
+   */
+  updateSettings(scope, mutate, options = {}) {
+    const settingsPath = this.getSettingsPath(scope);
+
+    return Utils.withFileLock(settingsPath, async () => {
+      const { settings: original, hash, format } = await this.readSettingsFile(scope);
+      const settings = JSON.parse(JSON.stringify(original));
 
-      // Initialize hooks structure if it doesn't exist
-      if (!settings.hooks) {
-        settings.hooks = {};
+      await mutate(settings);
+
+      if (isDeepStrictEqual(original, settings)) {
+        return { settings, backup: null, changed: false };
       }
 
-      if (!settings.hooks[eventType]) {
-        settings.hooks[eventType] = [];
+      this.assertNoNewErrors(settingsPath, original, settings);
+
+      let backup;
+      try {
+        backup = await this.backups.createBackup(scope);
+      } catch (error) {
+        throw new Error(`Failed to back up ${settingsPath}: ${error.message}`);
       }
 
-      // Check if hook already exists
-      const existingHookIndex = settings.hooks[eventType].findIndex(
-        h => h.matcher === hookConfig.matcher
-      );
+      if (backup) {
+        console.log(chalk.blue(`📋 Backup created: ${backup.id}`));
+      }
+
+      // Claude Code and editors don't take our lock, so check the file is still what we read
+      if (!options.force && await this.getSettingsHash(scope) !== hash) {
+        throw ConfigManager.conflictError(settingsPath);
+      }
+
+      try {
+        await this.saveSettings(scope, settings, format);
+
+        if (!isDeepStrictEqual(await fs.readJson(settingsPath), settings)) {
+          throw new Error('settings file does not contain the written changes');
+        }
+      } catch (error) {
+        await this.rollbackSettings(scope, backup);
+        throw new Error(`${error.message} (rolled back ${settingsPath})`);
+      }
 
-      if (existingHookIndex !== -1) {
-        // Update existing hook
-        settings.hooks[eventType][existingHookIndex] = hookConfig;
+      return { settings, backup, changed: true };
+    });
+  }
+
+  /**
+   * Show what a change to a scope's settings file would write, without writing it.
+   * The change is validated exactly as updateSettings would validate it.
+   * @param {string} scope - user, project or local
+   * @param {Function} mutate - Receives the settings document and modifies it in place (may be async)
+   * @returns {Promise<Object>} Preview ({ scope, path, changed, before, after, diff }); before is
+   *   null if the file doesn't exist yet
+   */
+  async previewSettings(scope, mutate) {
+    const settingsPath = this.getSettingsPath(scope);
+    const exists = await fs.pathExists(settingsPath);
+    const raw = exists ? await fs.readFile(settingsPath, 'utf8') : '';
+    const { settings: original, format } = await this.readSettingsFile(scope);
+    const settings = JSON.parse(JSON.stringify(original));
+
+    await mutate(settings);
+
+    const changed = !isDeepStrictEqual(original, settings);
+    if (changed) {
+      this.assertNoNewErrors(settingsPath, original, settings);
+    }
+
+    return {
+      scope,
+      path: settingsPath,
+      changed,
+      before: exists ? original : null,
+      after: settings,
+      diff: changed ? createTwoFilesPatch(settingsPath, settingsPath, raw, Utils.formatJson(settings, format), 'current', 'after') : ''
+    };
+  }
+
+  /**
+   * Refuse a change that introduces settings errors. Problems that were already
+   * in the file are the user's business.
+   * @param {string} settingsPath - Settings file
+   * @param {Object} original - Document as read
+   * @param {Object} settings - Changed document
+   */
+  assertNoNewErrors(settingsPath, original, settings) {
+    const existing = ConfigManager.getErrorSignatures(original, this.validator.validateSettings(original));
+    const errors = this.validator.validateSettings(settings)
+      .filter(error => !existing.has(ConfigManager.getErrorSignature(settings, error)));
+
+    if (errors.length > 0) {
+      throw new Error(`Refusing to write invalid settings to ${settingsPath}: ${errors.map(e => `${e.path}: ${e.message}`).join('; ')}`);
+    }
+  }
+
+  static conflictError(settingsPath) {
+    return new Error(`${settingsPath} was changed by another program while rins_hooks was updating it. ` +
+      'Run the command again to pick up those changes, or use --force to overwrite them.');
+  }
+
+  /**
+   * Put a settings file back the way it was before a failed transaction
+   * @param {string} scope - user, project or local
+   * @param {Object|null} backup - Backup taken before the transaction, or null if there was no file
+   */
+  async rollbackSettings(scope, backup) {
+    const settingsPath = this.getSettingsPath(scope);
+
+    try {
+      if (backup) {
+        await Utils.writeFileAtomic(settingsPath, await fs.readFile(backup.path));
       } else {
-        // Add new hook
-        settings.hooks[eventType].push(hookConfig);
+        await fs.remove(settingsPath);
       }
+    } catch (error) {
+      console.error(chalk.red(`❌ Rollback of ${settingsPath} failed: ${error.message}`));
+      if (backup) {
+        console.error(chalk.red(`   Restore it with \`rins_hooks backup restore ${backup.id}\``));
+      }
+    }
+  }
 
-      await this.saveSettings(scope, settings);
+  static getErrorSignature(settings, error) {
+    let value = settings;
+    for (const segment of ConfigManager.parseKeyPath(error.path)) {
+      value = value !== null && typeof value === 'object' ? value[segment] : undefined;
+    }
+
+    // Keyed by message and offending value rather than path, as indexes shift when entries are removed
+    return `${error.message}|${JSON.stringify(value)}`;
+  }
+
+  static getErrorSignatures(settings, errors) {
+    return new Set(errors.map(error => ConfigManager.getErrorSignature(settings, error)));
+  }
+
+  async addHook(eventType, hookConfig, scope, options = {}) {
+    try {
+      await this.updateSettings(scope, settings => this.insertHook(settings, eventType, hookConfig), options);
     } catch (error) {
       throw new Error(`Failed to add hook: ${error.message}`);
     }
   }
 
-  async removeHook(hookName, scope) {
+  /**
+   * Add a rins_hooks entry to a settings document, replacing this hook's previous entry for
+   * the same event and matcher; registrations of the hook with other matchers are kept.
+   * Installed entries run the dispatcher, so a hook joins the dispatcher command already
+   * registered for the same event and matcher, which then runs its hooks in one process.
+   * @param {Object} settings - Settings document (modified in place)
+   * @param {string} eventType - Event type
+   * @param {Object} hookConfig - Settings entry ({ matcher, hooks }) carrying an identity marker
+   */
+  insertHook(settings, eventType, hookConfig) {
+    const identity = ConfigManager.getEntryIdentity(hookConfig);
+
+    if (!identity) {
+      throw new Error('Hook configuration is missing a rins_hooks identity marker');
+    }
+
+    const [hookCommand] = hookConfig.hooks;
+    const matcher = hookConfig.matcher || '';
+    const entries = (settings.hooks && settings.hooks[eventType]) || [];
+    const target = entries
+      .filter(entry => (entry.matcher || '') === matcher && Array.isArray(entry.hooks))
+      .flatMap(entry => entry.hooks)
+      .find(h => ConfigManager.getHookIdentities(h.command).length > 0 &&
+        ConfigManager.untagCommand(h.command) === ConfigManager.untagCommand(hookCommand.command));
+
+    if (target) {
+      // Keep the hook's position in the command, its order is the order hooks run in
+      const others = ConfigManager.getHookIdentities(target.command).filter(i => i.name !== identity.name);
+      this.stripHookCommands(settings, identity.name, [eventType], target, matcher);
+      target.command = ConfigManager.retagCommand(target.command, identity.name, identity.version);
+      // Hooks share the command's timeout, so it is the longest of theirs
+      target.timeout = others.length > 0 ? Math.max(target.timeout || 0, hookCommand.timeout || 0) : hookCommand.timeout;
+      return;
+    }
+
+    // Replace an entry for the same matcher that belongs entirely to this hook in place
+    const existingHookIndex = entries.findIndex(entry =>
+      (entry.matcher || '') === matcher && Array.isArray(entry.hooks) && entry.hooks.length > 0 &&
+      entry.hooks.every(h => {
+        const identities = ConfigManager.getHookIdentities(h.command);
+        return identities.length > 0 && identities.every(i => i.name === identity.name);
+      })
+    );
+
+    if (existingHookIndex !== -1) {
+      // Update existing hook
+      entries[existingHookIndex] = hookConfig;
+      this.stripHookCommands(settings, identity.name, [eventType], hookCommand, matcher);
+    } else {
+      // Drop stray commands for this hook from shared entries, then add the new one.
+      // Stripping works on a copy so existing keys keep their position in the file.
+      const stripped = { hooks: { [eventType]: entries } };
+      this.stripHookCommands(stripped, identity.name, [eventType], null, matcher);
+
+      settings.hooks = settings.hooks || {};
+      settings.hooks[eventType] = [...((stripped.hooks && stripped.hooks[eventType]) || []), hookConfig];
+    }
+  }
+
+  async removeHook(hookName, scope, options = {}) {
     try {
-      const settings = await this.loadSettings(scope);
+      let removed = 0;
+      await this.updateSettings(scope, settings => {
+        removed = this.stripHookCommands(settings, hookName);
+      }, options);
+      return removed;
+    } catch (error) {
+      throw new Error(`Failed to remove hook: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove the commands managed by rins_hooks for a hook from a settings document,
+   * leaving every other command untouched and cleaning up empty entries. A dispatcher
+   * command that also runs other hooks only loses this hook's identity marker.
+   * @param {Object} settings - Settings document (modified in place)
+   * @param {string|null} hookName - Hook name, or null for every rins_hooks hook
+   * @param {Array} eventTypes - Event types to clean (defaults to all)
+   * @param {Object} keep - Command ({ command }) to leave alone
+   * @param {string|null} matcher - Only clean entries with this matcher (defaults to all)
+   * @returns {number} Number of commands the hook was removed from
+   */
+  stripHookCommands(settings, hookName, eventTypes = null, keep = null, matcher = null) {
+    let removed = 0;
+
+    if (!settings.hooks) {
+      return removed;
+    }
 
-      if (!settings.hooks) {
-        return;
+    for (const eventType of eventTypes || Object.keys(settings.hooks)) {
+      if (!Array.isArray(settings.hooks[eventType])) {
+        continue;
       }
 
-      // Remove hook from all event types
-      for (const eventType of Object.keys(settings.hooks)) {
-        settings.hooks[eventType] = settings.hooks[eventType].filter(hook => {
-          // Check if this hook belongs to the specified hook name
-          return !hook.hooks?.some(h => h.command?.includes(hookName));
+      settings.hooks[eventType] = settings.hooks[eventType].filter(entry => {
+        if (!Array.isArray(entry.hooks) || (matcher !== null && (entry.matcher || '') !== matcher)) {
+          return true;
+        }
+
+        const remaining = entry.hooks.filter(h => {
+          if (h === keep || !ConfigManager.isOwnCommand(h.command, hookName)) {
+            return true;
+          }
+
+          removed++;
+          const others = ConfigManager.getHookIdentities(h.command).filter(i => hookName && i.name !== hookName);
+          if (others.length === 0) {
+            return false;
+          }
+
+          h.command = ConfigManager.untagCommand(h.command, hookName);
+          return true;
         });
 
-        // Clean up empty arrays
-        if (settings.hooks[eventType].length === 0) {
-          delete settings.hooks[eventType];
+        if (remaining.length === entry.hooks.length) {
+          return true;
+        }
+
+        entry.hooks = remaining;
+        return remaining.length > 0;
+      });
+
+      // Clean up empty arrays
+      if (settings.hooks[eventType].length === 0) {
+        delete settings.hooks[eventType];
+      }
+    }
+
+    // Clean up empty hooks object
+    if (Object.keys(settings.hooks).length === 0) {
+      delete settings.hooks;
+    }
+
+    return removed;
+  }
+
+  /**
+   * Append the rins_hooks identity marker to a hook command
+   * @param {string} command - Hook command
+   * @param {string} hookName - Hook name
+   * @param {string} version - Hook version (optional)
+   * @returns {string} Tagged command
+   */
+  static tagCommand(command, hookName, version) {
+    return `${command} --rins-hook=${hookName}${version ? `@${version}` : ''}`;
+  }
+
+  /**
+   * Replace a hook's identity marker in a command, or append it if the command has none for the hook
+   * @param {string} command - Hook command
+   * @param {string} hookName - Hook name
+   * @param {string} version - Hook version (optional)
+   * @returns {string} Tagged command
+   */
+  static retagCommand(command, hookName, version) {
+    const marker = ConfigManager.tagCommand('', hookName, version).trim();
+    let replaced = false;
+    const retagged = command.replace(new RegExp(IDENTITY_PATTERN.source, 'g'), (match, name) => {
+      if (name !== hookName) {
+        return match;
+      }
+      replaced = true;
+      return marker;
+    });
+
+    return replaced ? retagged : `${command} ${marker}`;
+  }
+
+  /**
+   * Remove identity markers from a command
+   * @param {string} command - Hook command
+   * @param {string|null} hookName - Only remove this hook's marker (defaults to every marker)
+   * @returns {string} Command without the markers
+   */
+  static untagCommand(command, hookName = null) {
+    return String(command || '')
+      .replace(new RegExp(`\\s*${IDENTITY_PATTERN.source}`, 'g'), (match, name) => (hookName && name !== hookName ? match : ''))
+      .trim();
+  }
+
+  /**
+   * Get the rins_hooks identity of a hook command
+   * @param {string} command - Hook command
+   * @returns {Object|null} Identity ({ name, version, legacy }) of the first hook the command
+   *   runs, or null for foreign commands
+   */
+  static getHookIdentity(command) {
+    return ConfigManager.getHookIdentities(command)[0] || null;
+  }
+
+  /**
+   * Get the rins_hooks identities of a hook command. Dispatcher commands carry one
+   * marker per hook they run, in the order the hooks run.
+   * @param {string} command - Hook command
+   * @returns {Array} Identities ({ name, version, legacy }), empty for foreign commands
+   */
+  static getHookIdentities(command) {
+    if (typeof command !== 'string') {
+      return [];
+    }
+
+    const identities = [...command.matchAll(new RegExp(IDENTITY_PATTERN.source, 'g'))]
+      .map(match => ({ name: match[1], version: match[2] || null, legacy: false }));
+    if (identities.length > 0) {
+      return identities;
+    }
+
+    const legacyMatch = command.match(LEGACY_PATTERN);
+    if (legacyMatch) {
+      return [{ name: legacyMatch[1], version: null, legacy: true }];
+    }
+
+    return [];
+  }
+
+  /**
+   * Get the rins_hooks identity of a settings entry ({ matcher, hooks })
+   * @param {Object} entry - Settings entry
+   * @returns {Object|null} Identity of the first managed command, or null
+   */
+  static getEntryIdentity(entry) {
+    for (const hookCommand of (entry && entry.hooks) || []) {
+      const identity = ConfigManager.getHookIdentity(hookCommand.command);
+      if (identity) {
+        return identity;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check whether a command is managed by rins_hooks
+   * @param {string} command - Hook command
+   * @param {string|null} hookName - Hook name to match, or null for any rins_hooks hook
+   * @returns {boolean} True if the command belongs to rins_hooks (and the given hook)
+   */
+  static isOwnCommand(command, hookName = null) {
+    return ConfigManager.getHookIdentities(command).some(identity => !hookName || identity.name === hookName);
+  }
+
+  /**
+   * Names of the hooks the user chose: installed in any scope's settings file or declared
+   * in the "install" list of the project's rins_hooks.json
+   * @returns {Promise<Array>} Hook names, in the order the settings files (user, project,
+   *   local) and then the manifest list them
+   */
+  async getChosenHookNames() {
+    try {
+      const names = new Set();
+
+      for (const scope of ['user', 'project', 'local']) {
+        for (const entries of Object.values((await this.loadSettings(scope)).hooks || {})) {
+          for (const entry of Array.isArray(entries) ? entries : []) {
+            for (const hookCommand of Array.isArray(entry.hooks) ? entry.hooks : []) {
+              ConfigManager.getHookIdentities(hookCommand.command).forEach(identity => names.add(identity.name));
+            }
+          }
         }
       }
 
-      // Clean up empty hooks object
-      if (Object.keys(settings.hooks).length === 0) {
-        delete settings.hooks;
+      const { install } = await this.loadHookConfigFile('project');
+      for (const declared of Array.isArray(install) ? install : []) {
+        if (declared && typeof declared.hook === 'string') {
+          names.add(declared.hook);
+        }
       }
 
-      await this.saveSettings(scope, settings);
+      return [...names];
     } catch (error) {
-      throw new Error(`Failed to remove hook: ${error.message}`);
+      throw new Error(`Failed to get installed hooks: ${error.message}`);
     }
   }
 
@@ -141,18 +610,18 @@ class ConfigManager {
             for (const hook of hooks) {
               if (hook.hooks) {
                 for (const hookCommand of hook.hooks) {
-                  if (hookCommand.command) {
-                    // Extract hook name from command
-                    const match = hookCommand.command.match(/\/([^/]+)\/index\.js/);
-                    if (match) {
-                      const hookName = match[1];
-                      status[scope].push({
-                        name: hookName,
-                        eventType: eventType,
-                        matcher: hook.matcher,
-                        status: 'installed'
-                      });
-                    }
+                  // Only report entries managed by rins_hooks, one per hook a dispatcher command runs
+                  for (const identity of ConfigManager.getHookIdentities(hookCommand.command)) {
+                    const config = await this.getEffectiveHookConfig(identity.name);
+                    status[scope].push({
+                      name: identity.name,
+                      version: identity.version,
+                      eventType: eventType,
+                      matcher: hook.matcher,
+                      command: hookCommand.command,
+                      portable: ConfigManager.isPortableCommand(hookCommand.command),
+                      status: config.enabled === false ? 'disabled' : 'installed'
+                    });
                   }
                 }
               }
@@ -167,70 +636,332 @@ class ConfigManager {
     }
   }
 
-  async createBackup(scope) {
+  /**
+   * Compute the hooks Claude Code will actually run. Claude Code merges the hooks of
+   * every settings file, so each entry is reported with what affects it: identical
+   * commands for the same event run only once (duplicate), a rins_hooks hook registered
+   * for the same event with another command in a higher-precedence scope runs again
+   * (shadowed), missing scripts, disabled hooks, and entries not managed by rins_hooks.
+   * @returns {Promise<Array>} Entries in precedence order (local, project, user) with a
+   *   status of active, foreign, disabled, shadowed, duplicate or missing
+   */
+  async getEffectiveHooks() {
     try {
-      const settingsPath = this.getSettingsPath(scope);
+      const effective = [];
 
-      if (!await fs.pathExists(settingsPath)) {
-        return;
+      for (const scope of ['local', 'project', 'user']) {
+        const settings = await this.loadSettings(scope);
+
+        for (const [eventType, entries] of Object.entries(settings.hooks || {})) {
+          for (const entry of Array.isArray(entries) ? entries : []) {
+            for (const hookCommand of Array.isArray(entry.hooks) ? entry.hooks : []) {
+              // A dispatcher command is reported once for every hook it runs
+              const identities = ConfigManager.getHookIdentities(hookCommand.command);
+              for (const identity of identities.length > 0 ? identities : [null]) {
+                effective.push(await this.describeEffectiveHook(scope, eventType, entry, hookCommand, identity, effective));
+              }
+            }
+          }
+        }
       }
 
-      const backupPath = `${settingsPath}.backup.${Date.now()}`;
-      await fs.copy(settingsPath, backupPath);
+      return effective;
+    } catch (error) {
+      throw new Error(`Failed to get effective hooks: ${error.message}`);
+    }
+  }
+
+  async describeEffectiveHook(scope, eventType, entry, hookCommand, identity, earlier) {
+    const script = this.getCommandScript(hookCommand.command);
+    const sameEvent = earlier.filter(other => other.eventType === eventType);
+    const duplicate = sameEvent.find(other =>
+      other.command === hookCommand.command && other.name === (identity ? identity.name : null));
+    const shadowing = identity && !duplicate && sameEvent.find(other => other.name === identity.name);
+    const enabled = identity ? (await this.getEffectiveHookConfig(identity.name)).enabled !== false : true;
+
+    const description = {
+      scope,
+      eventType,
+      matcher: entry.matcher || '',
+      timeout: hookCommand.timeout,
+      command: hookCommand.command,
+      name: identity ? identity.name : null,
+      version: identity ? identity.version : null,
+      managed: Boolean(identity),
+      portable: ConfigManager.isPortableCommand(hookCommand.command),
+      enabled,
+      script,
+      scriptExists: script ? await fs.pathExists(script) : null,
+      duplicateOf: duplicate ? duplicate.scope : null,
+      shadowedBy: shadowing ? shadowing.scope : null
+    };
+
+    if (description.scriptExists === false) {
+      description.status = 'missing';
+    } else if (duplicate) {
+      description.status = 'duplicate';
+    } else if (shadowing) {
+      description.status = 'shadowed';
+    } else if (!enabled) {
+      description.status = 'disabled';
+    } else {
+      description.status = identity ? 'active' : 'foreign';
+    }
+
+    return description;
+  }
+
+  /**
+   * Find the script a hook command runs, so it can be checked for existence.
+   * Only absolute paths (after expanding $CLAUDE_PROJECT_DIR and ~) are returned;
+   * commands found on PATH, such as npx, are not checked. Only the first command
+   * of a shell list is read, and interpreters given inline code (`bash -c`,
+   * `node -e`, `python -m`) have no script.
+   * @param {string} command - Hook command
+   * @returns {string|null} Script path or null
+   */
+  getCommandScript(command) {
+    const expanded = String(command || '')
+      .replace(/\$\{?CLAUDE_PROJECT_DIR\}?/g, this.pathOptions.cwd)
+      .replace(/(^|[\s"'])~(?=[/\\])/g, `$1${this.pathOptions.homedir}`);
+    const tokens = (expanded.match(/"[^"]*"|'[^']*'|\S+/g) || []).map(token => token.replace(/^(["'])(.*)\1$/, '$2'));
+    const interpreters = ['node', 'python', 'python3', 'bash', 'sh', 'bun', 'deno', 'ruby'];
+    const inlineCodeOptions = ['-c', '-e', '-p', '-m', '--eval', '--print'];
+    const valueOptions = ['-r', '--require', '--import', '--loader', '--experimental-loader'];
+    const isOperator = token => /^(?:&&|\|\||[;|&<>]|\d?>>?(?:&\d)?)$/.test(token);
+    let script = tokens[0];
+
+    if (interpreters.includes(path.basename(tokens[0] || ''))) {
+      script = null;
+      for (let i = 1; i < tokens.length && !isOperator(tokens[i]); i++) {
+        if (inlineCodeOptions.includes(tokens[i])) {
+          break;
+        }
+        if (valueOptions.includes(tokens[i])) {
+          i++;
+        } else if (!tokens[i].startsWith('-')) {
+          script = tokens[i];
+          break;
+        }
+      }
+    }
+
+    return script && path.isAbsolute(script) ? script.replace(/;$/, '') : null;
+  }
+
+  /**
+   * Check whether a command works on any machine the project is checked out on.
+   * Absolute paths (/home/..., C:\\..., ~/...) are tied to the machine that wrote
+   * them; paths under $CLAUDE_PROJECT_DIR resolve on every machine.
+   * @param {string} command - Hook command
+   * @returns {boolean} True if the command contains no machine-specific paths
+   */
+  static isPortableCommand(command) {
+    const withoutProjectPaths = String(command || '').replace(/\$\{?CLAUDE_PROJECT_DIR\}?[^\s"']*/g, '');
+    return !/(?:^|[\s"'=])(?:\/|~[/\\]|[A-Za-z]:[/\\])/.test(withoutProjectPaths);
+  }
+
+  /**
+   * Diagnose the hook entries in the settings files
+   * @returns {Promise<Array>} Diagnostics ({ check, status, message })
+   */
+  async runDiagnostics() {
+    const diagnostics = [];
+    const settings = await this.loadSettings('project');
+    const nonPortable = [];
+
+    // Project settings are committed, so every command has to work for every teammate
+    for (const [eventType, entries] of Object.entries(settings.hooks || {})) {
+      for (const entry of Array.isArray(entries) ? entries : []) {
+        for (const hookCommand of Array.isArray(entry.hooks) ? entry.hooks : []) {
+          if (!ConfigManager.isPortableCommand(hookCommand.command)) {
+            const names = ConfigManager.getHookIdentities(hookCommand.command).map(identity => identity.name);
+            nonPortable.push(`${names.length > 0 ? names.join(', ') : hookCommand.command} (${eventType})`);
+          }
+        }
+      }
+    }
+
+    if (nonPortable.length > 0) {
+      diagnostics.push({
+        check: 'Project Hook Portability',
+        status: 'warning',
+        message: `Machine-specific paths in ${this.projectSettingsPath}: ${nonPortable.join(', ')}. ` +
+          'Reinstall rins_hooks hooks with `rins_hooks install <hooks> --project --portable`'
+      });
+    } else if (settings.hooks) {
+      diagnostics.push({
+        check: 'Project Hook Portability',
+        status: 'ok',
+        message: 'All project hook commands are portable'
+      });
+    }
+
+    diagnostics.push(...await this.diagnosePipelines());
+
+    return diagnostics;
+  }
+
+  /**
+   * Check that the installed hooks of each pipeline share a dispatcher command. Claude Code
+   * runs separate commands in parallel, so the pipeline can only order hooks within one.
+   * @returns {Promise<Array>} Diagnostics ({ check, status, message })
+   */
+  async diagnosePipelines() {
+    const diagnostics = [];
+    const effective = (await this.getEffectiveHooks()).filter(entry => entry.managed && entry.status !== 'duplicate');
+
+    for (const pipeline of await this.getPipelines()) {
+      const installed = effective.filter(entry => entry.eventType === pipeline.eventType && pipeline.hooks.includes(entry.name));
+      const commands = new Set(installed.map(entry => entry.command));
+      const label = `${pipeline.eventType} [${pipeline.matcher || '(all)'}]`;
+
+      if (commands.size > 1) {
+        diagnostics.push({
+          check: 'Pipeline Order',
+          status: 'warning',
+          message: `${[...new Set(installed.map(entry => entry.name))].join(', ')} are installed in separate commands for ` +
+            `${label} and run in parallel. Install them in one scope with the same matcher so the pipeline can order them`
+        });
+      } else if (commands.size === 1) {
+        diagnostics.push({ check: 'Pipeline Order', status: 'ok', message: `${label} runs ${pipeline.hooks.join(' → ')} in order` });
+      }
+    }
+
+    return diagnostics;
+  }
+
+  /**
+   * Run the checks of every installed, enabled rins_hooks hook (HookBase#diagnose)
+   * @returns {Promise<Array>} Diagnostics ({ hook, check, status, message }), check prefixed with the hook name
+   */
+  async runHookDiagnostics() {
+    const names = new Set((await this.getEffectiveHooks()).filter(entry => entry.managed).map(entry => entry.name));
+    const diagnostics = [];
+
+    for (const name of names) {
+      const hook = await this.registry.getHook(name);
+      if (!hook) {
+        continue;
+      }
+
+      try {
+        const config = await HookBase.loadConfig(name, { ...this.pathOptions, hookDir: hook.path });
+        if (config.enabled === false) {
+          continue;
+        }
+
+        const HookClass = this.registry.loadHookClass(hook);
+        for (const diagnostic of await new HookClass(config).diagnose()) {
+          diagnostics.push({ hook: name, ...diagnostic, check: `${name}: ${diagnostic.check}` });
+        }
+      } catch (error) {
+        diagnostics.push({ hook: name, check: name, status: 'error', message: `Could not run checks: ${error.message}` });
+      }
+    }
+
+    return diagnostics;
+  }
+
+  /**
+   * Get the hook pipelines declared in the layered rins_hooks configuration
+   * @returns {Promise<Array>} Pipelines ({ eventType, matcher, hooks }) in declaration order
+   */
+  async getPipelines() {
+    try {
+      const layered = await HookBase.loadLayeredConfig(this.pathOptions);
+      const pipelines = [];
+
+      for (const [eventType, entries] of Object.entries(layered.pipelines || {})) {
+        for (const entry of entries) {
+          pipelines.push({
+            eventType: eventType,
+            matcher: entry.matcher || '',
+            hooks: entry.hooks || []
+          });
+        }
+      }
+
+      return pipelines;
+    } catch (error) {
+      throw new Error(`Failed to get pipelines: ${error.message}`);
+    }
+  }
+
+  async createBackup(scope) {
+    try {
+      const backup = await this.backups.createBackup(scope);
 
-      console.log(chalk.blue(`📋 Backup created: ${backupPath}`));
+      if (backup) {
+        console.log(chalk.blue(`📋 Backup created: ${backup.id}`));
+      }
+
+      return backup;
     } catch (error) {
       console.warn(chalk.yellow(`⚠️  Failed to create backup: ${error.message}`));
+      return null;
     }
   }
 
+  /**
+   * Get the settings entries of every scope, or only those of one hook
+   * @param {string} hookName - Only list this hook's commands (optional)
+   * @returns {Promise<Object>} Commands per scope ({ user, project, local }), each
+   *   [{ eventType, matcher, command, timeout }]
+   */
+  async getConfigEntries(hookName) {
+    const entries = {};
+
+    for (const scope of ['user', 'project', 'local']) {
+      const settings = await this.loadSettings(scope);
+      entries[scope] = [];
+
+      for (const [eventType, hooks] of Object.entries(settings.hooks || {})) {
+        for (const hook of hooks) {
+          for (const hookCommand of hook.hooks || []) {
+            if (!hookName || ConfigManager.isOwnCommand(hookCommand.command, hookName)) {
+              entries[scope].push({
+                eventType,
+                matcher: hook.matcher,
+                command: hookCommand.command,
+                timeout: hookCommand.timeout
+              });
+            }
+          }
+        }
+      }
+    }
+
+    return entries;
+  }
+
   async showConfig(hookName) {
     try {
       console.log(chalk.blue('📋 Configuration Status'));
       console.log();
 
+      const entries = await this.getConfigEntries(hookName);
+
       for (const scope of ['user', 'project', 'local']) {
-        const settings = await this.loadSettings(scope);
         const scopeTitle = scope.charAt(0).toUpperCase() + scope.slice(1);
 
         console.log(chalk.green(`${scopeTitle} Level:`));
 
-        if (settings.hooks) {
-          let found = false;
-          for (const [eventType, hooks] of Object.entries(settings.hooks)) {
-            for (const hook of hooks) {
-              if (hookName) {
-                // Show specific hook
-                if (hook.hooks?.some(h => h.command?.includes(hookName))) {
-                  console.log(chalk.cyan(`  Event: ${eventType}`));
-                  console.log(chalk.gray(`  Matcher: ${hook.matcher}`));
-                  console.log(chalk.gray(`  Command: ${hook.hooks[0].command}`));
-                  console.log(chalk.gray(`  Timeout: ${hook.hooks[0].timeout}s`));
-                  found = true;
-                }
-              } else {
-                // Show all hooks
-                console.log(chalk.cyan(`  Event: ${eventType}`));
-                console.log(chalk.gray(`  Matcher: ${hook.matcher}`));
-                if (hook.hooks) {
-                  hook.hooks.forEach(h => {
-                    console.log(chalk.gray(`  Command: ${h.command}`));
-                  });
-                }
-                found = true;
-              }
-            }
+        for (const entry of entries[scope]) {
+          console.log(chalk.cyan(`  Event: ${entry.eventType}`));
+          console.log(chalk.gray(`  Matcher: ${entry.matcher}`));
+          console.log(chalk.gray(`  Command: ${entry.command}`));
+          if (hookName) {
+            console.log(chalk.gray(`  Timeout: ${entry.timeout}s`));
           }
+        }
 
-          if (!found) {
-            if (hookName) {
-              console.log(chalk.gray(`  No configuration found for ${hookName}`));
-            } else {
-              console.log(chalk.gray('  No hooks configured'));
-            }
+        if (entries[scope].length === 0) {
+          if (hookName) {
+            console.log(chalk.gray(`  No configuration found for ${hookName}`));
+          } else {
+            console.log(chalk.gray('  No hooks configured'));
           }
-        } else {
-          console.log(chalk.gray('  No hooks configured'));
         }
 
         console.log();
@@ -240,21 +971,327 @@ class ConfigManager {
     }
   }
 
-  async editConfig(hookName) {
+  /**
+   * Interactively edit a hook's options, walking the defaultConfig from its config.json,
+   * and save the changed options to the chosen scope's rins_hooks configuration
+   * @param {string} hookName - Hook name (prompted for if omitted)
+   * @param {Object} options - Scope options (user, project, local), prompted for if omitted, and prompt options (input, json)
+   * @returns {Promise<Object>} Saved changes ({ hook, scope, changes })
+   */
+  async editConfig(hookName, options = {}) {
     try {
-      // This would open an editor for configuration
-      // For now, we'll just show the current config
-      console.log(chalk.yellow('ℹ️  Configuration editing not yet implemented.'));
-      console.log('Current configuration:');
-      console.log();
+      Utils.assertCanPrompt(options, 'config --edit needs a terminal; use `rins_hooks config set <key> <value>` instead');
+
+      const hooks = await this.registry.getAvailableHooks();
+
+      if (!hookName) {
+        ({ hookName } = await inquirer.prompt([
+          {
+            type: 'list',
+            name: 'hookName',
+            message: 'Which hook would you like to configure?',
+            choices: hooks.map(hook => hook.name)
+          }
+        ]));
+      }
+
+      const hook = hooks.find(h => h.name === hookName);
+      if (!hook) {
+        throw new Error(`Hook '${hookName}' not found`);
+      }
 
-      await this.showConfig(hookName);
+      let scope;
+      if (options.user || options.project || options.local) {
+        scope = this.determineScope(options);
+      } else {
+        ({ scope } = await inquirer.prompt([
+          {
+            type: 'list',
+            name: 'scope',
+            message: 'Where should the configuration be saved?',
+            choices: [
+              { name: `👤 User Level (${this.getHookConfigPath('user')})`, value: 'user' },
+              { name: `📁 Project Level (${this.getHookConfigPath('project')})`, value: 'project' },
+              { name: `🔒 Local Level (${this.getHookConfigPath('local')})`, value: 'local' }
+            ]
+          }
+        ]));
+      }
+
+      const current = await this.getEffectiveHookConfig(hookName);
+      const { selectedOptions } = await inquirer.prompt([
+        {
+          type: 'checkbox',
+          name: 'selectedOptions',
+          message: `Select ${hookName} options to edit:`,
+          choices: Object.keys(hook.defaultConfig)
+        }
+      ]);
+
+      const changes = {};
+      for (const key of selectedOptions) {
+        const value = await this.promptOption(key, current[key], hook.defaultConfig[key]);
+        if (!isDeepStrictEqual(value, current[key])) {
+          changes[key] = value;
+        }
+      }
+
+      if (Object.keys(changes).length === 0) {
+        console.log(chalk.yellow('ℹ️  No changes made.'));
+        return { hook: hookName, scope, changes };
+      }
+
+      const config = await this.loadHookConfigFile(scope);
+      config.hooks = config.hooks || {};
+      config.hooks[hookName] = { ...config.hooks[hookName], ...changes };
+
+      // As with `config set`, only the edited options are checked against the hook's schema
+      const errors = (await this.validator.validateHookOptions(hookName, config.hooks[hookName], hookName))
+        .filter(error => Object.keys(changes).some(key => ConfigValidator.isWithinPath(error.path, ConfigValidator.joinPath(hookName, [key]))));
+      if (errors.length > 0) {
+        throw new Error(errors.map(error => `${error.path}: ${error.message}`).join('; '));
+      }
+
+      await this.saveHookConfigFile(scope, config);
+
+      console.log(chalk.green(`✅ Saved ${Object.keys(changes).join(', ')} to ${this.getHookConfigPath(scope)}`));
+      return { hook: hookName, scope, changes };
     } catch (error) {
       throw new Error(`Failed to edit configuration: ${error.message}`);
     }
   }
 
-  async resetConfig(hookName) {
+  /**
+   * Prompt for a new value of a configuration option, choosing the editor from
+   * the type of its default value
+   * @param {string} key - Option name
+   * @param {*} current - Current effective value
+   * @param {*} defaultValue - Default value from config.json
+   * @param {string} prefix - Parent option path for nested options
+   * @returns {Promise<*>} New value
+   */
+  async promptOption(key, current, defaultValue, prefix = '') {
+    const label = prefix ? `${prefix}.${key}` : key;
+    const value = current === undefined ? defaultValue : current;
+
+    if (typeof defaultValue === 'boolean') {
+      const { answer } = await inquirer.prompt([
+        { type: 'confirm', name: 'answer', message: `${label}:`, default: value }
+      ]);
+      return answer;
+    }
+
+    if (typeof defaultValue === 'number') {
+      const { answer } = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'answer',
+          message: `${label}:`,
+          default: String(value),
+          validate: input => Number.isFinite(Number(input)) || 'Please enter a number'
+        }
+      ]);
+      return Number(answer);
+    }
+
+    if (Array.isArray(defaultValue)) {
+      return await this.promptList(label, Array.isArray(value) ? value : []);
+    }
+
+    if (HookBase.isPlainObject(defaultValue)) {
+      // Maps of strings (e.g. formatters) take new keys; anything else has fixed, typed options
+      const isMap = Object.values(defaultValue).every(v => typeof v === 'string');
+      if (isMap) {
+        return await this.promptMap(label, HookBase.isPlainObject(value) ? value : {});
+      }
+
+      // Nested sections (e.g. integrations.slack) are walked option by option, each with the prompt for its type
+      const result = {};
+      for (const [subKey, subDefault] of Object.entries(defaultValue)) {
+        result[subKey] = await this.promptOption(subKey, value?.[subKey], subDefault, label);
+      }
+      return result;
+    }
+
+    const { answer } = await inquirer.prompt([
+      {
+        type: String(value).includes('\n') ? 'editor' : 'input',
+        name: 'answer',
+        message: `${label}:`,
+        default: value
+      }
+    ]);
+    return answer;
+  }
+
+  async promptList(label, items) {
+    let kept = [];
+
+    if (items.length > 0) {
+      ({ kept } = await inquirer.prompt([
+        {
+          type: 'checkbox',
+          name: 'kept',
+          message: `${label} (uncheck items to remove):`,
+          choices: items.map(item => ({ name: String(item), value: item, checked: true }))
+        }
+      ]));
+    }
+
+    const { additions } = await inquirer.prompt([
+      { type: 'input', name: 'additions', message: `${label} - items to add (comma separated):` }
+    ]);
+
+    return [...kept, ...additions.split(',').map(item => item.trim()).filter(Boolean)];
+  }
+
+  async promptMap(label, map) {
+    const result = {};
+
+    for (const [key, value] of Object.entries(map)) {
+      const { answer } = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'answer',
+          message: `${label}[${key}] (leave empty to disable):`,
+          default: typeof value === 'string' ? value : JSON.stringify(value)
+        }
+      ]);
+      result[key] = typeof value === 'string' ? answer : HookBase.parseValue(answer);
+    }
+
+    for (;;) {
+      const { addEntry } = await inquirer.prompt([
+        { type: 'confirm', name: 'addEntry', message: `Add a new ${label} entry?`, default: false }
+      ]);
+      if (!addEntry) {
+        break;
+      }
+
+      const { key, value } = await inquirer.prompt([
+        { type: 'input', name: 'key', message: 'Key:', validate: input => input.trim() !== '' || 'Key is required' },
+        { type: 'input', name: 'value', message: 'Value:' }
+      ]);
+      result[key.trim()] = value;
+    }
+
+    return result;
+  }
+
+  /**
+   * Set a single hook option in a scope's rins_hooks configuration
+   * @param {string} key - Option path, e.g. auto-commit.maxCommitMessageLength or code-formatter.formatters[.vue]
+   * @param {string} rawValue - Value, parsed as JSON when possible
+   * @param {Object} options - Scope options (user, project, local)
+   * @returns {Promise<Object>} Saved value and scope
+   */
+  async setConfigValue(key, rawValue, options = {}) {
+    try {
+      const [hookName, ...optionPath] = ConfigManager.parseKeyPath(key);
+
+      if (!hookName || optionPath.length === 0) {
+        throw new Error(`Invalid key '${key}'. Use <hook>.<option>`);
+      }
+
+      const hook = await this.registry.getHook(hookName);
+      if (!hook) {
+        throw new Error(`Hook '${hookName}' not found`);
+      }
+
+      if (!(optionPath[0] in hook.defaultConfig)) {
+        throw new Error(`Unknown option '${optionPath[0]}' for hook '${hookName}'`);
+      }
+
+      const scope = this.determineScope(options);
+      const value = HookBase.parseValue(rawValue);
+      const config = await this.loadHookConfigFile(scope);
+
+      config.hooks = config.hooks || {};
+      config.hooks[hookName] = config.hooks[hookName] || {};
+
+      let target = config.hooks[hookName];
+      for (const segment of optionPath.slice(0, -1)) {
+        if (!HookBase.isPlainObject(target[segment])) {
+          target[segment] = {};
+        }
+        target = target[segment];
+      }
+      target[optionPath[optionPath.length - 1]] = value;
+
+      // Only the option being set is checked so existing mistakes elsewhere can still be fixed one by one
+      const keyPath = ConfigValidator.joinPath(hookName, optionPath);
+      const errors = (await this.validator.validateHookOptions(hookName, config.hooks[hookName], hookName))
+        .filter(error => ConfigValidator.isWithinPath(error.path, keyPath));
+      if (errors.length > 0) {
+        throw new Error(errors.map(error => `${error.path}: ${error.message}`).join('; '));
+      }
+
+      await this.saveHookConfigFile(scope, config);
+      return { scope, value };
+    } catch (error) {
+      throw new Error(`Failed to set configuration: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a hook option. Without a scope option the effective merged value is returned,
+   * otherwise the value stored in that scope's rins_hooks configuration.
+   * @param {string} key - Option path, e.g. auto-commit.maxCommitMessageLength
+   * @param {Object} options - Scope options (user, project, local)
+   * @returns {Promise<*>} Value, or undefined if not set
+   */
+  async getConfigValue(key, options = {}) {
+    try {
+      const [hookName, ...optionPath] = ConfigManager.parseKeyPath(key);
+
+      if (!hookName) {
+        throw new Error(`Invalid key '${key}'. Use <hook>.<option>`);
+      }
+
+      let value;
+      if (options.user || options.project || options.local) {
+        const config = await this.loadHookConfigFile(this.determineScope(options));
+        value = config.hooks && config.hooks[hookName];
+      } else {
+        value = await this.getEffectiveHookConfig(hookName);
+      }
+
+      for (const segment of optionPath) {
+        value = HookBase.isPlainObject(value) ? value[segment] : undefined;
+      }
+
+      return value;
+    } catch (error) {
+      throw new Error(`Failed to get configuration: ${error.message}`);
+    }
+  }
+
+  /**
+   * Split an option path into segments. Dots separate segments and brackets
+   * quote keys that contain dots: code-formatter.formatters[.js]
+   * @param {string} key - Option path
+   * @returns {Array} Path segments
+   */
+  static parseKeyPath(key) {
+    const segments = [];
+    const pattern = /\[([^\]]+)\]|([^.[\]]+)/g;
+    let match;
+
+    while ((match = pattern.exec(key)) !== null) {
+      segments.push(match[1] || match[2]);
+    }
+
+    return segments;
+  }
+
+  /**
+   * Remove rins_hooks entries from every settings file: one hook's, or after
+   * confirmation all of them
+   * @param {string} hookName - Hook name (optional)
+   * @param {Object} options - Prompt options (yes, input, json)
+   * @returns {Promise<boolean>} True if entries were reset
+   */
+  async resetConfig(hookName, options = {}) {
     try {
       if (hookName) {
         // Reset specific hook
@@ -262,29 +1299,22 @@ class ConfigManager {
           await this.removeHook(hookName, scope);
         }
         console.log(chalk.green(`✅ Configuration reset for ${hookName}`));
+        return true;
       } else {
         // Reset all hooks
-        const { confirm } = await inquirer.prompt([
-          {
-            type: 'confirm',
-            name: 'confirm',
-            message: 'Are you sure you want to reset ALL hook configurations?',
-            default: false
-          }
-        ]);
+        const confirm = await Utils.confirm('Are you sure you want to remove ALL rins_hooks hook configurations?', options,
+          'Resetting every hook needs confirmation');
 
         if (confirm) {
+          // Only rins_hooks entries are removed, other hooks are left untouched
           for (const scope of ['user', 'project', 'local']) {
-            const settings = await this.loadSettings(scope);
-            if (settings.hooks) {
-              delete settings.hooks;
-              await this.saveSettings(scope, settings);
-            }
+            await this.updateSettings(scope, settings => this.stripHookCommands(settings, null));
           }
           console.log(chalk.green('✅ All hook configurations reset'));
         } else {
           console.log(chalk.yellow('ℹ️  Reset cancelled'));
         }
+        return confirm;
       }
     } catch (error) {
       throw new Error(`Failed to reset configuration: ${error.message}`);
@@ -296,90 +1326,156 @@ class ConfigManager {
       console.log(chalk.blue('🔍 Validating Configuration'));
       console.log();
 
-      let isValid = true;
+      const { valid, scopes } = await this.validateAll(hookName);
 
-      for (const scope of ['user', 'project', 'local']) {
-        const settings = await this.loadSettings(scope);
+      for (const [scope, results] of Object.entries(scopes)) {
         const scopeTitle = scope.charAt(0).toUpperCase() + scope.slice(1);
 
         console.log(chalk.green(`${scopeTitle} Level:`));
 
-        if (settings.hooks) {
-          for (const [, hooks] of Object.entries(settings.hooks)) {
-            for (const hook of hooks) {
-              if (hookName) {
-                // Validate specific hook
-                if (hook.hooks?.some(h => h.command?.includes(hookName))) {
-                  const validation = await this.validateHookConfig(hook);
-                  if (validation.isValid) {
-                    console.log(chalk.green(`  ✅ ${hookName} configuration is valid`));
-                  } else {
-                    console.log(chalk.red(`  ❌ ${hookName} configuration is invalid:`));
-                    validation.errors.forEach(error => {
-                      console.log(chalk.red(`     ${error}`));
-                    });
-                    isValid = false;
-                  }
-                }
-              } else {
-                // Validate all hooks
-                const validation = await this.validateHookConfig(hook);
-                if (validation.isValid) {
-                  console.log(chalk.green('  ✅ Hook configuration is valid'));
-                } else {
-                  console.log(chalk.red('  ❌ Hook configuration is invalid:'));
-                  validation.errors.forEach(error => {
-                    console.log(chalk.red(`     ${error}`));
-                  });
-                  isValid = false;
-                }
-              }
-            }
-          }
-        } else {
+        if (results.length === 0) {
           console.log(chalk.gray('  No hooks configured'));
         }
 
+        results.forEach(result => {
+          if (result.errors.length === 0) {
+            console.log(chalk.green(`  ✅ ${result.file}`));
+            return;
+          }
+
+          console.log(chalk.red(`  ❌ ${result.file}`));
+          result.errors.forEach(error => {
+            console.log(chalk.red(`     ${error.path || '(root)'}: ${error.message}`));
+          });
+        });
+
         console.log();
       }
 
-      if (isValid) {
+      if (valid) {
         console.log(chalk.green('✅ All configurations are valid'));
       } else {
         console.log(chalk.red('❌ Some configurations have errors'));
       }
 
+      return valid;
     } catch (error) {
       throw new Error(`Failed to validate configuration: ${error.message}`);
     }
   }
 
-  async validateHookConfig(hook) {
-    const errors = [];
+  /**
+   * Validate the settings and rins_hooks configuration files of every scope
+   * @param {string} hookName - Only report errors concerning this hook
+   * @returns {Promise<Object>} Result ({ valid, scopes: { user, project, local } }) with
+   *   each scope's results from validateFiles
+   */
+  async validateAll(hookName = null) {
+    const scopes = {};
 
-    // Check required fields
-    if (!hook.hooks || !Array.isArray(hook.hooks)) {
-      errors.push('Missing or invalid hooks array');
+    for (const scope of ['user', 'project', 'local']) {
+      scopes[scope] = await this.validateFiles(scope, hookName);
     }
 
-    if (hook.hooks) {
-      for (const hookCommand of hook.hooks) {
-        if (!hookCommand.command) {
-          errors.push('Missing command');
+    const valid = Object.values(scopes).every(results => results.every(result => result.errors.length === 0));
+    return { valid, scopes };
+  }
+
+  /**
+   * Validate a scope's settings file and rins_hooks configuration file against
+   * their JSON Schemas. Files that don't exist are skipped.
+   * @param {string} scope - user, project or local
+   * @param {string} hookName - Only report errors concerning this hook
+   * @returns {Promise<Array>} Results ({ file, errors: [{ path, message }] })
+   */
+  async validateFiles(scope, hookName = null) {
+    const results = [];
+    const settingsPath = this.getSettingsPath(scope);
+    const configPath = this.getHookConfigPath(scope);
+
+    if (await fs.pathExists(settingsPath)) {
+      let errors;
+
+      try {
+        const settings = await fs.readJson(settingsPath);
+        const entryPaths = [];
+        errors = this.validator.validateSettings(settings);
+
+        for (const [eventType, entries] of Object.entries(settings.hooks || {})) {
+          if (!Array.isArray(entries)) {
+            continue;
+          }
+
+          for (const [index, entry] of entries.entries()) {
+            if (!hookName || entry.hooks?.some(h => ConfigManager.isOwnCommand(h.command, hookName))) {
+              const entryPath = `hooks.${eventType}[${index}]`;
+              entryPaths.push(entryPath);
+              errors.push(...(await this.validateHookConfig(entry, entryPath)).errors);
+            }
+          }
         }
 
-        if (hookCommand.timeout && (typeof hookCommand.timeout !== 'number' || hookCommand.timeout < 0)) {
-          errors.push('Invalid timeout value');
+        if (hookName) {
+          errors = errors.filter(error => entryPaths.some(p => ConfigValidator.isWithinPath(error.path, p)));
         }
+      } catch (error) {
+        errors = [{ path: '', message: `invalid JSON: ${error.message}` }];
+      }
 
-        // Check if command file exists
-        if (hookCommand.command) {
-          const commandMatch = hookCommand.command.match(/node\s+"([^"]+)"/);
-          if (commandMatch) {
-            const scriptPath = commandMatch[1];
-            if (!await fs.pathExists(scriptPath)) {
-              errors.push(`Hook script not found: ${scriptPath}`);
-            }
+      if (!hookName || errors.length > 0 || await this.hasOwnEntries(scope, hookName)) {
+        results.push({ file: settingsPath, errors });
+      }
+    }
+
+    if (await fs.pathExists(configPath)) {
+      let errors;
+
+      try {
+        const config = await fs.readJson(configPath);
+        errors = await this.validator.validateHookConfigFile(config);
+
+        if (hookName) {
+          errors = errors.filter(error => ConfigValidator.isWithinPath(error.path, `hooks.${hookName}`));
+        }
+      } catch (error) {
+        errors = [{ path: '', message: `invalid JSON: ${error.message}` }];
+      }
+
+      results.push({ file: configPath, errors });
+    }
+
+    return results;
+  }
+
+  async hasOwnEntries(scope, hookName) {
+    try {
+      const settings = await this.loadSettings(scope);
+      return Object.values(settings.hooks || {}).some(entries =>
+        Array.isArray(entries) && entries.some(entry => entry.hooks?.some(h => ConfigManager.isOwnCommand(h.command, hookName)))
+      );
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Check the parts of a settings entry a schema can't: that the scripts
+   * referenced by rins_hooks commands exist
+   * @param {Object} hook - Settings entry ({ matcher, hooks })
+   * @param {string} entryPath - Path of the entry, e.g. hooks.PostToolUse[0]
+   * @returns {Promise<Object>} Validation result ({ isValid, errors })
+   */
+  async validateHookConfig(hook, entryPath = '') {
+    const errors = [];
+    const commands = Array.isArray(hook.hooks) ? hook.hooks : [];
+
+    for (const [index, hookCommand] of commands.entries()) {
+      if (hookCommand && typeof hookCommand.command === 'string') {
+        const commandMatch = hookCommand.command.match(/node\s+"([^"]+)"/);
+        if (commandMatch) {
+          const scriptPath = commandMatch[1];
+          if (!await fs.pathExists(scriptPath)) {
+            errors.push({ path: `${entryPath}.hooks[${index}].command`, message: `Hook script not found: ${scriptPath}` });
           }
         }
       }
@@ -391,18 +1487,133 @@ class ConfigManager {
     };
   }
 
-  enableHook(_hookName, _options) {
-    // This would enable a disabled hook
-    // For now, we'll just show a message
-    console.log(chalk.yellow('ℹ️  Hook enable/disable functionality not yet implemented.'));
-    console.log('Use `rins_hooks install` to add hooks or `rins_hooks uninstall` to remove them.');
+  /**
+   * Enable a hook that was disabled with disableHook. The settings entry is never
+   * touched; only the enabled flag in the scope's rins_hooks configuration changes.
+   * @param {string} hookName - Hook name
+   * @param {Object} options - Scope options (user, project, local)
+   * @returns {Promise<Object>} Result ({ hook, scope, enabled, overriddenBy })
+   */
+  async enableHook(hookName, options = {}) {
+    try {
+      const scope = this.determineScope(options);
+      const config = await this.loadHookConfigFile(scope);
+
+      if (config.hooks && config.hooks[hookName]) {
+        delete config.hooks[hookName].enabled;
+        this.pruneHookConfig(config, hookName);
+      }
+      await this.saveHookConfigFile(scope, config);
+
+      // A lower precedence layer may still disable the hook, override it explicitly
+      const effective = await this.getEffectiveHookConfig(hookName);
+      if (effective.enabled === false) {
+        await this.setHookEnabled(hookName, true, scope);
+      }
+
+      await this.warnIfNotInstalled(hookName);
+      return await this.checkEnabledState(hookName, true, scope);
+    } catch (error) {
+      throw new Error(`Failed to enable hook: ${error.message}`);
+    }
   }
 
-  disableHook(_hookName, _options) {
-    // This would disable an enabled hook
-    // For now, we'll just show a message
-    console.log(chalk.yellow('ℹ️  Hook enable/disable functionality not yet implemented.'));
-    console.log('Use `rins_hooks install` to add hooks or `rins_hooks uninstall` to remove them.');
+  /**
+   * Disable a hook while keeping its settings entry, matcher, timeout and configuration
+   * @param {string} hookName - Hook name
+   * @param {Object} options - Scope options (user, project, local)
+   * @returns {Promise<Object>} Result ({ hook, scope, enabled, overriddenBy })
+   */
+  async disableHook(hookName, options = {}) {
+    try {
+      const scope = this.determineScope(options);
+      await this.setHookEnabled(hookName, false, scope);
+      await this.warnIfNotInstalled(hookName);
+      return await this.checkEnabledState(hookName, false, scope);
+    } catch (error) {
+      throw new Error(`Failed to disable hook: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check that enabling or disabling a hook took effect. A higher precedence layer,
+   * such as rins_hooks.local.json or a RINS_HOOKS_<HOOK>_ENABLED variable, still wins
+   * over the scope that was changed; it is named in a warning.
+   * @param {string} hookName - Hook name
+   * @param {boolean} enabled - The state that was asked for
+   * @param {string} scope - Scope that was changed
+   * @returns {Promise<Object>} Result ({ hook, scope, enabled, overriddenBy })
+   */
+  async checkEnabledState(hookName, enabled, scope) {
+    const effective = (await this.getEffectiveHookConfig(hookName)).enabled !== false;
+    const overriddenBy = effective === enabled ? null : await this.getEnabledLayer(hookName);
+
+    if (overriddenBy) {
+      console.warn(chalk.yellow(`⚠️  Hook '${hookName}' is still ${effective ? 'enabled' : 'disabled'}: ` +
+        `${overriddenBy} overrides the ${scope} setting.`));
+    }
+
+    return { hook: hookName, scope, enabled: effective, overriddenBy };
+  }
+
+  /**
+   * Find the layer that decides whether a hook is enabled
+   * @param {string} hookName - Hook name
+   * @returns {Promise<string|null>} The RINS_HOOKS_<HOOK>_ENABLED variable, or the highest
+   *   precedence rins_hooks.json that sets enabled, or null
+   */
+  async getEnabledLayer(hookName) {
+    const envKey = `RINS_HOOKS_${hookName.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_ENABLED`;
+    if (process.env[envKey] !== undefined) {
+      return `the ${envKey} environment variable`;
+    }
+
+    for (const scope of ['local', 'project', 'user']) {
+      const config = await this.loadHookConfigFile(scope);
+      if (config.hooks && config.hooks[hookName] && config.hooks[hookName].enabled !== undefined) {
+        return this.getHookConfigPath(scope);
+      }
+    }
+
+    return null;
+  }
+
+  async setHookEnabled(hookName, enabled, scope) {
+    const config = await this.loadHookConfigFile(scope);
+
+    config.hooks = config.hooks || {};
+    config.hooks[hookName] = { ...config.hooks[hookName], enabled };
+
+    await this.saveHookConfigFile(scope, config);
+  }
+
+  pruneHookConfig(config, hookName) {
+    if (Object.keys(config.hooks[hookName]).length === 0) {
+      delete config.hooks[hookName];
+    }
+    if (Object.keys(config.hooks).length === 0) {
+      delete config.hooks;
+    }
+  }
+
+  async warnIfNotInstalled(hookName) {
+    const status = await this.getInstallationStatus();
+    const installed = ['user', 'project', 'local'].some(scope =>
+      status[scope].some(hook => hook.name === hookName)
+    );
+
+    if (!installed) {
+      console.warn(chalk.yellow(`⚠️  Hook '${hookName}' is not installed in any scope.`));
+    }
+  }
+
+  determineScope(options) {
+    if (options.user) return 'user';
+    if (options.project) return 'project';
+    if (options.local) return 'local';
+
+    // Default to project level
+    return 'project';
   }
 }
 
@@ -0,0 +1,328 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const HookBase = require('./hook-base');
+const HookRegistry = require('./registry');
+const ConfigManager = require('./config');
+const { HOOK_EVENTS } = require('./events');
+
+const TOOL_EVENTS = ['PreToolUse', 'PostToolUse'];
+const PERMISSION_PRECEDENCE = ['deny', 'ask', 'allow'];
+
+class Dispatcher {
+  /**
+   * @param {Object} options - Dispatcher options
+   * @param {HookRegistry} options.registry - Hook registry (defaults to the bundled hooks and hookPaths)
+   * @param {Object} options.configOptions - Options passed to HookBase.loadConfig (cwd, homedir, env)
+   * @param {ConfigManager} options.configManager - Settings access, for the hooks run without names
+   */
+  constructor(options = {}) {
+    this.configOptions = options.configOptions || {};
+    this.registry = options.registry || new HookRegistry(this.configOptions);
+    this.configManager = options.configManager || null;
+  }
+
+  /**
+   * Run every enabled hook for an event in-process and merge their results
+   * @param {Object} input - Hook input data from Claude Code
+   * @param {Object} options - Run options
+   * @param {string} options.event - Event name, defaults to input.hook_event_name
+   * @param {Array} options.hooks - Hook names to run in order, defaults to every installed or declared
+   *   hook registered for the event
+   * @param {Array} options.installed - Hook names from an installed command's identity markers, run in
+   *   the order of the event's pipeline
+   * @returns {Promise<Object>} Merged hook result
+   */
+  async run(input, options = {}) {
+    const eventName = options.event || input.hook_event_name;
+
+    if (!eventName) {
+      throw new Error('No hook event specified. Use --event or provide hook_event_name in the input');
+    }
+
+    if (!HOOK_EVENTS.includes(eventName)) {
+      throw new Error(`Unknown hook event: ${eventName}`);
+    }
+
+    const eventInput = { ...input, hook_event_name: eventName };
+    const hooks = await this.resolveHooks(eventName, eventInput, options);
+    const results = [];
+
+    // Stages run sequentially so files modified by one hook are visible to the next
+    for (const hook of hooks) {
+      const result = await this.runHook(hook, eventInput, eventName);
+      if (!result) {
+        continue;
+      }
+
+      results.push(result);
+      if (Dispatcher.isStopResult(result)) {
+        break;
+      }
+    }
+
+    return this.mergeResults(results);
+  }
+
+  /**
+   * Find the configured pipeline for an event. Pipelines are declared in the
+   * layered rins_hooks configuration under pipelines.<Event> as an ordered list
+   * of { matcher, hooks } entries; the first entry whose matcher applies wins.
+   * @param {string} eventName - Hook event name
+   * @param {Object} input - Hook input data
+   * @returns {Promise<Object|null>} Pipeline ({ matcher, hooks }) or null
+   */
+  async findPipeline(eventName, input) {
+    const layered = await HookBase.loadLayeredConfig(this.configOptions);
+    const pipelines = (layered.pipelines && layered.pipelines[eventName]) || [];
+
+    return pipelines.find(pipeline =>
+      !TOOL_EVENTS.includes(eventName) || Dispatcher.matchesTool(pipeline.matcher, input.tool_name)
+    ) || null;
+  }
+
+  /**
+   * Determine which hooks run for an event, in execution order
+   * @param {string} eventName - Hook event name
+   * @param {Object} input - Hook input data
+   * @param {Object} options - Run options
+   * @param {Array} options.hooks - Explicit hook names (empty to use the event's pipeline or every
+   *   installed or declared hook registered for it)
+   * @param {Array} options.installed - Hook names from an installed command
+   * @returns {Promise<Array>} Hook metadata in execution order
+   */
+  async resolveHooks(eventName, input, options = {}) {
+    let hookNames = options.hooks || [];
+    let hooks;
+
+    if (hookNames.length === 0) {
+      const pipeline = await this.findPipeline(eventName, input);
+      if (options.installed) {
+        hookNames = pipeline ? Dispatcher.orderByPipeline(options.installed, pipeline.hooks || []) : options.installed;
+      } else if (pipeline) {
+        hookNames = pipeline.hooks || [];
+      }
+    }
+
+    if (hookNames.length > 0) {
+      const found = await this.registry.findHooks(hookNames);
+      hooks = hookNames.map(name => {
+        const hook = found.find(h => h.name === name);
+        if (!hook) {
+          throw new Error(`Hook '${name}' not found`);
+        }
+        return hook;
+      });
+    } else {
+      // Never every discovered hook: packages in node_modules may come in as dependencies of dependencies.
+      // They run in the order they were chosen: settings files (user, project, local), then the manifest.
+      hooks = (await this.registry.findHooks(await this.getConfigManager().getChosenHookNames()))
+        .filter(hook => this.registry.getHookEvents(hook).some(e => e.event === eventName));
+    }
+
+    // A hook may register an event more than once, with different matchers
+    return hooks.filter(hook => {
+      const registrations = this.registry.getHookEvents(hook).filter(e => e.event === eventName);
+      return registrations.length === 0 || !TOOL_EVENTS.includes(eventName) ||
+        registrations.some(registration => Dispatcher.matchesTool(registration.matcher, input.tool_name));
+    });
+  }
+
+  getConfigManager() {
+    if (!this.configManager) {
+      this.configManager = new ConfigManager(this.configOptions);
+    }
+    return this.configManager;
+  }
+
+  /**
+   * Order the hooks of an installed command by a pipeline: the pipeline's stages first, in
+   * its order, then the command's other hooks in the order they were installed. Stages that
+   * aren't installed in the command are not run.
+   * @param {Array} hookNames - Hook names from the installed command
+   * @param {Array} stages - Hook names of the pipeline
+   * @returns {Array} Hook names in execution order
+   */
+  static orderByPipeline(hookNames, stages) {
+    const staged = stages.filter(name => hookNames.includes(name));
+    return [...staged, ...hookNames.filter(name => !staged.includes(name))];
+  }
+
+  /**
+   * Run a single hook, converting thrown errors into error results
+   * @param {Object} hook - Hook metadata
+   * @param {Object} input - Hook input data
+   * @param {string} eventName - Hook event name
+   * @returns {Promise<Object|null>} Hook result, or null if the hook is disabled
+   */
+  async runHook(hook, input, eventName) {
+    try {
+      const config = await HookBase.loadConfig(hook.name, { ...this.configOptions, hookDir: hook.path });
+
+      if (config.enabled === false) {
+        return null;
+      }
+
+      await this.recordFixture(hook, input, eventName);
+
+      const HookClass = this.registry.loadHookClass(hook);
+      const instance = new HookClass(config);
+      const result = await instance.dispatch(input, eventName);
+
+      return { hook: hook.name, ...result };
+    } catch (error) {
+      return {
+        success: false,
+        error: `${hook.name}: ${error.message}`,
+        data: null,
+        hook: hook.name
+      };
+    }
+  }
+
+  /**
+   * Save the input of a real event as the fixture the hook's generated test runs it
+   * against, when RINS_HOOKS_RECORD_FIXTURES=1. Only hooks from the project's .claude/hooks
+   * and from hookPaths are recorded into: bundled hooks keep their fixtures under tests/,
+   * and npm packages are not ours to write to.
+   * @param {Object} hook - Hook metadata
+   * @param {Object} input - Hook input data
+   * @param {string} eventName - Hook event name
+   */
+  async recordFixture(hook, input, eventName) {
+    const env = this.configOptions.env || process.env;
+
+    if (env.RINS_HOOKS_RECORD_FIXTURES !== '1' || !['project', 'hookPaths'].includes(hook.source) || HookBase.isSelfTest(env)) {
+      return;
+    }
+
+    try {
+      await fs.outputFile(path.join(hook.path, 'fixtures', `${eventName}.json`), `${JSON.stringify(input, null, 2)}\n`);
+    } catch (error) {
+      // A fixture that can't be written never keeps the hook from running
+    }
+  }
+
+  /**
+   * Merge individual hook results into a single decision. Blocks win over
+   * everything else, permission decisions resolve as deny > ask > allow,
+   * additional context and messages are concatenated in execution order.
+   * @param {Array} results - Hook results in execution order
+   * @returns {Object} Merged result
+   */
+  mergeResults(results) {
+    const blocks = results.filter(result => result.decision === 'block');
+    if (blocks.length > 0) {
+      return {
+        decision: 'block',
+        reason: blocks.map(result => result.reason).join('\n'),
+        hook: 'rins_hooks'
+      };
+    }
+
+    const errors = results.filter(result => result.success === false);
+    const outputs = results.filter(result => result.output).map(result => result.output);
+
+    if (outputs.length === 0) {
+      if (errors.length > 0) {
+        return {
+          success: false,
+          error: errors.map(result => result.error).join('\n'),
+          data: null,
+          hook: 'rins_hooks'
+        };
+      }
+
+      const data = results
+        .filter(result => result.data)
+        .map(result => ({ hook: result.hook, ...result.data }));
+
+      return {
+        success: true,
+        data: data.length > 0 ? { results: data } : null,
+        hook: 'rins_hooks'
+      };
+    }
+
+    const output = {};
+    const stopReasons = outputs.filter(o => o.continue === false).map(o => o.stopReason).filter(Boolean);
+    const systemMessages = [
+      ...outputs.map(o => o.systemMessage).filter(Boolean),
+      ...errors.map(result => result.error)
+    ];
+
+    if (outputs.some(o => o.continue === false)) {
+      output.continue = false;
+      if (stopReasons.length > 0) {
+        output.stopReason = stopReasons.join('\n');
+      }
+    }
+
+    if (outputs.some(o => o.suppressOutput)) {
+      output.suppressOutput = true;
+    }
+
+    if (systemMessages.length > 0) {
+      output.systemMessage = systemMessages.join('\n');
+    }
+
+    const specific = outputs.map(o => o.hookSpecificOutput).filter(Boolean);
+    if (specific.length > 0) {
+      output.hookSpecificOutput = { hookEventName: specific[0].hookEventName };
+
+      const decisions = specific.filter(s => s.permissionDecision);
+      const decision = PERMISSION_PRECEDENCE.find(d => decisions.some(s => s.permissionDecision === d));
+      if (decision) {
+        output.hookSpecificOutput.permissionDecision = decision;
+        output.hookSpecificOutput.permissionDecisionReason = decisions
+          .filter(s => s.permissionDecision === decision)
+          .map(s => s.permissionDecisionReason)
+          .filter(Boolean)
+          .join('\n');
+      }
+
+      const contexts = specific.map(s => s.additionalContext).filter(Boolean);
+      if (contexts.length > 0) {
+        output.hookSpecificOutput.additionalContext = contexts.join('\n\n');
+      }
+    }
+
+    return {
+      success: true,
+      output: output,
+      hook: 'rins_hooks'
+    };
+  }
+
+  /**
+   * Check whether a result stops later pipeline stages (block, deny or continue: false)
+   * @param {Object} result - Hook result
+   * @returns {boolean} True if no further hooks should run
+   */
+  static isStopResult(result) {
+    const output = result.output || {};
+    const specific = output.hookSpecificOutput || {};
+
+    return result.decision === 'block' || output.continue === false || specific.permissionDecision === 'deny';
+  }
+
+  /**
+   * Check whether a Claude Code matcher matches a tool name
+   * @param {string} matcher - Matcher (empty or * matches all, otherwise a regex)
+   * @param {string} toolName - Tool name
+   * @returns {boolean} True if the matcher applies
+   */
+  static matchesTool(matcher, toolName) {
+    if (!matcher || matcher === '*') {
+      return true;
+    }
+
+    try {
+      return new RegExp(`^(?:${matcher})$`).test(toolName || '');
+    } catch (error) {
+      return matcher === toolName;
+    }
+  }
+}
+
+module.exports = Dispatcher;
@@ -0,0 +1,118 @@
+/**
+ * Typed input objects for every Claude Code hook event. Each class wraps the raw
+ * JSON payload received on stdin and exposes its fields with camelCase names.
+ * The original payload is always available as `raw`.
+ */
+
+class HookInput {
+  constructor(raw = {}) {
+    this.raw = raw;
+    this.eventName = raw.hook_event_name;
+    this.sessionId = raw.session_id;
+    this.transcriptPath = raw.transcript_path;
+    this.cwd = raw.cwd;
+  }
+}
+
+class ToolUseInput extends HookInput {
+  constructor(raw = {}) {
+    super(raw);
+    this.toolName = raw.tool_name;
+    this.toolInput = raw.tool_input || {};
+  }
+
+  /**
+   * File path targeted by the tool, if any
+   * @returns {string|undefined} File path
+   */
+  get filePath() {
+    return this.toolInput.file_path || this.toolInput.filePath;
+  }
+}
+
+class PreToolUseInput extends ToolUseInput {}
+
+class PostToolUseInput extends ToolUseInput {
+  constructor(raw = {}) {
+    super(raw);
+    this.toolResponse = raw.tool_response || {};
+  }
+}
+
+class NotificationInput extends HookInput {
+  constructor(raw = {}) {
+    super(raw);
+    this.message = raw.message;
+    this.title = raw.title;
+  }
+}
+
+class UserPromptSubmitInput extends HookInput {
+  constructor(raw = {}) {
+    super(raw);
+    this.prompt = raw.prompt;
+  }
+}
+
+class StopInput extends HookInput {
+  constructor(raw = {}) {
+    super(raw);
+    this.stopHookActive = Boolean(raw.stop_hook_active);
+  }
+}
+
+class SubagentStopInput extends StopInput {}
+
+class PreCompactInput extends HookInput {
+  constructor(raw = {}) {
+    super(raw);
+    this.trigger = raw.trigger;
+    this.customInstructions = raw.custom_instructions || '';
+  }
+}
+
+class SessionStartInput extends HookInput {
+  constructor(raw = {}) {
+    super(raw);
+    this.source = raw.source;
+  }
+}
+
+const EVENT_INPUTS = {
+  PreToolUse: PreToolUseInput,
+  PostToolUse: PostToolUseInput,
+  Notification: NotificationInput,
+  UserPromptSubmit: UserPromptSubmitInput,
+  Stop: StopInput,
+  SubagentStop: SubagentStopInput,
+  PreCompact: PreCompactInput,
+  SessionStart: SessionStartInput
+};
+
+const HOOK_EVENTS = Object.keys(EVENT_INPUTS);
+
+/**
+ * Create the typed input object for a raw hook payload
+ * @param {Object} raw - Raw hook input from Claude Code
+ * @param {string} eventName - Event name, defaults to raw.hook_event_name
+ * @returns {HookInput} Typed input object
+ */
+function createEventInput(raw, eventName = raw.hook_event_name) {
+  const InputClass = EVENT_INPUTS[eventName] || HookInput;
+  return new InputClass(raw);
+}
+
+module.exports = {
+  HOOK_EVENTS,
+  HookInput,
+  ToolUseInput,
+  PreToolUseInput,
+  PostToolUseInput,
+  NotificationInput,
+  UserPromptSubmitInput,
+  StopInput,
+  SubagentStopInput,
+  PreCompactInput,
+  SessionStartInput,
+  createEventInput
+};
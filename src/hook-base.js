@@ -1,12 +1,24 @@
+const { spawn } = require('child_process');
 const fs = require('fs-extra');
 const path = require('path');
+const os = require('os');
 const chalk = require('chalk');
+const { HOOK_EVENTS, createEventInput } = require('./events');
+
+const CONFIG_FILE_NAME = 'rins_hooks.json';
+const LOCAL_CONFIG_FILE_NAME = 'rins_hooks.local.json';
+const ENV_PREFIX = 'RINS_HOOKS_';
 
 class HookBase {
-  constructor(name, config = {}) {
+  /**
+   * @param {string} name - Hook name
+   * @param {Object} config - Hook configuration, merged over getDefaultConfig()
+   * @param {string} hookDir - Directory of the hook (defaults to the bundled hooks directory)
+   */
+  constructor(name, config = {}, hookDir = path.join(__dirname, '..', 'hooks', name)) {
     this.name = name;
-    this.config = { ...this.getDefaultConfig(), ...config };
-    this.hookDir = path.join(__dirname, '..', 'hooks', name);
+    this.config = HookBase.deepMerge(this.getDefaultConfig(), config);
+    this.hookDir = hookDir;
   }
 
   /**
@@ -31,6 +43,49 @@ class HookBase {
     throw new Error('execute() method must be implemented by subclass');
   }
 
+  /**
+   * Route hook input to the handler for its hook_event_name. Subclasses may
+   * implement any of onPreToolUse, onPostToolUse, onNotification,
+   * onUserPromptSubmit, onStop, onSubagentStop, onPreCompact and onSessionStart,
+   * which receive the typed input object for that event. Events without a
+   * handler fall back to execute() with the raw input. Disabled hooks
+   * (enabled: false) succeed without running.
+   * @param {Object} input - Hook input data from Claude Code
+   * @param {string} eventName - Event name, defaults to input.hook_event_name
+   * @returns {Promise<Object>} Hook result
+   */
+  async dispatch(input, eventName = input.hook_event_name) {
+    this.eventName = eventName;
+
+    if (this.config.enabled === false) {
+      return this.success();
+    }
+
+    if (this.handlesEvent(eventName)) {
+      return await this[HookBase.getHandlerName(eventName)](createEventInput(input, eventName));
+    }
+
+    return await this.execute(input);
+  }
+
+  /**
+   * Check whether this hook implements a dedicated handler for an event
+   * @param {string} eventName - Hook event name
+   * @returns {boolean} True if an on<Event> handler exists
+   */
+  handlesEvent(eventName) {
+    return HOOK_EVENTS.includes(eventName) && typeof this[HookBase.getHandlerName(eventName)] === 'function';
+  }
+
+  /**
+   * Get the handler method name for an event
+   * @param {string} eventName - Hook event name
+   * @returns {string} Handler method name (e.g. onPostToolUse)
+   */
+  static getHandlerName(eventName) {
+    return `on${eventName}`;
+  }
+
   /**
    * Validate the hook configuration
    * @returns {Promise<boolean>} True if valid
@@ -58,6 +113,39 @@ class HookBase {
     }
   }
 
+  /**
+   * Check what this hook needs at run time on this machine. `rins_hooks doctor` runs this
+   * for every installed hook. Subclasses override it to check the tools and settings they
+   * depend on, saying in the message what the hook will skip or fail to do without them.
+   * @returns {Promise<Array>} Diagnostics ({ check, status, message }) where status is ok, warning or error
+   */
+  diagnose() {
+    return Promise.resolve([]);
+  }
+
+  /**
+   * Check if a command is available in the system PATH
+   * @param {string} command - Command to check
+   * @returns {Promise<boolean>} True if command is available
+   */
+  isCommandAvailable(command) {
+    return new Promise((resolve) => {
+      const checkCommand = process.platform === 'win32' ? 'where' : 'which';
+
+      const child = spawn(checkCommand, [command], {
+        stdio: ['pipe', 'pipe', 'pipe']
+      });
+
+      child.on('close', (code) => {
+        resolve(code === 0);
+      });
+
+      child.on('error', () => {
+        resolve(false);
+      });
+    });
+  }
+
   /**
    * Get hook metadata
    * @returns {Promise<Object>} Hook metadata
@@ -105,7 +193,7 @@ class HookBase {
       hooks: [
         {
           type: 'command',
-          command: `node "${hookScript}"`,
+          command: `node "${hookScript}" --rins-hook=${this.name}`,
           timeout: this.config.timeout
         }
       ]
@@ -167,7 +255,280 @@ class HookBase {
   }
 
   /**
-   * Parse JSON input from stdin
+   * Return a structured JSON result following the Claude Code hook output contract
+   * @param {Object|null} hookSpecificOutput - Event specific fields (hookEventName defaults to the current event)
+   * @param {Object} options - Common output fields
+   * @param {boolean} options.continue - Set to false to stop Claude after the hook runs
+   * @param {string} options.stopReason - Message shown to the user when continue is false
+   * @param {boolean} options.suppressOutput - Hide stdout from transcript mode
+   * @param {string} options.systemMessage - Warning message shown to the user
+   * @returns {Object} JSON result
+   */
+  respond(hookSpecificOutput = null, options = {}) {
+    const output = {};
+
+    if (options.continue === false) {
+      output.continue = false;
+      if (options.stopReason) {
+        output.stopReason = options.stopReason;
+      }
+    }
+
+    if (options.suppressOutput) {
+      output.suppressOutput = true;
+    }
+
+    if (options.systemMessage) {
+      output.systemMessage = options.systemMessage;
+    }
+
+    if (hookSpecificOutput) {
+      const hookEventName = hookSpecificOutput.hookEventName || this.eventName;
+      output.hookSpecificOutput = hookEventName
+        ? { hookEventName, ...hookSpecificOutput }
+        : { ...hookSpecificOutput };
+    }
+
+    return {
+      success: true,
+      output: output,
+      hook: this.name
+    };
+  }
+
+  /**
+   * Return a PreToolUse permission decision
+   * @param {string} decision - allow, deny or ask
+   * @param {string} reason - Reason shown to the user (allow/ask) or to Claude (deny)
+   * @param {Object} options - Common output fields (see respond)
+   * @returns {Object} JSON result
+   */
+  permission(decision, reason, options = {}) {
+    return this.respond({
+      hookEventName: 'PreToolUse',
+      permissionDecision: decision,
+      permissionDecisionReason: reason
+    }, options);
+  }
+
+  /**
+   * Allow the tool call without asking the user (PreToolUse)
+   * @param {string} reason - Reason shown to the user
+   * @param {Object} options - Common output fields (see respond)
+   * @returns {Object} JSON result
+   */
+  allow(reason, options = {}) {
+    return this.permission('allow', reason, options);
+  }
+
+  /**
+   * Prevent the tool call and feed the reason back to Claude (PreToolUse)
+   * @param {string} reason - Reason shown to Claude
+   * @param {Object} options - Common output fields (see respond)
+   * @returns {Object} JSON result
+   */
+  deny(reason, options = {}) {
+    return this.permission('deny', reason, options);
+  }
+
+  /**
+   * Ask the user to confirm the tool call (PreToolUse)
+   * @param {string} reason - Reason shown to the user
+   * @param {Object} options - Common output fields (see respond)
+   * @returns {Object} JSON result
+   */
+  ask(reason, options = {}) {
+    return this.permission('ask', reason, options);
+  }
+
+  /**
+   * Add context for Claude (UserPromptSubmit, SessionStart and PostToolUse)
+   * @param {string} additionalContext - Context added to the conversation
+   * @param {Object} options - Common output fields (see respond)
+   * @returns {Object} JSON result
+   */
+  addContext(additionalContext, options = {}) {
+    return this.respond({ additionalContext }, options);
+  }
+
+  /**
+   * Stop Claude from continuing after this hook
+   * @param {string} stopReason - Message shown to the user
+   * @param {Object} options - Common output fields (see respond)
+   * @returns {Object} JSON result
+   */
+  halt(stopReason, options = {}) {
+    return this.respond(null, { ...options, continue: false, stopReason });
+  }
+
+  /**
+   * Get the paths of the layered rins_hooks configuration files
+   * @param {Object} options - Path options
+   * @param {string} options.cwd - Project directory (defaults to process.cwd())
+   * @param {string} options.homedir - Home directory (defaults to os.homedir())
+   * @returns {Object} Configuration file paths keyed by scope, lowest precedence first
+   */
+  static getConfigPaths(options = {}) {
+    const cwd = options.cwd || process.cwd();
+    const homedir = options.homedir || os.homedir();
+
+    return {
+      user: path.join(homedir, '.claude', CONFIG_FILE_NAME),
+      project: path.join(cwd, '.claude', CONFIG_FILE_NAME),
+      local: path.join(cwd, '.claude', LOCAL_CONFIG_FILE_NAME)
+    };
+  }
+
+  /**
+   * Load and deep merge the user, project and local rins_hooks configuration files
+   * @param {Object} options - Path options (see getConfigPaths)
+   * @returns {Promise<Object>} Merged configuration document
+   */
+  static async loadLayeredConfig(options = {}) {
+    const configPaths = HookBase.getConfigPaths(options);
+    let merged = {};
+
+    for (const configPath of Object.values(configPaths)) {
+      if (!await fs.pathExists(configPath)) {
+        continue;
+      }
+
+      try {
+        merged = HookBase.deepMerge(merged, await fs.readJson(configPath));
+      } catch (error) {
+        throw new Error(`Invalid configuration file ${configPath}: ${error.message}`);
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * Resolve the effective configuration for a hook. Layers are applied in order:
+   * the hook's config.json defaultConfig, ~/.claude/rins_hooks.json,
+   * .claude/rins_hooks.json, .claude/rins_hooks.local.json and finally
+   * RINS_HOOKS_<HOOK>_* environment variables.
+   * @param {string} name - Hook name
+   * @param {Object} options - Path options (see getConfigPaths) plus hookDir and env
+   * @returns {Promise<Object>} Merged hook configuration
+   */
+  static async loadConfig(name, options = {}) {
+    const hookDir = options.hookDir || path.join(__dirname, '..', 'hooks', name);
+    const metadataPath = path.join(hookDir, 'config.json');
+    let config = {};
+
+    if (await fs.pathExists(metadataPath)) {
+      const metadata = await fs.readJson(metadataPath);
+      config = HookBase.deepMerge(config, metadata.defaultConfig || {});
+    }
+
+    const layered = await HookBase.loadLayeredConfig(options);
+    if (layered.hooks && layered.hooks[name]) {
+      config = HookBase.deepMerge(config, layered.hooks[name]);
+    }
+
+    const envConfig = HookBase.parseEnvConfig(name, config, options.env || process.env);
+    return HookBase.deepMerge(config, envConfig);
+  }
+
+  /**
+   * Build a configuration object from RINS_HOOKS_<HOOK>_<KEY> environment variables.
+   * Nested keys are separated by a double underscore (e.g.
+   * RINS_HOOKS_NOTIFICATION_INTEGRATIONS__SLACK__WEBHOOK) and values are parsed as JSON
+   * when possible, otherwise used as plain strings.
+   * @param {string} name - Hook name
+   * @param {Object} reference - Known configuration used to resolve key casing
+   * @param {Object} env - Environment variables
+   * @returns {Object} Configuration overrides
+   */
+  static parseEnvConfig(name, reference = {}, env = process.env) {
+    const prefix = `${ENV_PREFIX}${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+    const normalize = (key) => key.toLowerCase().replace(/[^a-z0-9]/g, '');
+    const overrides = {};
+
+    for (const [envKey, rawValue] of Object.entries(env)) {
+      if (!envKey.startsWith(prefix) || envKey.length === prefix.length) {
+        continue;
+      }
+
+      const segments = envKey.slice(prefix.length).split('__');
+      let target = overrides;
+      let known = reference;
+
+      segments.forEach((segment, index) => {
+        const existingKey = HookBase.isPlainObject(known)
+          ? Object.keys(known).find(key => normalize(key) === normalize(segment))
+          : undefined;
+        const key = existingKey || segment.toLowerCase().replace(/_([a-z0-9])/g, (_match, char) => char.toUpperCase());
+
+        if (index === segments.length - 1) {
+          target[key] = HookBase.parseValue(rawValue);
+        } else {
+          target[key] = HookBase.isPlainObject(target[key]) ? target[key] : {};
+          target = target[key];
+          known = HookBase.isPlainObject(known) ? known[key] : undefined;
+        }
+      });
+    }
+
+    return overrides;
+  }
+
+  /**
+   * Parse a configuration value given as a string, falling back to the raw string
+   * @param {string} value - Raw value
+   * @returns {*} Parsed value
+   */
+  static parseValue(value) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  }
+
+  /**
+   * Check whether a value is a plain object (not an array or null)
+   * @param {*} value - Value to check
+   * @returns {boolean} True if plain object
+   */
+  static isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * Deep merge two configuration objects. Nested objects are merged recursively,
+   * arrays and scalar values from the source replace those in the target.
+   * @param {Object} target - Base configuration
+   * @param {Object} source - Overriding configuration
+   * @returns {Object} New merged configuration
+   */
+  static deepMerge(target, source) {
+    const result = { ...target };
+
+    for (const [key, value] of Object.entries(source || {})) {
+      result[key] = HookBase.isPlainObject(value) && HookBase.isPlainObject(result[key])
+        ? HookBase.deepMerge(result[key], value)
+        : value;
+    }
+
+    return result;
+  }
+
+  /**
+   * Check whether the hook is being run by `rins_hooks selftest`. Hooks with side
+   * effects outside the working directory (webhooks, desktop notifications, custom
+   * commands) skip them during the self-test.
+   * @param {Object} env - Environment variables
+   * @returns {boolean} True during the self-test
+   */
+  static isSelfTest(env = process.env) {
+    return env.RINS_HOOKS_SELFTEST === '1';
+  }
+
+  /**
+   * Parse JSON input from stdin. During the self-test the outcome is appended to the
+   * file named by RINS_HOOKS_SELFTEST_REPORT.
    * @returns {Promise<Object>} Parsed input
    */
   static parseInput() {
@@ -181,8 +542,10 @@ class HookBase {
       process.stdin.on('end', () => {
         try {
           const data = JSON.parse(input);
+          HookBase.reportInput({ parsedInput: true });
           resolve(data);
         } catch (error) {
+          HookBase.reportInput({ parsedInput: false, error: error.message });
           reject(new Error(`Invalid JSON input: ${error.message}`));
         }
       });
@@ -193,6 +556,25 @@ class HookBase {
     });
   }
 
+  /**
+   * Append one JSON line to the file named by RINS_HOOKS_SELFTEST_REPORT, which the
+   * self-test sets for each command it runs and reads once the command has exited.
+   * Outside the self-test the variable is unset and nothing is written; a report that
+   * can't be written is skipped, so it never fails the hook.
+   * @param {Object} report - { parsedInput, error } where error is the parse error message
+   */
+  static reportInput(report) {
+    const reportPath = process.env.RINS_HOOKS_SELFTEST_REPORT;
+
+    if (reportPath) {
+      try {
+        fs.appendFileSync(reportPath, `${JSON.stringify(report)}\n`);
+      } catch (error) {
+        // Without a report the self-test shows the input as unchecked
+      }
+    }
+  }
+
   /**
    * Output result to stdout
    * @param {Object} result - Result to output
@@ -206,6 +588,10 @@ class HookBase {
       // Blocking result - output to stderr and exit with code 2
       console.error(result.reason);
       process.exit(2);
+    } else if (result.output) {
+      // Structured JSON result - output to stdout for Claude Code to interpret
+      console.log(JSON.stringify(result.output));
+      process.exit(0);
     } else if (result.decision === 'approve') {
       // Approval result - output to stdout
       console.log(JSON.stringify(result));
@@ -1,55 +1,31 @@
 const fs = require('fs-extra');
 const path = require('path');
 const os = require('os');
+const { isDeepStrictEqual } = require('util');
 const chalk = require('chalk');
-const inquirer = require('inquirer');
+const semver = require('semver');
+const { createTwoFilesPatch } = require('diff');
 
 const Utils = require('./utils');
+const ConfigValidator = require('./validator');
 const ConfigManager = require('./config');
+const HookRegistry = require('./registry');
+const SelfTest = require('./selftest');
 
 class Installer {
-  constructor() {
+  /**
+   * @param {Object} options - Path options passed to ConfigManager (cwd, homedir, hooksDir)
+   */
+  constructor(options = {}) {
     this.utils = new Utils();
-    this.configManager = new ConfigManager();
-    this.hooksDir = path.join(__dirname, '..', 'hooks');
+    this.configManager = new ConfigManager(options);
+    this.hooksDir = options.hooksDir || path.join(__dirname, '..', 'hooks');
+    this.registry = new HookRegistry({ ...this.configManager.pathOptions, hooksDir: this.hooksDir });
+    this.selfTest = new SelfTest({ configManager: this.configManager });
   }
 
-  async getAvailableHooks() {
-    try {
-      const hookDirs = await fs.readdir(this.hooksDir);
-      const hooks = [];
-
-      for (const hookDir of hookDirs) {
-        const hookPath = path.join(this.hooksDir, hookDir);
-        const stat = await fs.stat(hookPath);
-
-        if (stat.isDirectory()) {
-          const configPath = path.join(hookPath, 'config.json');
-
-          if (await fs.pathExists(configPath)) {
-            try {
-              const config = await fs.readJson(configPath);
-              hooks.push({
-                name: config.name || hookDir,
-                description: config.description || 'No description available',
-                version: config.version || '1.0.0',
-                tags: config.tags || [],
-                requirements: config.requirements || [],
-                platforms: config.platforms || ['linux', 'darwin', 'win32'],
-                matcher: config.matcher || '',
-                timeout: config.timeout || 60
-              });
-            } catch (error) {
-              console.warn(chalk.yellow(`⚠️  Could not load config for hook: ${hookDir}`));
-            }
-          }
-        }
-      }
-
-      return hooks;
-    } catch (error) {
-      throw new Error(`Failed to get available hooks: ${error.message}`);
-    }
+  getAvailableHooks() {
+    return this.registry.getAvailableHooks();
   }
 
   async interactiveInstall(options = {}) {
@@ -62,41 +38,47 @@ class Installer {
 
       if (availableHooks.length === 0) {
         console.log(chalk.red('❌ No hooks available for installation.'));
-        return;
+        return Installer.emptyResult(null, options);
       }
 
-      // Show scope information
-      console.log(chalk.blue('📍 Installation Scope Options:'));
-      console.log(chalk.gray('  👤 User Level: ~/.claude/settings.json (affects all Claude Code projects)'));
-      console.log(chalk.gray('  📁 Project Level: .claude/settings.json (current project only, committed to git)'));
-      console.log(chalk.gray('  🔒 Local Level: .claude/settings.local.json (current project, NOT committed to git)'));
-      console.log();
+      const unavailable = 'Interactive installation needs a terminal; name the hooks to install or use --all';
 
-      // Select installation scope
-      const { scope } = await inquirer.prompt([
-        {
-          type: 'list',
-          name: 'scope',
-          message: 'Where would you like to install the hooks?',
-          choices: [
-            {
-              name: '👤 User Level (applies to all projects)',
-              value: 'user'
-            },
-            {
-              name: '📁 Project Level (current project only)',
-              value: 'project'
-            },
-            {
-              name: '🔒 Local Level (not committed to git)',
-              value: 'local'
-            }
-          ]
-        }
-      ]);
+      // Select installation scope, unless given with --user, --project or --local
+      let scope = options.user || options.project || options.local ? this.determineScope(options) : null;
+
+      if (!scope) {
+        // Show scope information
+        console.log(chalk.blue('📍 Installation Scope Options:'));
+        console.log(chalk.gray('  👤 User Level: ~/.claude/settings.json (affects all Claude Code projects)'));
+        console.log(chalk.gray('  📁 Project Level: .claude/settings.json (current project only, committed to git)'));
+        console.log(chalk.gray('  🔒 Local Level: .claude/settings.local.json (current project, NOT committed to git)'));
+        console.log();
+
+        ({ scope } = await Utils.prompt([
+          {
+            type: 'list',
+            name: 'scope',
+            message: 'Where would you like to install the hooks?',
+            choices: [
+              {
+                name: '👤 User Level (applies to all projects)',
+                value: 'user'
+              },
+              {
+                name: '📁 Project Level (current project only)',
+                value: 'project'
+              },
+              {
+                name: '🔒 Local Level (not committed to git)',
+                value: 'local'
+              }
+            ]
+          }
+        ], options, unavailable));
+      }
 
       // Select hooks to install
-      const { selectedHooks } = await inquirer.prompt([
+      const { selectedHooks } = await Utils.prompt([
         {
           type: 'checkbox',
           name: 'selectedHooks',
@@ -107,48 +89,58 @@ class Installer {
             checked: false
           }))
         }
-      ]);
+      ], options, unavailable);
 
       if (selectedHooks.length === 0) {
         console.log(chalk.yellow('ℹ️  No hooks selected. Installation cancelled.'));
-        return;
+        return Installer.emptyResult(scope, options);
       }
 
       // Configure installation options
-      const installOptions = { ...options, [scope]: true };
+      const installOptions = { ...options, user: false, project: false, local: false, [scope]: true };
 
       // Install selected hooks
-      await this.installHooks(selectedHooks, installOptions);
+      const result = await this.installHooks(selectedHooks, installOptions);
 
       console.log();
       console.log(chalk.green('✅ Interactive installation completed!'));
       console.log(chalk.cyan('Run `rins_hooks status` to verify the installation.'));
 
+      return result;
     } catch (error) {
       throw new Error(`Interactive installation failed: ${error.message}`);
     }
   }
 
+  /**
+   * Install hooks into a scope's settings file in a single transaction
+   * @param {Array} hookNames - Hook names
+   * @param {Object} options - Install options (user, project, local, dryRun, force, portable)
+   * @returns {Promise<Object>} Result ({ scope, dryRun, changed, hooks: [{ name, version, events, command }] })
+   */
   async installHooks(hookNames, options = {}) {
     try {
       console.log(chalk.blue(`📦 Installing hooks: ${hookNames.join(', ')}`));
       console.log();
 
+      const scope = this.determineScope(options);
+
       const availableHooks = await this.getAvailableHooks();
       const hooksToInstall = [];
 
-      // Validate hook names
+      // Validate hook names before touching any settings
+      const unknownHooks = [];
       for (const hookName of hookNames) {
         const hook = availableHooks.find(h => h.name === hookName);
         if (!hook) {
-          console.error(chalk.red(`❌ Hook '${hookName}' not found.`));
+          unknownHooks.push(hookName);
           continue;
         }
         hooksToInstall.push(hook);
       }
 
-      if (hooksToInstall.length === 0) {
-        throw new Error('No valid hooks to install');
+      if (unknownHooks.length > 0) {
+        throw new Error(`Hook(s) not found: ${unknownHooks.join(', ')}`);
       }
 
       // Check platform compatibility
@@ -163,54 +155,99 @@ class Installer {
           console.warn(chalk.yellow(`   ${hook.name} supports: ${hook.platforms.join(', ')}`));
         });
 
-        const { continueInstall } = await inquirer.prompt([
-          {
-            type: 'confirm',
-            name: 'continueInstall',
-            message: 'Continue with installation?',
-            default: false
-          }
-        ]);
+        const continueInstall = await Utils.confirm('Continue with installation?', options,
+          `${incompatibleHooks.map(hook => hook.name).join(', ')} not supported on ${currentPlatform}`);
 
         if (!continueInstall) {
           console.log(chalk.yellow('ℹ️  Installation cancelled.'));
-          return;
+          return Installer.emptyResult(scope, options);
         }
       }
 
       // Check requirements
       await this.checkRequirements(hooksToInstall);
 
-      // Determine installation scope
-      const scope = this.determineScope(options);
       console.log(chalk.blue(`📍 Installation scope: ${scope}`));
 
+      // Build every entry first so a bad hook aborts the install before anything is written
+      const installations = [];
+      for (const hook of hooksToInstall) {
+        installations.push({ hook, entries: await this.createHookEntries(hook, options) });
+      }
+
+      const install = settings => {
+        for (const { hook, entries } of installations) {
+          this.applyHookEntries(settings, hook.name, entries);
+        }
+      };
+      const hooks = installations.map(({ hook, entries }) => ({
+        name: hook.name,
+        version: hook.version,
+        events: entries.map(({ eventType, entry }) => ({
+          event: eventType,
+          matcher: entry.matcher,
+          timeout: entry.hooks[0].timeout
+        })),
+        command: entries[0].entry.hooks[0].command
+      }));
+
       // Dry run check
       if (options.dryRun) {
         console.log(chalk.yellow('🔍 DRY RUN - No changes will be made'));
         console.log();
 
-        for (const hook of hooksToInstall) {
+        for (const { hook, entries } of installations) {
           console.log(chalk.cyan(`Would install: ${hook.name}`));
           console.log(chalk.gray(`  Description: ${hook.description}`));
-          console.log(chalk.gray(`  Matcher: ${hook.matcher}`));
-          console.log(chalk.gray(`  Timeout: ${hook.timeout}s`));
+          for (const { eventType, entry } of entries) {
+            console.log(chalk.gray(`  Event: ${eventType} (matcher: ${entry.matcher || '(all)'}, timeout: ${entry.hooks[0].timeout}s)`));
+          }
           console.log();
         }
-        return;
+
+        const preview = await this.configManager.previewSettings(scope, install);
+        Installer.printPreview(preview);
+
+        return { scope, dryRun: true, changed: preview.changed, hooks, files: [preview] };
       }
 
-      // Create backup
-      await this.configManager.createBackup(scope);
+      const { changed } = await this.configManager.updateSettings(scope, install, { force: options.force });
 
-      // Install hooks
-      for (const hook of hooksToInstall) {
-        await this.installSingleHook(hook, scope, options);
+      for (const { hook, entries } of installations) {
+        console.log(chalk.green(`  ✅ ${hook.name} installed successfully`));
+        for (const { eventType, entry } of entries) {
+          console.log(chalk.gray(`    Event: ${eventType} (matcher: ${entry.matcher || '(all)'})`));
+        }
+        console.log(chalk.gray(`    Command: ${entries[0].entry.hooks[0].command}`));
+      }
+
+      if (scope === 'project' && !options.portable) {
+        console.log();
+        console.log(chalk.yellow('⚠️  These commands contain absolute paths that only exist on this machine.'));
+        console.log(chalk.yellow('   Use --portable if .claude/settings.json is shared with your team.'));
+      }
+
+      console.log();
+      if (changed) {
+        console.log(chalk.green('✅ All hooks installed successfully!'));
+      } else {
+        console.log(chalk.green('✅ All hooks were already installed and up to date.'));
+      }
+
+      if (options.selftest === false) {
+        return { scope, dryRun: false, changed, hooks };
       }
 
+      // Start each installed command once, so a hook that cannot run is reported now rather than by Claude Code
       console.log();
-      console.log(chalk.green('✅ All hooks installed successfully!'));
+      const selftest = await this.selfTest.run({ scopes: [scope], hooks: hooks.map(hook => hook.name) });
+      SelfTest.printResults(selftest);
 
+      if (selftest.some(result => !result.passed)) {
+        console.log(chalk.yellow('⚠️  Some hooks failed their self-test. Run `rins_hooks selftest` after fixing them.'));
+      }
+
+      return { scope, dryRun: false, changed, hooks, selftest };
     } catch (error) {
       throw new Error(`Hook installation failed: ${error.message}`);
     }
@@ -223,62 +260,95 @@ class Installer {
 
       if (hookNames.length === 0) {
         console.log(chalk.yellow('ℹ️  No hooks available to install.'));
-        return;
+        return Installer.emptyResult(this.determineScope(options), options);
       }
 
-      await this.installHooks(hookNames, options);
+      return await this.installHooks(hookNames, options);
     } catch (error) {
       throw new Error(`Install all failed: ${error.message}`);
     }
   }
 
-  async installSingleHook(hook, scope) {
-    try {
-      console.log(chalk.blue(`🔧 Installing ${hook.name}...`));
-
-      // Load hook configuration
-      await this.loadHookConfig(hook.name);
-
-      // Generate absolute path to hook script
-      const hookScriptPath = path.resolve(this.hooksDir, hook.name, 'index.js');
-
-      // Determine event type based on hook name and config
-      let eventType = 'PostToolUse'; // Default
-      if (hook.name === 'notification') {
-        eventType = 'Notification';
-      }
+  /**
+   * Build the settings entries for a hook, one for every event declared in its config.json.
+   * Each entry runs the dispatcher, so hooks installed for the same event and matcher are
+   * merged into one command by ConfigManager#insertHook and start a single process.
+   * @param {Object} hook - Hook metadata
+   * @param {Object} options - Install options
+   * @param {string|boolean} options.portable - Portable command mode (npx or node_modules, true for npx)
+   * @returns {Promise<Array>} Event types and settings entries ({ eventType, entry })
+   */
+  async createHookEntries(hook, options = {}) {
+    const hookScriptPath = path.resolve(hook.path, 'index.js');
+
+    if (!await fs.pathExists(hookScriptPath)) {
+      throw new Error(`Hook script not found for ${hook.name}: ${hookScriptPath}`);
+    }
 
-      // Generate Claude Code hook configuration
-      const claudeConfig = {
-        matcher: hook.matcher || '',
+    return this.registry.getHookEvents(hook).map(registration => ({
+      eventType: registration.event,
+      entry: {
+        matcher: registration.matcher,
         hooks: [
           {
             type: 'command',
-            command: `node "${hookScriptPath}"`,
-            timeout: hook.timeout || 30
+            command: ConfigManager.tagCommand(
+              Installer.getDispatcherCommand(registration.event, options.portable),
+              hook.name,
+              hook.version
+            ),
+            timeout: registration.timeout
           }
         ]
-      };
-
-      // Add to Claude Code settings
-      await this.configManager.addHook(eventType, claudeConfig, scope);
+      }
+    }));
+  }
 
-      console.log(chalk.green(`  ✅ ${hook.name} installed successfully`));
-      console.log(chalk.gray(`    Event: ${eventType}`));
-      console.log(chalk.gray(`    Matcher: ${hook.matcher || '(all)'}`));
-      console.log(chalk.gray(`    Command: node "${hookScriptPath}"`));
+  /**
+   * Put a hook's entries into a settings document, replacing its previous entries
+   * in place and dropping registrations for events and matchers it no longer declares
+   * @param {Object} settings - Settings document (modified in place)
+   * @param {string} hookName - Hook name
+   * @param {Array} entries - Entries from createHookEntries
+   */
+  applyHookEntries(settings, hookName, entries) {
+    const declared = entries.map(({ eventType }) => eventType);
+    const stale = Object.keys(settings.hooks || {}).filter(eventType => !declared.includes(eventType));
+    this.configManager.stripHookCommands(settings, hookName, stale);
+
+    // A hook may register an event more than once, with different matchers
+    for (const eventType of new Set(declared)) {
+      const matchers = entries.filter(e => e.eventType === eventType).map(({ entry }) => entry.matcher || '');
+      const installed = ((settings.hooks && settings.hooks[eventType]) || []).map(entry => entry.matcher || '');
+      for (const matcher of new Set(installed.filter(m => !matchers.includes(m)))) {
+        this.configManager.stripHookCommands(settings, hookName, [eventType], null, matcher);
+      }
+    }
 
-    } catch (error) {
-      console.error(chalk.red(`  ❌ Failed to install ${hook.name}: ${error.message}`));
+    for (const { eventType, entry } of entries) {
+      this.configManager.insertHook(settings, eventType, entry);
     }
   }
 
-  async loadHookConfig(hookName) {
-    try {
-      const configPath = path.join(this.hooksDir, hookName, 'config.json');
-      return await fs.readJson(configPath);
-    } catch (error) {
-      throw new Error(`Failed to load hook config: ${error.message}`);
+  /**
+   * Build the command that runs the dispatcher for an event. The hooks it runs are
+   * named by the identity markers appended to it.
+   * @param {string} eventType - Hook event name
+   * @param {string|boolean} mode - false for this installation's absolute path, npx (rins_hooks
+   *   from the project or PATH, true) or node_modules (the project's own node_modules/.bin)
+   * @returns {string} Dispatcher command
+   */
+  static getDispatcherCommand(eventType, mode = false) {
+    switch (mode === true ? 'npx' : mode) {
+      case false:
+      case undefined:
+        return `node "${path.resolve(__dirname, '..', 'bin', 'rins_hooks')}" run --event ${eventType}`;
+      case 'npx':
+        return `npx --no-install rins_hooks run --event ${eventType}`;
+      case 'node_modules':
+        return `"$CLAUDE_PROJECT_DIR/node_modules/.bin/rins_hooks" run --event ${eventType}`;
+      default:
+        throw new Error(`Unknown portable mode '${mode}'. Use npx or node_modules`);
     }
   }
 
@@ -323,6 +393,23 @@ class Installer {
     return suggestions[command] || null;
   }
 
+  /**
+   * Print the diff of a settings preview from ConfigManager.previewSettings
+   * @param {Object} preview - Settings preview
+   */
+  static printPreview(preview) {
+    if (!preview.changed) {
+      console.log(chalk.green(`✅ No changes to ${preview.path}`));
+      return;
+    }
+
+    console.log(Utils.colorizeDiff(preview.diff));
+  }
+
+  static emptyResult(scope, options = {}) {
+    return { scope, dryRun: Boolean(options.dryRun), changed: false, hooks: [] };
+  }
+
   determineScope(options) {
     if (options.user) return 'user';
     if (options.project) return 'project';
@@ -332,6 +419,432 @@ class Installer {
     return 'project';
   }
 
+  /**
+   * Upgrade installed hooks to the entries and options of the current package:
+   * rewrites stale paths, events, matchers and timeouts, and runs the option
+   * migrations of hooks whose installed version is older than the package's
+   * @param {Object} options - Upgrade options (user, project, local, dryRun, force)
+   * @returns {Promise<Array>} Upgrade plans, one per scope
+   */
+  async upgrade(options = {}) {
+    try {
+      console.log(chalk.blue('⬆️  Upgrading installed hooks'));
+      console.log();
+
+      const scopes = options.user || options.project || options.local
+        ? [this.determineScope(options)]
+        : ['user', 'project', 'local'];
+      const plans = [];
+
+      if (options.dryRun) {
+        console.log(chalk.yellow('🔍 DRY RUN - No changes will be made'));
+        console.log();
+      }
+
+      for (const scope of scopes) {
+        const plan = await this.planUpgrade(scope);
+        plans.push(plan);
+
+        if (plan.hooks.length === 0) {
+          continue;
+        }
+
+        console.log(chalk.green(`${scope.charAt(0).toUpperCase() + scope.slice(1)} Level:`));
+        for (const hook of plan.hooks) {
+          console.log(Installer.formatUpgradeAction(hook));
+        }
+
+        if (plan.settingsDiff || plan.configDiff) {
+          console.log();
+          [plan.settingsDiff, plan.configDiff].filter(Boolean).forEach(diff => console.log(Utils.colorizeDiff(diff)));
+        }
+
+        if (!options.dryRun && plan.settingsDiff) {
+          await this.configManager.updateSettings(scope, settings => this.applyUpgrade(settings, plan), { force: options.force });
+        }
+
+        if (!options.dryRun && plan.configDiff) {
+          await this.configManager.saveHookConfigFile(scope, plan.config);
+        }
+
+        console.log();
+      }
+
+      const upgraded = plans.flatMap(plan => plan.hooks).filter(hook => hook.action === 'upgrade' || hook.action === 'refresh');
+      if (plans.every(plan => plan.hooks.length === 0)) {
+        console.log(chalk.yellow('ℹ️  No rins_hooks hooks installed.'));
+      } else if (upgraded.length === 0) {
+        console.log(chalk.green('✅ All hooks are up to date.'));
+      } else if (!options.dryRun) {
+        console.log(chalk.green(`✅ Upgraded ${upgraded.length} hook installation(s).`));
+      }
+
+      return plans;
+    } catch (error) {
+      throw new Error(`Upgrade failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Work out what upgrading a scope would change without writing anything
+   * @param {string} scope - user, project or local
+   * @returns {Promise<Object>} Plan ({ scope, hooks, entries, config, settingsDiff, configDiff })
+   */
+  async planUpgrade(scope) {
+    const availableHooks = await this.getAvailableHooks();
+    const { settings, format } = await this.configManager.readSettingsFile(scope);
+    const config = await this.configManager.loadHookConfigFile(scope);
+    const installed = Installer.findInstalledHooks(settings);
+    const plan = { scope, hooks: [], entries: {}, config: JSON.parse(JSON.stringify(config)) };
+
+    for (const [name, commands] of Object.entries(installed)) {
+      const hook = availableHooks.find(h => h.name === name);
+      const versions = commands.map(c => semver.valid(c.version) || '0.0.0');
+      const from = versions.sort(semver.compare)[0];
+      const legacy = commands.some(c => !c.version);
+
+      if (!hook) {
+        plan.hooks.push({ name, from, action: 'missing' });
+        continue;
+      }
+
+      if (semver.gt(from, hook.version)) {
+        plan.hooks.push({ name, from, to: hook.version, action: 'newer' });
+        continue;
+      }
+
+      // Keep the command style (absolute path or portable mode) the hook was installed with
+      const entries = await this.createHookEntries(hook, { portable: Installer.detectPortableMode(commands[0].command) });
+      const updated = JSON.parse(JSON.stringify(settings));
+      this.applyHookEntries(updated, name, entries);
+
+      const isOutdated = semver.lt(from, hook.version);
+      if (isOutdated || legacy || !isDeepStrictEqual(updated, settings)) {
+        plan.entries[name] = entries;
+      }
+
+      if (isOutdated && plan.config.hooks && plan.config.hooks[name]) {
+        for (const migration of await this.registry.getHookMigrations(hook)) {
+          if (semver.gt(migration.version, from) && semver.lte(migration.version, hook.version)) {
+            plan.config.hooks[name] = migration.migrate(plan.config.hooks[name]);
+          }
+        }
+      }
+
+      plan.hooks.push({
+        name,
+        from: legacy ? null : from,
+        to: hook.version,
+        action: isOutdated || legacy ? 'upgrade' : plan.entries[name] ? 'refresh' : 'current'
+      });
+    }
+
+    const upgradedSettings = JSON.parse(JSON.stringify(settings));
+    this.applyUpgrade(upgradedSettings, plan);
+
+    plan.settingsDiff = Installer.diffDocuments(this.configManager.getSettingsPath(scope), settings, upgradedSettings, format);
+    plan.configDiff = Installer.diffDocuments(this.configManager.getHookConfigPath(scope), config, plan.config);
+
+    return plan;
+  }
+
+  applyUpgrade(settings, plan) {
+    for (const [name, entries] of Object.entries(plan.entries)) {
+      this.applyHookEntries(settings, name, entries);
+    }
+  }
+
+  /**
+   * Make a scope's settings match the team manifest, the "install" list in the project's
+   * .claude/rins_hooks.json: install missing hooks, update outdated ones and remove
+   * rins_hooks hooks the manifest doesn't list. Other commands are left alone.
+   * @param {Object} options - Sync options (local, check, dryRun, force, portable)
+   * @returns {Promise<Object>} Plan ({ scope, manifestPath, hooks, entries, remove, drift, diff })
+   */
+  async sync(options = {}) {
+    try {
+      const scope = options.local ? 'local' : 'project';
+      const plan = await this.planSync(scope, options);
+
+      console.log(chalk.blue(`🔄 Syncing ${scope} hooks with ${plan.manifestPath}`));
+      console.log();
+
+      for (const hook of plan.hooks) {
+        console.log(Installer.formatSyncAction(hook));
+      }
+
+      if (options.check) {
+        console.log();
+        if (plan.drift) {
+          console.log(chalk.red('❌ Installed hooks do not match the manifest. Run `rins_hooks sync` to update them.'));
+        } else {
+          console.log(chalk.green('✅ Installed hooks match the manifest.'));
+        }
+        return plan;
+      }
+
+      if (plan.diff) {
+        console.log();
+        console.log(Utils.colorizeDiff(plan.diff));
+      }
+
+      if (options.dryRun) {
+        console.log(chalk.yellow('🔍 DRY RUN - No changes were made'));
+        return plan;
+      }
+
+      if (!plan.diff) {
+        console.log();
+        console.log(chalk.green('✅ Already in sync with the manifest.'));
+        return plan;
+      }
+
+      await this.configManager.updateSettings(scope, settings => this.applySync(settings, plan), { force: options.force });
+
+      console.log(chalk.green('✅ Hooks synced with the manifest.'));
+      return plan;
+    } catch (error) {
+      throw new Error(`Sync failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Compare a scope's settings with the team manifest without writing anything. Drift is
+   * judged on hook names, versions, events, matchers and timeouts only, so commands that
+   * point at another machine's install location don't count as drift.
+   * @param {string} scope - project or local
+   * @param {Object} options - Sync options (portable)
+   * @returns {Promise<Object>} Plan ({ scope, manifestPath, hooks, entries, remove, drift, diff })
+   */
+  async planSync(scope, options = {}) {
+    const manifest = await this.loadManifest();
+    const availableHooks = await this.getAvailableHooks();
+    const { settings, format } = await this.configManager.readSettingsFile(scope);
+    const installed = Installer.findInstalledHooks(settings);
+    const plan = { scope, manifestPath: this.configManager.getHookConfigPath('project'), hooks: [], entries: {}, remove: [] };
+    const problems = [];
+
+    for (const declared of manifest) {
+      const hook = availableHooks.find(h => h.name === declared.hook);
+
+      if (!hook) {
+        problems.push(`${declared.hook} is not provided by rins_hooks`);
+        continue;
+      }
+
+      if (declared.version && !semver.satisfies(hook.version, declared.version)) {
+        problems.push(`${hook.name} ${declared.version} is required but rins_hooks provides ${hook.version}`);
+        continue;
+      }
+
+      let events;
+      try {
+        events = Installer.selectEvents(hook, declared.events);
+      } catch (error) {
+        problems.push(error.message);
+        continue;
+      }
+
+      const current = installed[hook.name] || [];
+      const portable = options.portable || (current.length > 0 && Installer.detectPortableMode(current[0].command));
+      const entries = await this.createHookEntries({ ...hook, events }, { portable });
+
+      const updated = JSON.parse(JSON.stringify(settings));
+      this.applyHookEntries(updated, hook.name, entries);
+      // Compared as installed, since hooks sharing a dispatcher command share its timeout
+      const desired = Installer.findInstalledHooks(updated)[hook.name];
+
+      let action = 'ok';
+      if (current.length === 0) {
+        action = 'install';
+      } else if (Installer.registrationSignature(current) !== Installer.registrationSignature(desired)) {
+        action = 'update';
+      } else if (!isDeepStrictEqual(updated, settings)) {
+        action = 'refresh';
+      }
+
+      if (action !== 'ok') {
+        plan.entries[hook.name] = entries;
+      }
+      plan.hooks.push({ name: hook.name, version: hook.version, action });
+    }
+
+    if (problems.length > 0) {
+      throw new Error(`The manifest cannot be installed: ${problems.join('; ')}`);
+    }
+
+    for (const name of Object.keys(installed)) {
+      if (!manifest.some(declared => declared.hook === name)) {
+        plan.remove.push(name);
+        plan.hooks.push({ name, action: 'remove' });
+      }
+    }
+
+    const synced = JSON.parse(JSON.stringify(settings));
+    this.applySync(synced, plan);
+
+    plan.drift = plan.hooks.some(hook => ['install', 'update', 'remove'].includes(hook.action));
+    plan.diff = Installer.diffDocuments(this.configManager.getSettingsPath(scope), settings, synced, format);
+
+    return plan;
+  }
+
+  applySync(settings, plan) {
+    for (const [name, entries] of Object.entries(plan.entries)) {
+      this.applyHookEntries(settings, name, entries);
+    }
+    for (const name of plan.remove) {
+      this.configManager.stripHookCommands(settings, name);
+    }
+  }
+
+  /**
+   * Read the "install" list from the project's rins_hooks.json
+   * @returns {Promise<Array>} Declared hooks ({ hook, version, events })
+   */
+  async loadManifest() {
+    const manifestPath = this.configManager.getHookConfigPath('project');
+    const config = await this.configManager.loadHookConfigFile('project');
+
+    if (config.install === undefined) {
+      throw new Error(`No hooks declared in ${manifestPath}. Add an "install" list, e.g. "install": [{ "hook": "auto-commit" }]`);
+    }
+
+    const errors = (await this.configManager.validator.validateHookConfigFile(config))
+      .filter(error => ConfigValidator.isWithinPath(error.path, 'install'));
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid manifest ${manifestPath}: ${errors.map(error => `${error.path}: ${error.message}`).join('; ')}`);
+    }
+
+    return config.install;
+  }
+
+  /**
+   * Pick the events a manifest entry installs a hook for. Each event must be one the
+   * hook handles; without a matcher, every registration the hook has for the event is
+   * installed, and the timeout defaults to the hook's own.
+   * @param {Object} hook - Hook metadata
+   * @param {Array} declared - Events from the manifest, or undefined for all of the hook's events
+   * @returns {Array} Event registrations ({ event, matcher, timeout })
+   */
+  static selectEvents(hook, declared) {
+    if (!declared) {
+      return hook.events;
+    }
+
+    return declared.flatMap(({ event, matcher, timeout }) => {
+      const registrations = hook.events.filter(r => r.event === event);
+
+      if (registrations.length === 0) {
+        throw new Error(`${hook.name} does not handle ${event} (it handles ${hook.events.map(r => r.event).join(', ')})`);
+      }
+
+      if (matcher === undefined) {
+        return registrations.map(registration => ({ ...registration, timeout: timeout || registration.timeout }));
+      }
+
+      const registration = registrations.find(r => (r.matcher || '') === matcher) || registrations[0];
+      return [{ event, matcher, timeout: timeout || registration.timeout }];
+    });
+  }
+
+  static registrationSignature(registrations) {
+    return registrations
+      .map(({ event, matcher, timeout, version }) => JSON.stringify([event, matcher || '', timeout, version]))
+      .sort()
+      .join('\n');
+  }
+
+  static formatSyncAction(hook) {
+    switch (hook.action) {
+      case 'install':
+        return chalk.cyan(`  ➕ ${hook.name} ${hook.version} (not installed)`);
+      case 'update':
+        return chalk.cyan(`  🔄 ${hook.name} ${hook.version} (installed version, events, matcher or timeout differ)`);
+      case 'refresh':
+        return chalk.cyan(`  🔄 ${hook.name} ${hook.version} (updating command)`);
+      case 'remove':
+        return chalk.cyan(`  ➖ ${hook.name} (not in the manifest)`);
+      default:
+        return chalk.green(`  ✅ ${hook.name} ${hook.version}`);
+    }
+  }
+
+  /**
+   * Collect the rins_hooks commands in a settings document by hook name
+   * @param {Object} settings - Settings document
+   * @returns {Object} Hook name to [{ event, matcher, timeout, command, version }]
+   */
+  static findInstalledHooks(settings) {
+    const installed = {};
+
+    for (const [eventType, entries] of Object.entries(settings.hooks || {})) {
+      for (const entry of Array.isArray(entries) ? entries : []) {
+        for (const hookCommand of Array.isArray(entry.hooks) ? entry.hooks : []) {
+          for (const identity of ConfigManager.getHookIdentities(hookCommand.command)) {
+            installed[identity.name] = installed[identity.name] || [];
+            installed[identity.name].push({
+              event: eventType,
+              matcher: entry.matcher || '',
+              timeout: hookCommand.timeout,
+              command: hookCommand.command,
+              version: identity.version
+            });
+          }
+        }
+      }
+    }
+
+    return installed;
+  }
+
+  /**
+   * Work out which portable mode an installed command was written with
+   * @param {string} command - Installed command
+   * @returns {string|boolean} npx, node_modules, or false for absolute paths
+   */
+  static detectPortableMode(command) {
+    if (/\bnpx\b[^|;&]*\brins_hooks run\b/.test(command)) {
+      return 'npx';
+    }
+    if (/node_modules[/\\]\.bin[/\\]rins_hooks"? run\b/.test(command)) {
+      return 'node_modules';
+    }
+    return false;
+  }
+
+  static diffDocuments(filePath, before, after, format = {}) {
+    if (isDeepStrictEqual(before, after)) {
+      return '';
+    }
+
+    const indent = format.indent !== undefined ? format.indent : 2;
+    return createTwoFilesPatch(filePath, filePath, `${JSON.stringify(before, null, indent)}\n`,
+      `${JSON.stringify(after, null, indent)}\n`, 'installed', 'upgraded');
+  }
+
+  static formatUpgradeAction(hook) {
+    switch (hook.action) {
+      case 'upgrade':
+        return chalk.cyan(`  ⬆️  ${hook.name} ${hook.from || '(unversioned)'} → ${hook.to}`);
+      case 'refresh':
+        return chalk.cyan(`  🔄 ${hook.name} ${hook.to} (updating stale entries)`);
+      case 'newer':
+        return chalk.yellow(`  ⚠️  ${hook.name} ${hook.from} is newer than this package (${hook.to}); skipped`);
+      case 'missing':
+        return chalk.yellow(`  ⚠️  ${hook.name} is no longer provided by rins_hooks; run \`rins_hooks uninstall ${hook.name}\` to remove it`);
+      default:
+        return chalk.green(`  ✅ ${hook.name} ${hook.to} is up to date`);
+    }
+  }
+
+  /**
+   * Remove hooks from a scope's settings file in a single transaction
+   * @param {Array} hookNames - Hook names
+   * @param {Object} options - Uninstall options (user, project, local, dryRun, force)
+   * @returns {Promise<Object>} Result ({ scope, dryRun, changed, hooks: [{ name, removed }] })
+   */
   async uninstallHooks(hookNames, options = {}) {
     try {
       console.log(chalk.blue(`🗑️  Uninstalling hooks: ${hookNames.join(', ')}`));
@@ -339,28 +852,58 @@ class Installer {
 
       const scope = this.determineScope(options);
 
+      // Remove hooks in a single transaction
+      const removed = {};
+      const uninstall = settings => {
+        for (const hookName of hookNames) {
+          removed[hookName] = this.configManager.stripHookCommands(settings, hookName);
+        }
+      };
+
       if (options.dryRun) {
         console.log(chalk.yellow('🔍 DRY RUN - No changes will be made'));
         console.log();
 
+        const preview = await this.configManager.previewSettings(scope, uninstall);
+
         for (const hookName of hookNames) {
-          console.log(chalk.cyan(`Would uninstall: ${hookName} from ${scope} level`));
+          console.log(chalk.cyan(`Would uninstall: ${hookName} from ${scope} level (${removed[hookName]} command(s))`));
         }
-        return;
+        console.log();
+        Installer.printPreview(preview);
+
+        return {
+          scope,
+          dryRun: true,
+          changed: preview.changed,
+          hooks: hookNames.map(name => ({ name, removed: removed[name] })),
+          files: [preview]
+        };
       }
 
-      // Create backup
-      await this.configManager.createBackup(scope);
+      const { changed } = await this.configManager.updateSettings(scope, uninstall, { force: options.force });
 
-      // Remove hooks
       for (const hookName of hookNames) {
-        await this.configManager.removeHook(hookName, scope);
-        console.log(chalk.green(`  ✅ ${hookName} uninstalled successfully`));
+        if (removed[hookName] > 0) {
+          console.log(chalk.green(`  ✅ ${hookName} uninstalled successfully`));
+        } else {
+          console.log(chalk.yellow(`  ⚠️  ${hookName} is not installed at ${scope} level`));
+        }
       }
 
       console.log();
-      console.log(chalk.green('✅ All hooks uninstalled successfully!'));
+      if (changed) {
+        console.log(chalk.green('✅ Hooks uninstalled successfully!'));
+      } else {
+        console.log(chalk.yellow('ℹ️  No changes made.'));
+      }
 
+      return {
+        scope,
+        dryRun: false,
+        changed,
+        hooks: hookNames.map(name => ({ name, removed: removed[name] }))
+      };
     } catch (error) {
       throw new Error(`Hook uninstallation failed: ${error.message}`);
     }
@@ -385,12 +928,15 @@ class Installer {
           break;
       }
 
+      // A hook registered for several events appears once per event
+      installedHooks = [...new Set(installedHooks)];
+
       if (installedHooks.length === 0) {
         console.log(chalk.yellow(`ℹ️  No hooks installed at ${scope} level.`));
-        return;
+        return Installer.emptyResult(scope, options);
       }
 
-      await this.uninstallHooks(installedHooks, options);
+      return await this.uninstallHooks(installedHooks, options);
 
     } catch (error) {
       throw new Error(`Uninstall all failed: ${error.message}`);
@@ -0,0 +1,406 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const chalk = require('chalk');
+const semver = require('semver');
+const { HOOK_EVENTS } = require('./events');
+const HookBase = require('./hook-base');
+
+const PACKAGE_PREFIX = 'rins-hook-';
+// Names the HookBase of the running rins_hooks for hooks outside it (see HookScaffold)
+const HOOK_BASE_ENV = 'RINS_HOOKS_HOOK_BASE';
+
+class HookRegistry {
+  /**
+   * @param {Object} options - Registry options
+   * @param {string} options.hooksDir - Directory of the hooks shipped with rins_hooks
+   * @param {string} options.cwd - Project directory, searched for .claude/hooks, hook packages and hookPaths
+   * @param {string} options.homedir - Home directory whose rins_hooks.json may list hookPaths
+   */
+  constructor(options = {}) {
+    this.hooksDir = options.hooksDir || path.join(__dirname, '..', 'hooks');
+    this.pathOptions = {
+      cwd: options.cwd || process.cwd(),
+      homedir: options.homedir || os.homedir()
+    };
+    this.warnings = new Set();
+  }
+
+  // Hooks are looked up many times per command, so each problem is reported once
+  warnOnce(message) {
+    if (!this.warnings.has(message)) {
+      this.warnings.add(message);
+      console.warn(chalk.yellow(message));
+    }
+  }
+
+  /**
+   * Discover hooks from every source, in order of precedence: the hooks shipped with
+   * rins_hooks, the project's .claude/hooks directory, the directories listed under
+   * hookPaths in rins_hooks.json and installed npm packages named rins-hook-* or
+   * @scope/rins-hook-*. When two sources provide a hook with the same name, the first
+   * one is used and the others are listed in its `shadowed`.
+   * @returns {Promise<Array>} Hook metadata, including source and shadowed ([{ source, path }])
+   */
+  async getAvailableHooks() {
+    try {
+      const hooks = [];
+
+      for (const source of await this.getHookSources()) {
+        for (const hook of await this.loadHooksFrom(source)) {
+          const existing = hooks.find(other => other.name === hook.name);
+
+          if (existing) {
+            existing.shadowed.push({ source: hook.source, path: hook.path });
+            this.warnOnce(`⚠️  Ignoring hook ${hook.name} from ${hook.source} (${hook.path}): ` +
+              `the one from ${existing.source} is used`);
+            continue;
+          }
+
+          hooks.push(hook);
+        }
+      }
+
+      return hooks;
+    } catch (error) {
+      throw new Error(`Failed to get available hooks: ${error.message}`);
+    }
+  }
+
+  /**
+   * List the places hooks are discovered from, highest precedence first
+   * @returns {Promise<Array>} Sources ({ source, dir, single }) where source is builtin, project,
+   *   hookPaths or npm:<package>, and single marks an npm package that is itself one hook
+   */
+  async getHookSources() {
+    const sources = [...await this.getDirectorySources(), ...await this.findHookPackages()];
+
+    // A directory listed in hookPaths that is searched anyway keeps its first source
+    return sources.filter((source, index) => sources.findIndex(other => other.dir === source.dir) === index);
+  }
+
+  async getDirectorySources() {
+    return [
+      { source: 'builtin', dir: path.resolve(this.hooksDir) },
+      { source: 'project', dir: path.join(this.pathOptions.cwd, '.claude', 'hooks') },
+      ...(await this.getHookPaths()).map(dir => ({ source: 'hookPaths', dir }))
+    ];
+  }
+
+  /**
+   * Look hooks up by name, in the same order of precedence as getAvailableHooks, without
+   * discovering every hook: the search stops once every name is found, so installed
+   * packages are only scanned for names no hook directory provides. Used on every
+   * hook run, where the hooks are known.
+   * @param {Array} names - Hook names
+   * @returns {Promise<Array>} Metadata of the hooks found, in the order of names
+   */
+  async findHooks(names) {
+    const found = new Map();
+    const search = async (sources) => {
+      for (const source of sources) {
+        if (names.every(name => found.has(name))) {
+          return;
+        }
+
+        for (const hook of await this.loadHooksFrom(source)) {
+          if (names.includes(hook.name) && !found.has(hook.name)) {
+            found.set(hook.name, hook);
+          }
+        }
+      }
+    };
+
+    try {
+      await search(await this.getDirectorySources());
+      if (!names.every(name => found.has(name))) {
+        await search(await this.findHookPackages());
+      }
+
+      return names.filter(name => found.has(name)).map(name => found.get(name));
+    } catch (error) {
+      throw new Error(`Failed to find hooks: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read the hook directories listed under hookPaths in the user, project and local
+   * rins_hooks.json. Relative paths are resolved against the home directory for the
+   * user file and against the project directory otherwise.
+   * @returns {Promise<Array>} Absolute directories, without duplicates
+   */
+  async getHookPaths() {
+    const configPaths = HookBase.getConfigPaths(this.pathOptions);
+    const dirs = [];
+
+    for (const [scope, configPath] of Object.entries(configPaths)) {
+      if (!await fs.pathExists(configPath)) {
+        continue;
+      }
+
+      let config;
+      try {
+        config = await fs.readJson(configPath);
+      } catch (error) {
+        throw new Error(`Invalid configuration file ${configPath}: ${error.message}`);
+      }
+
+      const base = scope === 'user' ? this.pathOptions.homedir : this.pathOptions.cwd;
+      for (const hookPath of Array.isArray(config.hookPaths) ? config.hookPaths : []) {
+        const dir = HookRegistry.resolveHookPath(hookPath, base, this.pathOptions.homedir);
+        if (dir && !dirs.includes(dir)) {
+          dirs.push(dir);
+        }
+      }
+    }
+
+    return dirs;
+  }
+
+  static resolveHookPath(hookPath, base, homedir) {
+    if (typeof hookPath !== 'string' || hookPath === '') {
+      return null;
+    }
+
+    if (hookPath === '~' || hookPath.startsWith('~/')) {
+      return path.join(homedir, hookPath.slice(1));
+    }
+
+    return path.resolve(base, hookPath);
+  }
+
+  /**
+   * Find installed hook packages in the project's node_modules and, when rins_hooks is
+   * itself installed as a package (e.g. globally), in the node_modules next to it. A
+   * package with a config.json at its root is one hook; otherwise its hooks are the
+   * subdirectories of its hooks directory, laid out like the bundled ones.
+   * @returns {Promise<Array>} Sources ({ source, package, dir, single })
+   */
+  async findHookPackages() {
+    const packageRoot = path.resolve(__dirname, '..');
+    const nodeModulesDirs = [path.join(this.pathOptions.cwd, 'node_modules')];
+    if (path.basename(path.dirname(packageRoot)) === 'node_modules') {
+      nodeModulesDirs.push(path.dirname(packageRoot));
+    }
+
+    const sources = [];
+
+    for (const nodeModules of nodeModulesDirs) {
+      if (!await fs.pathExists(nodeModules)) {
+        continue;
+      }
+
+      for (const entry of await fs.readdir(nodeModules)) {
+        let names = [entry];
+        if (entry.startsWith('@')) {
+          // Only scope directories are read; anything else named @... has no packages
+          names = (await fs.readdir(path.join(nodeModules, entry)).catch(() => [])).map(name => `${entry}/${name}`);
+        }
+
+        for (const name of names.filter(HookRegistry.isHookPackage)) {
+          if (sources.some(source => source.package === name)) {
+            continue;
+          }
+
+          const dir = path.join(nodeModules, name);
+          const single = await fs.pathExists(path.join(dir, 'config.json'));
+          sources.push({ source: `npm:${name}`, package: name, dir: single ? dir : path.join(dir, 'hooks'), single });
+        }
+      }
+    }
+
+    return sources;
+  }
+
+  /**
+   * Check whether an npm package name follows the hook package convention
+   * @param {string} name - Package name
+   * @returns {boolean} True for rins-hook-* and @scope/rins-hook-*
+   */
+  static isHookPackage(name) {
+    return new RegExp(`^(@[^/]+/)?${PACKAGE_PREFIX}[^/]+$`).test(name);
+  }
+
+  /**
+   * Load the hooks of a source
+   * @param {Object} source - Source from getHookSources
+   * @returns {Promise<Array>} Hook metadata
+   */
+  async loadHooksFrom(source) {
+    if (source.single) {
+      const defaultName = source.package.replace(/^@[^/]+\//, '').slice(PACKAGE_PREFIX.length);
+      const hook = await this.loadHook(source.dir, defaultName, source.source);
+      return hook ? [hook] : [];
+    }
+
+    if (source.source !== 'builtin' && !await fs.pathExists(source.dir)) {
+      // The project hooks directory is optional; everything else was asked for
+      if (source.source === 'hookPaths') {
+        this.warnOnce(`⚠️  Hook directory not found: ${source.dir}`);
+      } else if (source.package) {
+        this.warnOnce(`⚠️  ${source.package} has neither a config.json nor a hooks directory`);
+      }
+      return [];
+    }
+
+    const hooks = [];
+
+    for (const hookDir of await fs.readdir(source.dir)) {
+      const hookPath = path.join(source.dir, hookDir);
+
+      if ((await fs.stat(hookPath)).isDirectory() && await fs.pathExists(path.join(hookPath, 'config.json'))) {
+        const hook = await this.loadHook(hookPath, hookDir, source.source);
+        if (hook) {
+          hooks.push(hook);
+        }
+      }
+    }
+
+    return hooks;
+  }
+
+  /**
+   * Read a hook's config.json
+   * @param {string} hookPath - Hook directory
+   * @param {string} defaultName - Name used when config.json has none
+   * @param {string} source - Source of the hook
+   * @returns {Promise<Object|null>} Hook metadata, or null if config.json is invalid
+   */
+  async loadHook(hookPath, defaultName, source) {
+    try {
+      const config = await fs.readJson(path.join(hookPath, 'config.json'));
+      const events = HookRegistry.normalizeEvents(config);
+
+      return {
+        name: config.name || defaultName,
+        description: config.description || 'No description available',
+        version: config.version || '1.0.0',
+        tags: config.tags || [],
+        requirements: config.requirements || [],
+        platforms: config.platforms || ['linux', 'darwin', 'win32'],
+        matcher: events[0].matcher,
+        timeout: events[0].timeout,
+        events: events,
+        defaultConfig: config.defaultConfig || {},
+        path: hookPath,
+        source: source,
+        shadowed: []
+      };
+    } catch (error) {
+      this.warnOnce(`⚠️  Could not load config for hook: ${defaultName} (${error.message})`);
+      return null;
+    }
+  }
+
+  /**
+   * Find a single hook by name
+   * @param {string} name - Hook name
+   * @returns {Promise<Object|null>} Hook metadata or null if not found
+   */
+  async getHook(name) {
+    const hooks = await this.getAvailableHooks();
+    return hooks.find(hook => hook.name === name) || null;
+  }
+
+  /**
+   * Get the Claude Code events a hook is registered for
+   * @param {Object} hook - Hook metadata
+   * @returns {Array} Event registrations ({ event, matcher, timeout })
+   */
+  getHookEvents(hook) {
+    return hook.events;
+  }
+
+  /**
+   * Read the events a hook declares in its config.json. Each entry names a Claude Code
+   * event and may set its own matcher and timeout, falling back to the top-level ones.
+   * Hooks that don't declare events run after tool use, as before events could be declared.
+   * @param {Object} config - Contents of the hook's config.json
+   * @returns {Array} Event registrations ({ event, matcher, timeout })
+   */
+  static normalizeEvents(config) {
+    const declared = config.events || [{ event: 'PostToolUse' }];
+
+    if (!Array.isArray(declared) || declared.length === 0) {
+      throw new Error('events must be a non-empty array');
+    }
+
+    return declared.map(registration => {
+      const event = typeof registration === 'string' ? registration : registration && registration.event;
+
+      if (!HOOK_EVENTS.includes(event)) {
+        throw new Error(`Unknown hook event: ${event}`);
+      }
+
+      return {
+        event,
+        matcher: (registration.matcher !== undefined ? registration.matcher : config.matcher) || '',
+        timeout: registration.timeout || config.timeout || 60
+      };
+    });
+  }
+
+  /**
+   * Load the JSON Schema for a hook's options (config.schema.json next to config.json)
+   * @param {Object} hook - Hook metadata
+   * @returns {Promise<Object|null>} Schema or null if the hook doesn't ship one
+   */
+  async getHookSchema(hook) {
+    const schemaPath = path.join(hook.path, 'config.schema.json');
+
+    if (!(await fs.pathExists(schemaPath))) {
+      return null;
+    }
+
+    try {
+      return await fs.readJson(schemaPath);
+    } catch (error) {
+      throw new Error(`Invalid schema for hook ${hook.name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load a hook's option migrations from migrations.js next to its config.json. The
+   * module exports an array of { version, description, migrate(options) } where
+   * migrate returns the options restructured for that version. Migrations must be
+   * safe to run on options that are already in the new shape.
+   * @param {Object} hook - Hook metadata
+   * @returns {Promise<Array>} Migrations sorted by version
+   */
+  async getHookMigrations(hook) {
+    const migrationsPath = path.join(hook.path, 'migrations.js');
+
+    if (!(await fs.pathExists(migrationsPath))) {
+      return [];
+    }
+
+    const migrations = require(migrationsPath);
+    if (!Array.isArray(migrations) || migrations.some(m => !semver.valid(m.version) || typeof m.migrate !== 'function')) {
+      throw new Error(`Invalid migrations for hook ${hook.name}: expected an array of { version, migrate }`);
+    }
+
+    return [...migrations].sort((a, b) => semver.compare(a.version, b.version));
+  }
+
+  /**
+   * Load the hook class exported by a hook's index.js. Generated hooks outside rins_hooks
+   * extend the HookBase named in RINS_HOOKS_HOOK_BASE, so they don't need rins_hooks
+   * installed next to them.
+   * @param {Object} hook - Hook metadata
+   * @returns {Function} Hook class
+   */
+  loadHookClass(hook) {
+    const hookScript = path.join(hook.path, 'index.js');
+    process.env[HOOK_BASE_ENV] = require.resolve('./hook-base');
+
+    try {
+      return require(hookScript);
+    } catch (error) {
+      throw new Error(`Failed to load hook ${hook.name}: ${error.message}`);
+    }
+  }
+}
+
+HookRegistry.HOOK_BASE_ENV = HOOK_BASE_ENV;
+
+module.exports = HookRegistry;
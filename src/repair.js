@@ -0,0 +1,217 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+
+const ConfigManager = require('./config');
+
+const SCOPES = ['user', 'project', 'local'];
+// Scripts under node_modules come back with `npm install`, so their entries are kept
+const NODE_MODULES_PATTERN = /[/\\]node_modules[/\\]/;
+
+class SettingsRepair {
+  /**
+   * Repairs for `rins_hooks doctor --fix`. Every settings file is backed up
+   * before it is changed, through ConfigManager.updateSettings or BackupManager.restoreBackup.
+   * @param {Object} options - Repair options
+   * @param {ConfigManager} options.configManager - Config manager providing settings access
+   */
+  constructor(options = {}) {
+    this.configManager = options.configManager;
+  }
+
+  /**
+   * Repair the settings files of every scope
+   * @param {Object} options - Update options (force)
+   * @returns {Promise<Array>} Changes ({ scope, type, message }), where type is restored,
+   *   repointed, removed, deduplicated or unfixable
+   */
+  async repairAll(options = {}) {
+    const changes = [];
+
+    for (const scope of SCOPES) {
+      changes.push(...await this.repairScope(scope, options));
+    }
+
+    return changes;
+  }
+
+  async repairScope(scope, options = {}) {
+    const settingsPath = this.configManager.getSettingsPath(scope);
+    const changes = [];
+
+    if (!await fs.pathExists(settingsPath)) {
+      return changes;
+    }
+
+    try {
+      JSON.parse(await fs.readFile(settingsPath, 'utf8'));
+    } catch (error) {
+      const recovered = await this.recoverFromBackup(scope);
+      changes.push(recovered);
+
+      if (recovered.type === 'unfixable') {
+        return changes;
+      }
+    }
+
+    const entryChanges = [];
+    await this.configManager.updateSettings(scope, async settings => {
+      entryChanges.push(...await this.repairEntries(scope, settings));
+    }, options);
+
+    return [...changes, ...entryChanges];
+  }
+
+  /**
+   * Replace an unparseable settings file with its newest backup that parses.
+   * The broken file is itself backed up by the restore.
+   * @param {string} scope - user, project or local
+   * @returns {Promise<Object>} Change
+   */
+  async recoverFromBackup(scope) {
+    const settingsPath = this.configManager.getSettingsPath(scope);
+
+    for (const backup of await this.configManager.backups.listBackups([scope])) {
+      try {
+        JSON.parse(await fs.readFile(backup.path, 'utf8'));
+      } catch (error) {
+        continue;
+      }
+
+      const { previous } = await this.configManager.backups.restoreBackup(backup.id);
+      const saved = previous ? ` (the broken file was saved as ${previous.id})` : '';
+      return {
+        scope,
+        type: 'restored',
+        message: `${settingsPath} was not valid JSON; restored backup ${backup.id}${saved}`
+      };
+    }
+
+    return {
+      scope,
+      type: 'unfixable',
+      message: `${settingsPath} is not valid JSON and has no valid backup; fix it by hand`
+    };
+  }
+
+  /**
+   * Re-point rins_hooks commands whose script moved, remove rins_hooks commands whose
+   * script no longer exists, report other commands with a missing script and drop
+   * repeated entries
+   * @param {string} scope - user, project or local
+   * @param {Object} settings - Settings document (modified in place)
+   * @returns {Promise<Array>} Changes
+   */
+  async repairEntries(scope, settings) {
+    const changes = [];
+    const seen = new Set();
+
+    for (const [eventType, entries] of Object.entries(settings.hooks || {})) {
+      if (!Array.isArray(entries)) {
+        continue;
+      }
+
+      for (const entry of entries) {
+        if (!Array.isArray(entry.hooks)) {
+          continue;
+        }
+
+        const kept = [];
+        for (const hookCommand of entry.hooks) {
+          const names = ConfigManager.getHookIdentities(hookCommand.command).map(identity => identity.name);
+          const identity = ConfigManager.getHookIdentity(hookCommand.command);
+          const label = `${identity ? names.join(', ') : hookCommand.command} (${eventType})`;
+          const change = await this.repairCommand(hookCommand, identity);
+
+          if (change) {
+            changes.push({ scope, ...change, message: `${label}: ${change.message}` });
+            if (change.type === 'removed') {
+              continue;
+            }
+          }
+
+          // Repeats of a rins_hooks hook, or of the same command, for one matcher run more than once;
+          // a hook may register an event again with another matcher
+          const key = identity
+            ? JSON.stringify([eventType, entry.matcher || '', ...names])
+            : JSON.stringify([eventType, entry.matcher || '', hookCommand.command]);
+
+          if (seen.has(key)) {
+            changes.push({ scope, type: 'deduplicated', message: `${label}: removed repeated entry` });
+            continue;
+          }
+
+          seen.add(key);
+          kept.push(hookCommand);
+        }
+
+        entry.hooks = kept;
+      }
+
+      settings.hooks[eventType] = entries.filter(entry => !Array.isArray(entry.hooks) || entry.hooks.length > 0);
+      if (settings.hooks[eventType].length === 0) {
+        delete settings.hooks[eventType];
+      }
+    }
+
+    if (settings.hooks && Object.keys(settings.hooks).length === 0) {
+      delete settings.hooks;
+    }
+
+    return changes;
+  }
+
+  async repairCommand(hookCommand, identity) {
+    const script = this.configManager.getCommandScript(hookCommand.command);
+
+    if (!script || await fs.pathExists(script)) {
+      return null;
+    }
+
+    if (NODE_MODULES_PATTERN.test(script)) {
+      return { type: 'unfixable', message: `${script} not found; run npm install` };
+    }
+
+    // Commands rins_hooks did not install are only reported; their owner decides what to do
+    if (!identity) {
+      return { type: 'unfixable', message: `${script} not found; fix or remove this entry by hand` };
+    }
+
+    // Dispatcher commands run this installation's CLI, older per-hook commands the hook's script
+    const hook = identity && await this.configManager.registry.getHook(identity.name);
+    const current = /\brun --event\b/.test(hookCommand.command)
+      ? path.resolve(__dirname, '..', 'bin', 'rins_hooks')
+      : hook && path.join(hook.path, 'index.js');
+
+    if (current && /^node\s+"[^"]+"/.test(hookCommand.command) && await fs.pathExists(current)) {
+      hookCommand.command = hookCommand.command.replace(/^node\s+"[^"]+"/, () => `node "${current}"`);
+      return { type: 'repointed', message: `script moved from ${script} to ${current}` };
+    }
+
+    return { type: 'removed', message: `removed, script ${script} no longer exists` };
+  }
+
+  /**
+   * Print a summary of the repairs
+   * @param {Array} changes - Changes from repairAll
+   */
+  static printSummary(changes) {
+    console.log(chalk.blue('🔧 Repairs'));
+
+    if (changes.length === 0) {
+      console.log(chalk.green('  ✅ Nothing to repair'));
+    }
+
+    changes.forEach(change => {
+      if (change.type === 'unfixable') {
+        console.log(chalk.yellow(`  ⚠️  [${change.scope}] ${change.message}`));
+      } else {
+        console.log(chalk.green(`  ✅ [${change.scope}] ${change.message}`));
+      }
+    });
+
+    console.log();
+  }
+}
+
+module.exports = SettingsRepair;
@@ -0,0 +1,347 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const { HOOK_EVENTS } = require('./events');
+const HookRegistry = require('./registry');
+
+const NAME_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const TOOL_EVENTS = ['PreToolUse', 'PostToolUse'];
+const DEFAULT_TIMEOUT = 60;
+const DEFAULT_DIR = path.join('.claude', 'hooks');
+
+// What each generated handler points out about its input
+const HANDLER_HINTS = {
+  PreToolUse: ['input.toolName, input.toolInput, input.filePath', 'Return this.deny(reason) to stop the tool call'],
+  PostToolUse: ['input.toolName, input.toolInput, input.toolResponse, input.filePath'],
+  Notification: ['input.message, input.title'],
+  UserPromptSubmit: ['input.prompt', 'Return this.addContext(text) to give Claude extra context'],
+  Stop: ['input.stopHookActive', 'Return this.block(reason) to keep Claude working'],
+  SubagentStop: ['input.stopHookActive'],
+  PreCompact: ['input.trigger, input.customInstructions'],
+  SessionStart: ['input.source', 'Return this.addContext(text) to give Claude extra context']
+};
+
+class HookScaffold {
+  /**
+   * Generates new hooks, in the project's .claude/hooks unless another directory is given.
+   * A hook created in the rins_hooks hooks directory gets its test and fixtures under
+   * tests/, like the bundled hooks. A hook created in any other directory keeps them next
+   * to its index.js, and the directory is added to hookPaths in rins_hooks.json unless the
+   * registry already searches it.
+   * @param {Object} options - Scaffold options
+   * @param {ConfigManager} options.configManager - Config manager providing the registry and rins_hooks.json access
+   */
+  constructor(options = {}) {
+    this.configManager = options.configManager;
+    this.registry = this.configManager.registry;
+  }
+
+  /**
+   * Create a hook
+   * @param {string} name - Hook name (lowercase words separated by dashes)
+   * @param {Object} options - Create options
+   * @param {Array} options.events - Events to handle (defaults to PostToolUse)
+   * @param {string} options.matcher - Tool matcher for PreToolUse and PostToolUse
+   * @param {string} options.description - Hook description
+   * @param {string} options.dir - Directory to create the hook in (defaults to .claude/hooks in the project)
+   * @param {boolean} options.user - Register the directory in ~/.claude/rins_hooks.json
+   * @param {boolean} options.local - Register the directory in .claude/rins_hooks.local.json
+   * @returns {Promise<Object>} { name, path, files, registered, warnings } where registered is
+   *   { scope, file, hookPath, added } for a hook outside the rins_hooks hooks directory
+   */
+  async create(name, options = {}) {
+    try {
+      const events = options.events && options.events.length > 0 ? options.events : ['PostToolUse'];
+      const description = options.description || `${name} hook`;
+
+      if (!NAME_PATTERN.test(name || '')) {
+        throw new Error(`Invalid hook name '${name}': use lowercase letters, digits and dashes (e.g. lint-on-save)`);
+      }
+
+      const unknown = events.filter(event => !HOOK_EVENTS.includes(event));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown hook event(s): ${unknown.join(', ')} (expected ${HOOK_EVENTS.join(', ')})`);
+      }
+
+      const existing = await this.registry.getHook(name);
+      if (existing) {
+        throw new Error(`A hook named '${name}' already exists at ${existing.path}`);
+      }
+
+      const layout = this.getLayout(name, options.dir);
+      if (await fs.pathExists(layout.hookDir)) {
+        throw new Error(`${layout.hookDir} already exists`);
+      }
+
+      const hook = { name, description, events, matcher: options.matcher || '' };
+      const files = {
+        [path.join(layout.hookDir, 'index.js')]: HookScaffold.renderHook(hook, layout),
+        [path.join(layout.hookDir, 'config.json')]: `${JSON.stringify(HookScaffold.renderConfig(hook), null, 2)}\n`,
+        [layout.testPath]: HookScaffold.renderTest(hook, layout)
+      };
+
+      for (const event of events) {
+        const fixture = HookScaffold.createFixture(event, hook.matcher);
+        files[path.join(layout.fixturesDir, `${event}.json`)] = `${JSON.stringify(fixture, null, 2)}\n`;
+      }
+
+      for (const [filePath, contents] of Object.entries(files)) {
+        await fs.outputFile(filePath, contents);
+      }
+      await fs.chmod(path.join(layout.hookDir, 'index.js'), 0o755);
+
+      const registered = layout.builtin ? null : await this.registerHookPath(path.dirname(layout.hookDir), options);
+      const warnings = [];
+
+      // rins_hooks passes its HookBase to the hooks it runs, but the generated test loads it from node_modules
+      if (!layout.builtin && !await HookScaffold.canResolveHookBase(layout.hookDir)) {
+        warnings.push(`rins_hooks is not installed where ${path.basename(layout.testPath)} can load it; ` +
+          'run `npm install --save-dev rins_hooks` to run the test');
+      }
+
+      return { name, path: layout.hookDir, files: Object.keys(files), registered, warnings };
+    } catch (error) {
+      throw new Error(`Failed to create hook: ${error.message}`);
+    }
+  }
+
+  /**
+   * Work out where a new hook's files go
+   * @param {string} name - Hook name
+   * @param {string} dir - Target directory, or undefined for the project's .claude/hooks
+   * @returns {Object} { builtin, hookDir, testPath, fixturesDir }
+   */
+  getLayout(name, dir) {
+    const hooksDir = path.resolve(this.registry.hooksDir);
+    const targetDir = path.resolve(this.configManager.pathOptions.cwd, dir || DEFAULT_DIR);
+    const hookDir = path.join(targetDir, name);
+
+    if (targetDir === hooksDir) {
+      const testsDir = path.join(hooksDir, '..', 'tests');
+      return {
+        builtin: true,
+        hookDir,
+        testPath: path.join(testsDir, `${name}.test.js`),
+        fixturesDir: path.join(testsDir, 'fixtures', name)
+      };
+    }
+
+    return {
+      builtin: false,
+      hookDir,
+      testPath: path.join(hookDir, `${name}.test.js`),
+      fixturesDir: path.join(hookDir, 'fixtures')
+    };
+  }
+
+  // Looks for rins_hooks in the node_modules directories Node searches from the hook
+  static async canResolveHookBase(hookDir) {
+    for (let dir = hookDir; ; dir = path.dirname(dir)) {
+      if (await fs.pathExists(path.join(dir, 'node_modules', 'rins_hooks', 'src', 'hook-base.js'))) {
+        return true;
+      }
+      if (path.dirname(dir) === dir) {
+        return false;
+      }
+    }
+  }
+
+  /**
+   * Add a directory to hookPaths in rins_hooks.json unless hooks are already discovered there
+   * (it is listed, or it is the project's .claude/hooks directory). Project and
+   * local files store paths inside the project relative to it, so they work for every teammate.
+   * @param {string} dir - Absolute hooks directory
+   * @param {Object} options - Scope options (user, project, local; defaults to project)
+   * @returns {Promise<Object>} { scope, file, hookPath, added }
+   */
+  async registerHookPath(dir, options = {}) {
+    const scope = this.configManager.determineScope(options);
+    const { cwd, homedir } = this.configManager.pathOptions;
+    const file = this.configManager.getHookConfigPath(scope);
+    const config = await this.configManager.loadHookConfigFile(scope);
+    const hookPaths = Array.isArray(config.hookPaths) ? config.hookPaths : [];
+
+    const base = scope === 'user' ? homedir : cwd;
+    const relative = path.relative(base, dir);
+    let hookPath = dir;
+    if (!relative.startsWith('..') && !path.isAbsolute(relative)) {
+      hookPath = scope === 'user' ? `~/${relative.split(path.sep).join('/')}` : relative.split(path.sep).join('/') || '.';
+    }
+
+    if ((await this.registry.getHookSources()).some(source => source.dir === dir)) {
+      return { scope, file, hookPath, added: false };
+    }
+
+    await this.configManager.saveHookConfigFile(scope, { ...config, hookPaths: [...hookPaths, hookPath] });
+    return { scope, file, hookPath, added: true };
+  }
+
+  static getClassName(name) {
+    return `${name.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('')}Hook`;
+  }
+
+  static quote(value) {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+  }
+
+  static renderConfig(hook) {
+    return {
+      name: hook.name,
+      description: hook.description,
+      version: '1.0.0',
+      tags: [],
+      requirements: [],
+      platforms: ['linux', 'darwin', 'win32'],
+      events: hook.events.map(event => (TOOL_EVENTS.includes(event)
+        ? { event, matcher: hook.matcher, timeout: DEFAULT_TIMEOUT }
+        : { event, timeout: DEFAULT_TIMEOUT })),
+      defaultConfig: {
+        enabled: true
+      }
+    };
+  }
+
+  static renderHook(hook, layout) {
+    const className = HookScaffold.getClassName(hook.name);
+    const handlers = hook.events.map(event => {
+      const hints = HANDLER_HINTS[event].map(hint => `    // ${hint}`).join('\n');
+      return `  on${event}(input) {
+${hints}
+    return this.success({ message: \`Handled \${input.eventName}\` });
+  }`;
+    });
+
+    // Hooks outside the package extend the HookBase of the rins_hooks running them
+    const hookBase = layout.builtin
+      ? `require(${HookScaffold.quote('../../src/hook-base')})`
+      : `require(process.env.${HookRegistry.HOOK_BASE_ENV} || ${HookScaffold.quote('rins_hooks/src/hook-base')})`;
+
+    return `#!/usr/bin/env node
+
+const HookBase = ${hookBase};
+
+class ${className} extends HookBase {
+  constructor(config = {}) {
+    super(${HookScaffold.quote(hook.name)}, config, __dirname);
+  }
+
+  getDefaultConfig() {
+    return {
+      enabled: true,
+      matcher: ${HookScaffold.quote(hook.matcher)},
+      timeout: ${DEFAULT_TIMEOUT},
+      description: ${HookScaffold.quote(hook.description)}
+    };
+  }
+
+${handlers.join('\n\n')}
+}
+
+// If called directly, execute the hook
+if (require.main === module) {
+  (async () => {
+    try {
+      const input = await HookBase.parseInput();
+      const hook = new ${className}(await HookBase.loadConfig(${HookScaffold.quote(hook.name)}, { hookDir: __dirname }));
+      const result = await hook.dispatch(input);
+      HookBase.outputResult(result);
+    } catch (error) {
+      console.error(\`${hook.name} hook error: \${error.message}\`);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = ${className};
+`;
+  }
+
+  static renderTest(hook, layout) {
+    const className = HookScaffold.getClassName(hook.name);
+    const testDir = path.dirname(layout.testPath);
+    const relative = target => {
+      const value = path.relative(testDir, target).split(path.sep).join('/');
+      return value.startsWith('.') ? value : `./${value}`;
+    };
+    const fixtureSegments = relative(layout.fixturesDir).split('/').map(HookScaffold.quote).join(', ');
+    const recording = layout.builtin
+      ? 'Add payloads\n// recorded from real sessions here to test the hook against them.'
+      : 'Start Claude Code\n// with RINS_HOOKS_RECORD_FIXTURES=1 to replace them with the payloads of real events.';
+
+    return `const fs = require('fs');
+const path = require('path');
+const ${className} = require(${HookScaffold.quote(relative(path.join(layout.hookDir, 'index')))});
+
+// Hook input payloads as Claude Code sends them, one file per event. ${recording}
+const fixturesDir = path.join(__dirname, ${fixtureSegments});
+const fixtures = fs.readdirSync(fixturesDir).filter(file => file.endsWith('.json'));
+
+describe('${className}', () => {
+  let hook;
+
+  beforeEach(() => {
+    hook = new ${className}();
+  });
+
+  it.each(fixtures)('should handle %s', async (file) => {
+    const input = JSON.parse(fs.readFileSync(path.join(fixturesDir, file), 'utf8'));
+
+    const result = await hook.dispatch(input);
+
+    expect(result.success).toBe(true);
+  });
+
+  it('should do nothing when disabled', async () => {
+    hook = new ${className}({ enabled: false });
+    const input = JSON.parse(fs.readFileSync(path.join(fixturesDir, fixtures[0]), 'utf8'));
+
+    expect(await hook.dispatch(input)).toEqual(hook.success());
+  });
+});
+`;
+  }
+
+  /**
+   * Build an input payload for an event in the shape Claude Code sends it
+   * @param {string} event - Hook event name
+   * @param {string} matcher - Tool matcher; tool events use the first tool it names
+   * @returns {Object} Hook input
+   */
+  static createFixture(event, matcher) {
+    const sessionId = '3f6c2b1e-8d4a-4f0b-9c7e-5a1d2e3f4b6c';
+    const cwd = '/home/user/project';
+    const filePath = `${cwd}/src/index.js`;
+    const toolName = (matcher || '').split('|').find(name => /^\w+$/.test(name)) || 'Write';
+    const payload = {
+      session_id: sessionId,
+      transcript_path: `/home/user/.claude/projects/-home-user-project/${sessionId}.jsonl`,
+      cwd,
+      hook_event_name: event
+    };
+    const toolInput = toolName === 'Edit'
+      ? { file_path: filePath, old_string: 'hello', new_string: 'hello, world' }
+      : { file_path: filePath, content: 'console.log(\'hello, world\');\n' };
+
+    switch (event) {
+      case 'PreToolUse':
+        return { ...payload, tool_name: toolName, tool_input: toolInput };
+      case 'PostToolUse':
+        return { ...payload, tool_name: toolName, tool_input: toolInput, tool_response: { filePath, success: true } };
+      case 'Notification':
+        return { ...payload, message: 'Claude needs your permission to use Bash' };
+      case 'UserPromptSubmit':
+        return { ...payload, prompt: 'Add a test for the config parser' };
+      case 'Stop':
+      case 'SubagentStop':
+        return { ...payload, stop_hook_active: false };
+      case 'PreCompact':
+        return { ...payload, trigger: 'manual', custom_instructions: '' };
+      case 'SessionStart':
+        return { ...payload, source: 'startup' };
+      default:
+        return payload;
+    }
+  }
+}
+
+module.exports = HookScaffold;
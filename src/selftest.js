@@ -0,0 +1,336 @@
+const { spawn } = require('child_process');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const chalk = require('chalk');
+
+const HookBase = require('./hook-base');
+
+const SCOPES = ['user', 'project', 'local'];
+// Claude Code's own limit for commands without a timeout, in seconds
+const DEFAULT_TIMEOUT = 60;
+const SAMPLE_FILE = 'selftest.js';
+
+class SelfTest {
+  /**
+   * Runs installed hook commands the way Claude Code does: the command from the
+   * settings file is started through the shell with a synthetic event on stdin and
+   * killed after its timeout. Commands run in a throwaway git repository in the
+   * temp directory, so hooks that commit or format files never touch the project,
+   * and with RINS_HOOKS_SELFTEST=1, so hooks skip notifications and other side
+   * effects outside it.
+   * @param {Object} options - Self-test options
+   * @param {ConfigManager} options.configManager - Config manager providing settings access
+   */
+  constructor(options = {}) {
+    this.configManager = options.configManager;
+  }
+
+  /**
+   * Run the installed rins_hooks commands
+   * @param {Object} options - Self-test options
+   * @param {Array} options.scopes - Scopes to test (defaults to all)
+   * @param {Array} options.hooks - Only test these hooks (defaults to all installed hooks)
+   * @returns {Promise<Array>} Results ({ scope, name, event, command, timeout, passed, parsedInput,
+   *   exitCode, timedOut, validOutput, durationMs, stdout, stderr, message }), where parsedInput
+   *   is null for commands that do not read their input through HookBase.parseInput
+   */
+  async run(options = {}) {
+    const scopes = options.scopes || SCOPES;
+    const registrations = (await this.configManager.getEffectiveHooks()).filter(entry =>
+      entry.managed &&
+      scopes.includes(entry.scope) &&
+      (!options.hooks || options.hooks.includes(entry.name)) &&
+      // The same command registered twice for an event is only run once by Claude Code
+      entry.status !== 'duplicate');
+
+    if (registrations.length === 0) {
+      return [];
+    }
+
+    const workDir = await this.createWorkspace();
+    // Outside the workspace, so hooks that commit files do not pick the reports up
+    const reportDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rins-hooks-selftest-report-'));
+    const results = [];
+    const runs = new Map();
+
+    try {
+      // A dispatcher command runs several hooks, so it is started once and reported for each of them
+      for (const registration of registrations) {
+        const key = JSON.stringify([registration.eventType, registration.command]);
+        if (!runs.has(key)) {
+          runs.set(key, await this.testRegistration(registration, workDir, path.join(reportDir, `${runs.size}.jsonl`)));
+        }
+        results.push({ ...runs.get(key), scope: registration.scope, name: registration.name });
+      }
+    } finally {
+      await fs.remove(workDir);
+      await fs.remove(reportDir);
+    }
+
+    return results;
+  }
+
+  async testRegistration(registration, workDir, reportPath) {
+    const timeout = registration.timeout || DEFAULT_TIMEOUT;
+    const payload = SelfTest.createPayload(registration.eventType, registration.matcher, workDir);
+
+    // After a tool use the file has already been changed by the tool
+    if (registration.eventType === 'PostToolUse') {
+      await fs.writeFile(payload.tool_input.file_path, payload.tool_input.content);
+    }
+
+    const run = await SelfTest.runCommand(registration.command, payload, {
+      cwd: workDir,
+      timeout: timeout * 1000,
+      env: SelfTest.createEnv(this.configManager.pathOptions.cwd, reportPath)
+    });
+
+    const reports = await SelfTest.readReports(reportPath);
+    const failedParse = reports.find(report => !report.parsedInput);
+    const parsedInput = reports.length > 0 ? !failedParse : null;
+    const validOutput = SelfTest.isValidOutput(run.stdout);
+    const result = {
+      scope: registration.scope,
+      name: registration.name,
+      event: registration.eventType,
+      command: registration.command,
+      timeout,
+      parsedInput,
+      exitCode: run.exitCode,
+      timedOut: run.timedOut,
+      validOutput,
+      durationMs: run.durationMs,
+      stdout: run.stdout,
+      stderr: run.stderr
+    };
+
+    if (run.timedOut) {
+      result.message = `did not finish within its ${timeout}s timeout`;
+    } else if (run.error) {
+      result.message = `could not start: ${run.error}`;
+    } else if (failedParse) {
+      result.message = `could not parse the event input: ${failedParse.error}`;
+    } else if (run.exitCode !== 0 && run.exitCode !== 2) {
+      result.message = `exited with status ${run.exitCode}${run.stderr.trim() ? `: ${run.stderr.trim().split('\n').pop()}` : ''}`;
+    } else if (!validOutput) {
+      result.message = 'printed output that is not valid JSON';
+    } else {
+      result.message = run.exitCode === 2 ? 'ran and blocked the event (exit 2)' : 'ran and exited cleanly';
+    }
+
+    result.passed = !run.timedOut && !run.error && !failedParse && (run.exitCode === 0 || run.exitCode === 2) && validOutput;
+    return result;
+  }
+
+  /**
+   * Create the throwaway repository hooks run in: a git repository with one committed
+   * file that the synthetic tool events point at, copies of the project's rins_hooks
+   * configuration files so hooks run with their project options, and a link to the
+   * project's node_modules
+   * @returns {Promise<string>} Workspace directory
+   */
+  async createWorkspace() {
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rins-hooks-selftest-'));
+
+    for (const scope of ['project', 'local']) {
+      const configPath = HookBase.getConfigPaths(this.configManager.pathOptions)[scope];
+      if (await fs.pathExists(configPath)) {
+        await fs.copy(configPath, path.join(workDir, '.claude', path.basename(configPath)));
+      }
+    }
+
+    await fs.writeFile(path.join(workDir, SAMPLE_FILE), 'console.log(\'rins_hooks self-test\');\n');
+
+    // Without git the hooks still run; auto-commit then reports that it is not in a repository
+    for (const args of [
+      ['init', '--quiet'],
+      ['config', 'user.name', 'rins_hooks self-test'],
+      ['config', 'user.email', 'selftest@rins-hooks.invalid'],
+      ['add', '.'],
+      ['commit', '--quiet', '--no-verify', '-m', 'rins_hooks self-test']
+    ]) {
+      const { exitCode } = await SelfTest.runCommand(['git', ...args], null, { cwd: workDir, timeout: 10000 });
+      if (exitCode !== 0) {
+        break;
+      }
+    }
+
+    // `npx --no-install rins_hooks` resolves rins_hooks from node_modules in the working directory
+    const nodeModules = path.join(this.configManager.pathOptions.cwd, 'node_modules');
+    if (await fs.pathExists(nodeModules)) {
+      await fs.symlink(nodeModules, path.join(workDir, 'node_modules'), 'junction');
+    }
+
+    return workDir;
+  }
+
+  /**
+   * Build the environment commands run with: the caller's, with the project directory
+   * Claude Code sets, RINS_HOOKS_SELFTEST so hooks skip side effects outside the
+   * workspace, and the file HookBase.parseInput reports to
+   * @param {string} projectDir - Project directory
+   * @param {string} reportPath - Input report file
+   * @returns {Object} Environment variables
+   */
+  static createEnv(projectDir, reportPath) {
+    return {
+      ...process.env,
+      CLAUDE_PROJECT_DIR: projectDir,
+      RINS_HOOKS_SELFTEST: '1',
+      RINS_HOOKS_SELFTEST_REPORT: reportPath
+    };
+  }
+
+  static async readReports(reportPath) {
+    if (!await fs.pathExists(reportPath)) {
+      return [];
+    }
+
+    return (await fs.readFile(reportPath, 'utf8')).split('\n').filter(Boolean).map(line => JSON.parse(line));
+  }
+
+  /**
+   * Build a synthetic input payload for an event. Tool events use the first tool named
+   * by the matcher and target the workspace's sample file.
+   * @param {string} eventType - Hook event name
+   * @param {string} matcher - Tool matcher of the registration
+   * @param {string} workDir - Workspace directory
+   * @returns {Object} Hook input
+   */
+  static createPayload(eventType, matcher, workDir) {
+    const filePath = path.join(workDir, SAMPLE_FILE);
+    const toolName = (matcher || '').split('|').find(name => /^\w+$/.test(name)) || 'Write';
+    const content = 'console.log(\'rins_hooks self-test\');\nconsole.log(\'edited\');\n';
+    const payload = {
+      session_id: 'rins-hooks-selftest',
+      transcript_path: path.join(workDir, 'transcript.jsonl'),
+      cwd: workDir,
+      hook_event_name: eventType
+    };
+
+    switch (eventType) {
+      case 'PreToolUse':
+        return { ...payload, tool_name: toolName, tool_input: { file_path: filePath, content } };
+      case 'PostToolUse':
+        return {
+          ...payload,
+          tool_name: toolName,
+          tool_input: { file_path: filePath, content },
+          tool_response: { success: true, filePath }
+        };
+      case 'Notification':
+        return { ...payload, title: 'rins_hooks self-test', message: 'rins_hooks self-test notification' };
+      case 'UserPromptSubmit':
+        return { ...payload, prompt: 'rins_hooks self-test' };
+      case 'Stop':
+      case 'SubagentStop':
+        return { ...payload, stop_hook_active: false };
+      case 'PreCompact':
+        return { ...payload, trigger: 'manual', custom_instructions: '' };
+      case 'SessionStart':
+        return { ...payload, source: 'startup' };
+      default:
+        return payload;
+    }
+  }
+
+  /**
+   * Run a command with input on stdin, killing it (and anything it started) after the timeout
+   * @param {string|Array} command - Shell command, or [file, ...args] to run without a shell
+   * @param {Object|null} input - JSON written to stdin
+   * @param {Object} options - cwd, env and timeout (ms)
+   * @returns {Promise<Object>} { exitCode, timedOut, error, stdout, stderr, durationMs }
+   */
+  static runCommand(command, input, options = {}) {
+    return new Promise((resolve) => {
+      const started = Date.now();
+      const [file, ...args] = Array.isArray(command) ? command : [command];
+      const child = spawn(file, args, {
+        cwd: options.cwd,
+        env: options.env || process.env,
+        shell: !Array.isArray(command),
+        stdio: ['pipe', 'pipe', 'pipe'],
+        // Its own process group, so a timeout also stops commands started by the shell
+        detached: process.platform !== 'win32'
+      });
+
+      let stdout = '';
+      let stderr = '';
+      let timedOut = false;
+      let error = null;
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        try {
+          if (process.platform === 'win32') {
+            child.kill('SIGKILL');
+          } else {
+            process.kill(-child.pid, 'SIGKILL');
+          }
+        } catch (killError) {
+          // Already exited
+        }
+      }, options.timeout || DEFAULT_TIMEOUT * 1000);
+
+      child.stdout.on('data', (data) => {
+        stdout += data.toString();
+      });
+
+      child.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
+
+      // Commands that exit without reading their input close stdin early
+      child.stdin.on('error', () => {});
+      child.stdin.end(input ? JSON.stringify(input) : '');
+
+      child.on('error', (spawnError) => {
+        error = spawnError.message;
+      });
+
+      child.on('close', (code) => {
+        clearTimeout(timer);
+        resolve({ exitCode: code, timedOut, error, stdout, stderr, durationMs: Date.now() - started });
+      });
+    });
+  }
+
+  static isValidOutput(stdout) {
+    if (stdout.trim() === '') {
+      return true;
+    }
+
+    try {
+      JSON.parse(stdout);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Print self-test results
+   * @param {Array} results - Results from run
+   */
+  static printResults(results) {
+    console.log(chalk.blue('🧪 Self-test'));
+
+    if (results.length === 0) {
+      console.log(chalk.yellow('  ℹ️  No installed rins_hooks hooks to test'));
+    }
+
+    results.forEach(result => {
+      const label = `${result.name} (${result.event}, ${result.scope}): ${result.message} (${result.durationMs}ms)`;
+      console.log(result.passed ? chalk.green(`  ✅ ${label}`) : chalk.red(`  ❌ ${label}`));
+
+      if (!result.passed) {
+        console.log(chalk.gray(`     Command: ${result.command}`));
+      }
+    });
+
+    console.log();
+  }
+}
+
+module.exports = SelfTest;
@@ -2,6 +2,8 @@ const { spawn } = require('child_process');
 const fs = require('fs-extra');
 const path = require('path');
 const os = require('os');
+const chalk = require('chalk');
+const inquirer = require('inquirer');
 
 class Utils {
   constructor() {
@@ -405,6 +407,214 @@ class Utils {
 
     return instructions[tool]?.[this.platform] || null;
   }
+
+  /**
+   * Write a file atomically: the contents go to a temporary file in the same
+   * directory which is then renamed over the target, so readers never see a
+   * partially written file
+   * @param {string} filePath - Target file
+   * @param {string} contents - File contents
+   */
+  static async writeFileAtomic(filePath, contents) {
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+
+    await fs.ensureDir(path.dirname(filePath));
+
+    try {
+      await fs.writeFile(tempPath, contents);
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.remove(tempPath);
+      throw error;
+    }
+  }
+
+  /**
+   * Write a JSON document atomically with two-space indentation
+   * @param {string} filePath - Target file
+   * @param {Object} data - Document
+   */
+  static writeJsonAtomic(filePath, data, format = {}) {
+    return Utils.writeFileAtomic(filePath, Utils.formatJson(data, format));
+  }
+
+  /**
+   * Serialize a JSON document the way writeJsonAtomic writes it
+   * @param {Object} data - Document
+   * @param {Object} format - Format from detectJsonFormat ({ indent, newline })
+   * @returns {string} JSON text
+   */
+  static formatJson(data, format = {}) {
+    const indent = format.indent !== undefined ? format.indent : 2;
+    const newline = format.newline !== undefined ? format.newline : '\n';
+    return `${JSON.stringify(data, null, indent)}${newline}`;
+  }
+
+  /**
+   * Detect the indentation and trailing newline of a JSON document so it can be
+   * written back in the same style
+   * @param {string} raw - JSON text
+   * @returns {Object} Format ({ indent, newline })
+   */
+  static detectJsonFormat(raw) {
+    const match = /^[{[]\r?\n([ \t]+)\S/.exec(raw || '');
+    return {
+      indent: match ? match[1] : 2,
+      newline: raw && !/\n$/.test(raw) ? '' : '\n'
+    };
+  }
+
+  /**
+   * Run a function while holding an exclusive lock on a file. The lock is a
+   * <file>.lock file created with O_EXCL; locks left behind by processes that
+   * no longer exist, or older than `stale` milliseconds, are taken over.
+   * @param {string} filePath - File to lock
+   * @param {Function} fn - Function to run while the lock is held
+   * @param {Object} options - Lock options
+   * @param {number} options.timeout - Milliseconds to wait for the lock (default 5000)
+   * @param {number} options.stale - Milliseconds after which a lock is considered stale (default 30000)
+   * @returns {Promise<*>} Result of fn
+   */
+  static async withFileLock(filePath, fn, options = {}) {
+    const lockPath = `${filePath}.lock`;
+    const timeout = options.timeout !== undefined ? options.timeout : 5000;
+    const stale = options.stale !== undefined ? options.stale : 30000;
+    const start = Date.now();
+
+    await fs.ensureDir(path.dirname(filePath));
+
+    for (;;) {
+      try {
+        await fs.writeFile(lockPath, JSON.stringify({ pid: process.pid, createdAt: Date.now() }), { flag: 'wx' });
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+
+        if (await Utils.isStaleLock(lockPath, stale)) {
+          await fs.remove(lockPath);
+          continue;
+        }
+
+        if (Date.now() - start >= timeout) {
+          throw new Error(`${filePath} is locked by another process. Remove ${lockPath} if no other rins_hooks command is running.`);
+        }
+
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await fs.remove(lockPath);
+    }
+  }
+
+  static async isStaleLock(lockPath, stale) {
+    try {
+      const stat = await fs.stat(lockPath);
+      if (Date.now() - stat.mtimeMs > stale) {
+        return true;
+      }
+
+      const { pid } = JSON.parse(await fs.readFile(lockPath, 'utf8'));
+      if (pid && pid !== process.pid) {
+        process.kill(pid, 0);
+      }
+      return false;
+    } catch (error) {
+      // ESRCH: the process holding the lock is gone
+      return error.code === 'ESRCH';
+    }
+  }
+
+  /**
+   * Check whether the user can be asked questions: not with --no-input or --json,
+   * and only when stdin is a terminal (CI jobs and provisioning scripts have none)
+   * @param {Object} options - Command options (input, json)
+   * @returns {boolean} True if prompts may be shown
+   */
+  static canPrompt(options = {}) {
+    return options.input !== false && !options.json && Boolean(process.stdin.isTTY);
+  }
+
+  /**
+   * Fail fast when prompts can't be shown
+   * @param {Object} options - Command options (input, json)
+   * @param {string} unavailable - Error message, saying which flags to use instead
+   */
+  static assertCanPrompt(options, unavailable) {
+    if (!Utils.canPrompt(options)) {
+      throw new Error(`${unavailable} (cannot prompt without an interactive terminal)`);
+    }
+  }
+
+  /**
+   * Show prompts, or fail fast when nobody can answer them
+   * @param {Array} questions - inquirer questions
+   * @param {Object} options - Command options (input, json)
+   * @param {string} unavailable - Error message when prompts can't be shown, saying which flags to use instead
+   * @returns {Promise<Object>} Answers
+   */
+  static async prompt(questions, options, unavailable) {
+    Utils.assertCanPrompt(options, unavailable);
+
+    const answers = await inquirer.prompt(questions);
+    return answers;
+  }
+
+  /**
+   * Ask a yes/no question that defaults to no. --yes answers it without a prompt.
+   * @param {string} message - Question
+   * @param {Object} options - Command options (yes, input, json)
+   * @param {string} unavailable - Error message when the question can't be asked
+   * @returns {Promise<boolean>} Answer
+   */
+  static async confirm(message, options, unavailable) {
+    if (options.yes) {
+      return true;
+    }
+
+    const { confirmed } = await Utils.prompt([
+      {
+        type: 'confirm',
+        name: 'confirmed',
+        message,
+        default: false
+      }
+    ], options, `${unavailable}; pass --yes to confirm`);
+
+    return confirmed;
+  }
+
+  /**
+   * Color a unified diff for terminal output
+   * @param {string} diff - Unified diff
+   * @returns {string} Colored diff
+   */
+  static colorizeDiff(diff) {
+    return diff
+      .split('\n')
+      .filter(line => !line.startsWith('====='))
+      .map(line => {
+        if (line.startsWith('+++') || line.startsWith('---')) {
+          return chalk.bold(line);
+        }
+        if (line.startsWith('+')) {
+          return chalk.green(line);
+        }
+        if (line.startsWith('-')) {
+          return chalk.red(line);
+        }
+        if (line.startsWith('@@')) {
+          return chalk.cyan(line);
+        }
+        return line;
+      })
+      .join('\n');
+  }
 }
 
 module.exports = Utils;
@@ -0,0 +1,300 @@
+const Ajv = require('ajv');
+const semver = require('semver');
+const HookRegistry = require('./registry');
+const { HOOK_EVENTS } = require('./events');
+
+// Claude Code hook timeouts are in seconds; anything above ten minutes is almost certainly a typo
+const MAX_TIMEOUT = 600;
+
+const matcherSchema = { type: 'string', format: 'regex' };
+
+const commandSchema = {
+  type: 'object',
+  required: ['type', 'command'],
+  properties: {
+    type: { const: 'command' },
+    command: { type: 'string', minLength: 1 },
+    timeout: { type: 'number', exclusiveMinimum: 0, maximum: MAX_TIMEOUT }
+  },
+  additionalProperties: false
+};
+
+const eventProperties = schema => Object.fromEntries(HOOK_EVENTS.map(event => [event, schema]));
+
+// Only the hooks section of settings.json belongs to us; other settings are left to Claude Code
+const SETTINGS_SCHEMA = {
+  type: 'object',
+  properties: {
+    hooks: {
+      type: 'object',
+      properties: eventProperties({
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['hooks'],
+          properties: {
+            matcher: matcherSchema,
+            hooks: { type: 'array', items: commandSchema }
+          },
+          additionalProperties: false
+        }
+      }),
+      additionalProperties: false
+    }
+  }
+};
+
+const HOOK_CONFIG_FILE_SCHEMA = {
+  type: 'object',
+  properties: {
+    hooks: {
+      type: 'object',
+      additionalProperties: { type: 'object' }
+    },
+    pipelines: {
+      type: 'object',
+      properties: eventProperties({
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['hooks'],
+          properties: {
+            matcher: matcherSchema,
+            hooks: { type: 'array', minItems: 1, items: { type: 'string' } }
+          },
+          additionalProperties: false
+        }
+      }),
+      additionalProperties: false
+    },
+    install: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['hook'],
+        properties: {
+          hook: { type: 'string', minLength: 1 },
+          version: { type: 'string', minLength: 1 },
+          events: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              required: ['event'],
+              properties: {
+                event: { enum: HOOK_EVENTS },
+                matcher: matcherSchema,
+                timeout: commandSchema.properties.timeout
+              },
+              additionalProperties: false
+            }
+          }
+        },
+        additionalProperties: false
+      }
+    },
+    hookPaths: {
+      type: 'array',
+      items: { type: 'string', minLength: 1 }
+    },
+    backups: {
+      type: 'object',
+      properties: {
+        keep: { type: 'integer', minimum: 1 }
+      },
+      additionalProperties: false
+    }
+  },
+  additionalProperties: false
+};
+
+class ConfigValidator {
+  /**
+   * @param {Object} options - Validator options
+   * @param {HookRegistry} options.registry - Hook registry used to look up hook schemas
+   */
+  constructor(options = {}) {
+    this.registry = options.registry || new HookRegistry();
+    this.ajv = new Ajv({ allErrors: true, verbose: true, strict: false });
+    this.ajv.addFormat('regex', ConfigValidator.isValidRegex);
+    this.validateSettingsSchema = this.ajv.compile(SETTINGS_SCHEMA);
+    this.validateHookConfigFileSchema = this.ajv.compile(HOOK_CONFIG_FILE_SCHEMA);
+    this.hookValidators = new Map();
+  }
+
+  /**
+   * Validate the hooks section of a Claude Code settings document
+   * @param {Object} settings - Settings document
+   * @returns {Array} Errors ({ path, message })
+   */
+  validateSettings(settings) {
+    this.validateSettingsSchema(settings);
+    return ConfigValidator.formatErrors(this.validateSettingsSchema.errors);
+  }
+
+  /**
+   * Validate a rins_hooks.json document, including each hook's options
+   * against the schema shipped with the hook
+   * @param {Object} config - Configuration document
+   * @returns {Promise<Array>} Errors ({ path, message })
+   */
+  async validateHookConfigFile(config) {
+    this.validateHookConfigFileSchema(config);
+    const errors = ConfigValidator.formatErrors(this.validateHookConfigFileSchema.errors);
+
+    if (config.hooks && typeof config.hooks === 'object') {
+      for (const [name, options] of Object.entries(config.hooks)) {
+        errors.push(...await this.validateHookOptions(name, options, `hooks.${name}`));
+      }
+    }
+
+    const pipelines = config.pipelines && typeof config.pipelines === 'object' ? config.pipelines : {};
+    for (const [event, entries] of Object.entries(pipelines)) {
+      if (!Array.isArray(entries)) {
+        continue;
+      }
+
+      for (const [index, entry] of entries.entries()) {
+        const names = entry && Array.isArray(entry.hooks) ? entry.hooks : [];
+        for (const [hookIndex, name] of names.entries()) {
+          if (typeof name === 'string' && !(await this.registry.getHook(name))) {
+            errors.push({ path: `pipelines.${event}[${index}].hooks[${hookIndex}]`, message: `unknown hook '${name}'` });
+          }
+        }
+      }
+    }
+
+    const install = Array.isArray(config.install) ? config.install : [];
+    for (const [index, entry] of install.entries()) {
+      if (!entry || typeof entry.hook !== 'string') {
+        continue;
+      }
+
+      if (install.findIndex(other => other && other.hook === entry.hook) !== index) {
+        errors.push({ path: `install[${index}].hook`, message: `'${entry.hook}' is listed more than once` });
+      } else if (!(await this.registry.getHook(entry.hook))) {
+        errors.push({ path: `install[${index}].hook`, message: `unknown hook '${entry.hook}'` });
+      }
+
+      if (typeof entry.version === 'string' && !semver.validRange(entry.version)) {
+        errors.push({ path: `install[${index}].version`, message: `invalid version range '${entry.version}'` });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a hook's options against its config.schema.json
+   * @param {string} hookName - Hook name
+   * @param {Object} options - Hook options
+   * @param {string} basePath - Path prefix for reported errors
+   * @returns {Promise<Array>} Errors ({ path, message })
+   */
+  async validateHookOptions(hookName, options, basePath = '') {
+    const hook = await this.registry.getHook(hookName);
+    if (!hook) {
+      return [{ path: basePath, message: `unknown hook '${hookName}'` }];
+    }
+
+    if (!this.hookValidators.has(hookName)) {
+      const schema = await this.registry.getHookSchema(hook);
+      this.hookValidators.set(hookName, schema ? this.ajv.compile(schema) : null);
+    }
+
+    const validate = this.hookValidators.get(hookName);
+    if (!validate) {
+      return [];
+    }
+
+    validate(options);
+    return ConfigValidator.formatErrors(validate.errors, basePath);
+  }
+
+  /**
+   * Convert Ajv errors into { path, message } pairs using the same
+   * dotted/bracketed paths accepted by `rins_hooks config set`
+   * @param {Array|null} ajvErrors - Errors reported by Ajv
+   * @param {string} basePath - Path prefix
+   * @returns {Array} Errors ({ path, message })
+   */
+  static formatErrors(ajvErrors, basePath = '') {
+    const errors = [];
+
+    for (const error of ajvErrors || []) {
+      // propertyNames failures are reported again for the offending key itself
+      if (error.keyword === 'propertyNames') {
+        continue;
+      }
+
+      const segments = error.instancePath
+        .split('/')
+        .slice(1)
+        .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+      let message = error.message;
+
+      if (error.keyword === 'additionalProperties') {
+        segments.push(error.params.additionalProperty);
+        message = 'unknown key';
+      } else if (error.propertyName !== undefined) {
+        segments.push(error.propertyName);
+        message = `invalid key (${error.message})`;
+      } else if (error.keyword === 'format' && error.params.format === 'regex') {
+        message = ConfigValidator.getRegexError(error.data) || 'invalid regular expression';
+      } else if (error.keyword === 'maximum' && segments[segments.length - 1] === 'timeout') {
+        message = `timeout must be at most ${error.params.limit} seconds`;
+      } else if (error.keyword === 'enum' || error.keyword === 'const') {
+        message = `${error.message}: ${JSON.stringify(error.params.allowedValues || error.params.allowedValue)}`;
+      }
+
+      const errorPath = ConfigValidator.joinPath(basePath, segments);
+      if (!errors.some(e => e.path === errorPath && e.message === message)) {
+        errors.push({ path: errorPath, message });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Append path segments: indexes and keys containing dots are bracketed
+   * @param {string} basePath - Path prefix
+   * @param {Array} segments - Path segments
+   * @returns {string} Path such as hooks.PostToolUse[0].matcher
+   */
+  static joinPath(basePath, segments) {
+    return segments.reduce((result, segment) => {
+      if (/^\d+$/.test(segment) || /[.[\]]/.test(segment)) {
+        return `${result}[${segment}]`;
+      }
+      return result ? `${result}.${segment}` : segment;
+    }, basePath);
+  }
+
+  /**
+   * Check whether an error path lies within a path prefix
+   * @param {string} errorPath - Error path
+   * @param {string} prefix - Path prefix
+   * @returns {boolean} True if errorPath is prefix or one of its children
+   */
+  static isWithinPath(errorPath, prefix) {
+    return errorPath === prefix || errorPath.startsWith(`${prefix}.`) || errorPath.startsWith(`${prefix}[`);
+  }
+
+  static isValidRegex(pattern) {
+    return ConfigValidator.getRegexError(pattern) === null;
+  }
+
+  static getRegexError(pattern) {
+    try {
+      new RegExp(pattern);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+}
+
+ConfigValidator.MAX_TIMEOUT = MAX_TIMEOUT;
+
+module.exports = ConfigValidator;
@@ -91,6 +91,66 @@ describe('AutoCommitHook', () => {
     });
   });
 
+  describe('diagnose', () => {
+    const env = process.env;
+
+    beforeEach(() => {
+      process.env = { ...env };
+      delete process.env.GIT_AUTHOR_NAME;
+      delete process.env.GIT_AUTHOR_EMAIL;
+      hook.isCommandAvailable = jest.fn().mockResolvedValue(true);
+      hook.isGitRepository = jest.fn().mockResolvedValue(true);
+      hook.isBranchRestricted = jest.fn().mockResolvedValue(false);
+    });
+
+    afterEach(() => {
+      process.env = env;
+    });
+
+    it('should report a configured commit author', async () => {
+      hook.getGitConfig = jest.fn().mockResolvedValue('Jane');
+
+      expect(await hook.diagnose()).toEqual([expect.objectContaining({ check: 'Git Identity', status: 'ok' })]);
+    });
+
+    it('should report a missing commit author as an error', async () => {
+      hook.getGitConfig = jest.fn(key => Promise.resolve(key === 'user.name' ? 'Jane' : ''));
+
+      const [diagnostic] = await hook.diagnose();
+
+      expect(diagnostic.status).toBe('error');
+      expect(diagnostic.message).toContain('user.email not set');
+      expect(diagnostic.message).not.toContain('user.name');
+    });
+
+    it('should accept an author set through the environment', async () => {
+      process.env.GIT_AUTHOR_NAME = 'Jane';
+      process.env.GIT_AUTHOR_EMAIL = 'jane@example.com';
+      hook.getGitConfig = jest.fn().mockResolvedValue('');
+
+      expect((await hook.diagnose())[0].status).toBe('ok');
+    });
+
+    it('should warn when commits are skipped on the current branch', async () => {
+      hook.isBranchRestricted = jest.fn().mockResolvedValue(true);
+      hook.runGitCommand = jest.fn().mockResolvedValue('main\n');
+      hook.getGitConfig = jest.fn().mockResolvedValue('Jane');
+
+      const [diagnostic] = await hook.diagnose();
+
+      expect(diagnostic).toMatchObject({ check: 'Branch Restrictions', status: 'warning' });
+      expect(diagnostic.message).toContain('main is listed in branchRestrictions');
+    });
+
+    it('should stop at a missing git or repository', async () => {
+      hook.isGitRepository = jest.fn().mockResolvedValue(false);
+      expect(await hook.diagnose()).toEqual([expect.objectContaining({ check: 'Git Repository', status: 'warning' })]);
+
+      hook.isCommandAvailable = jest.fn().mockResolvedValue(false);
+      expect(await hook.diagnose()).toEqual([expect.objectContaining({ check: 'Git', status: 'error' })]);
+    });
+  });
+
   describe('execute', () => {
     beforeEach(() => {
       fs.existsSync.mockReturnValue(true);
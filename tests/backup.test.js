@@ -0,0 +1,127 @@
+const BackupManager = require('../src/backup');
+const ConfigManager = require('../src/config');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+describe('BackupManager', () => {
+  let configManager;
+  let backups;
+  let tmpDir;
+  let settingsPath;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rins-hooks-backup-'));
+    configManager = new ConfigManager({
+      cwd: path.join(tmpDir, 'project'),
+      homedir: path.join(tmpDir, 'home')
+    });
+    backups = configManager.backups;
+    settingsPath = configManager.getSettingsPath('project');
+    await fs.outputJson(settingsPath, { hooks: {} });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(tmpDir);
+  });
+
+  describe('createBackup', () => {
+    it('should store backups outside the project .claude directory', async () => {
+      const backup = await backups.createBackup('project');
+
+      expect(backup.id).toMatch(/^project-\d{8}T\d{9}Z$/);
+      expect(backup.path.startsWith(path.join(tmpDir, 'home', '.claude', 'rins_hooks', 'backups'))).toBe(true);
+      expect(await fs.readdir(path.dirname(settingsPath))).toEqual(['settings.json']);
+      expect(await fs.readJson(backup.path)).toEqual({ hooks: {} });
+    });
+
+    it('should return null when there is no settings file', async () => {
+      expect(await backups.createBackup('local')).toBeNull();
+    });
+
+    it('should apply the retention limit from rins_hooks.json', async () => {
+      await fs.outputJson(configManager.getHookConfigPath('user'), { backups: { keep: 2 } });
+
+      for (let i = 0; i < 4; i++) {
+        await backups.createBackup('project');
+      }
+
+      expect(await backups.listBackups()).toHaveLength(2);
+    });
+  });
+
+  describe('legacy backups', () => {
+    it('should move settings.json.backup.<timestamp> files into the backup directory', async () => {
+      await fs.outputJson(`${settingsPath}.backup.1700000000000`, { old: true });
+
+      const list = await backups.listBackups();
+
+      expect(list.map(b => b.id)).toEqual(['project-20231114T221320000Z']);
+      expect(await fs.pathExists(`${settingsPath}.backup.1700000000000`)).toBe(false);
+    });
+  });
+
+  describe('diffBackup / restoreBackup', () => {
+    it('should diff a backup against the current file and restore it reversibly', async () => {
+      const backup = await backups.createBackup('project');
+      await fs.outputJson(settingsPath, { hooks: { Stop: [] } });
+
+      const diff = await backups.diffBackup(backup.id);
+      expect(diff).toContain('-{"hooks":{"Stop":[]}}');
+      expect(diff).toContain('+{"hooks":{}}');
+
+      const { previous } = await backups.restoreBackup(backup.id);
+
+      expect(await fs.readJson(settingsPath)).toEqual({ hooks: {} });
+      expect(await fs.readJson(previous.path)).toEqual({ hooks: { Stop: [] } });
+      expect(await backups.diffBackup(backup.id)).toBe('');
+    });
+
+    it('should restore the oldest backup at the retention limit', async () => {
+      const backupDir = backups.getBackupDir('project');
+      const oldest = 'project-20200101T000000000Z';
+      await fs.outputJson(path.join(backupDir, `${oldest}.json`), { hooks: { Stop: [] } });
+      for (let i = 0; i < 9; i++) {
+        await backups.createBackup('project');
+      }
+      expect(await backups.listBackups()).toHaveLength(10);
+
+      const { restored, previous } = await backups.restoreBackup(oldest);
+
+      expect(restored.id).toBe(oldest);
+      expect(await fs.readJson(settingsPath)).toEqual({ hooks: { Stop: [] } });
+      expect(await fs.readJson(previous.path)).toEqual({ hooks: {} });
+      expect((await backups.listBackups()).map(b => b.id)).toContain(oldest);
+    });
+
+    it('should reject unknown and malformed ids', async () => {
+      await expect(backups.getBackup('project-20200101T000000000Z')).rejects.toThrow('not found');
+      await expect(backups.getBackup('../settings')).rejects.toThrow('Invalid backup id');
+    });
+  });
+
+  describe('pruneBackups', () => {
+    it('should keep the newest backups per scope and delete old ones', async () => {
+      const backupDir = backups.getBackupDir('project');
+      await fs.outputJson(path.join(backupDir, 'project-20200101T000000000Z.json'), {});
+      await fs.outputJson(path.join(backupDir, 'project-20200102T000000000Z.json'), {});
+      const recent = await backups.createBackup('project');
+
+      const removed = await backups.pruneBackups({ keep: 2, olderThanDays: 30 });
+
+      expect(removed.map(b => b.id).sort()).toEqual(['project-20200101T000000000Z', 'project-20200102T000000000Z']);
+      expect((await backups.listBackups()).map(b => b.id)).toEqual([recent.id]);
+    });
+  });
+
+  describe('parseId', () => {
+    it('should parse the scope and creation date', () => {
+      expect(BackupManager.parseId('user-20250102T030405006Z-1')).toEqual({
+        scope: 'user',
+        date: new Date('2025-01-02T03:04:05.006Z')
+      });
+      expect(BackupManager.parseId('nope')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,649 @@
+const ConfigManager = require('../src/config');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const inquirer = require('inquirer');
+const Utils = require('../src/utils');
+
+describe('ConfigManager', () => {
+  let configManager;
+  let tmpDir;
+
+  const ownEntry = (name, matcher = 'Edit|Write|MultiEdit') => ({
+    matcher,
+    hooks: [
+      {
+        type: 'command',
+        command: ConfigManager.tagCommand(`node "/opt/rins_hooks/hooks/${name}/index.js"`, name, '1.0.0'),
+        timeout: 30
+      }
+    ]
+  });
+
+  const userEntry = {
+    matcher: 'Edit|Write|MultiEdit',
+    hooks: [{ type: 'command', command: 'npx eslint --fix', timeout: 30 }]
+  };
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rins-hooks-settings-'));
+    configManager = new ConfigManager({
+      cwd: path.join(tmpDir, 'project'),
+      homedir: path.join(tmpDir, 'home')
+    });
+  });
+
+  afterEach(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  describe('getHookIdentity', () => {
+    it('should read the identity marker from a command', () => {
+      expect(ConfigManager.getHookIdentity('node "/x/index.js" --rins-hook=auto-commit@1.2.0')).toEqual({
+        name: 'auto-commit',
+        version: '1.2.0',
+        legacy: false
+      });
+    });
+
+    it('should recognise entries installed before identity markers', () => {
+      expect(ConfigManager.getHookIdentity('node "/usr/lib/node_modules/rins_hooks/hooks/notification/index.js"')).toEqual({
+        name: 'notification',
+        version: null,
+        legacy: true
+      });
+    });
+
+    it('should return null for foreign commands', () => {
+      expect(ConfigManager.getHookIdentity('node "/home/me/hooks/auto-commit/index.js"')).toBeNull();
+      expect(ConfigManager.getHookIdentity(undefined)).toBeNull();
+    });
+  });
+
+  describe('isPortableCommand', () => {
+    it('should flag absolute and home-relative paths', () => {
+      expect(ConfigManager.isPortableCommand('node "/home/alice/rins_hooks/hooks/auto-commit/index.js"')).toBe(false);
+      expect(ConfigManager.isPortableCommand('node C:\\Users\\alice\\hook.js')).toBe(false);
+      expect(ConfigManager.isPortableCommand('~/bin/lint.sh')).toBe(false);
+    });
+
+    it('should accept commands resolved on each machine', () => {
+      expect(ConfigManager.isPortableCommand('npx --no-install rins_hooks run auto-commit')).toBe(true);
+      expect(ConfigManager.isPortableCommand('"$CLAUDE_PROJECT_DIR/node_modules/.bin/rins_hooks" run auto-commit')).toBe(true);
+      expect(ConfigManager.isPortableCommand('${CLAUDE_PROJECT_DIR}/.claude/hooks/lint.sh')).toBe(true);
+    });
+  });
+
+  describe('runDiagnostics', () => {
+    it('should warn about machine-specific commands in project settings', async () => {
+      await configManager.saveSettings('project', { hooks: { PostToolUse: [ownEntry('auto-commit'), userEntry] } });
+
+      const [diagnostic] = await configManager.runDiagnostics();
+
+      expect(diagnostic.status).toBe('warning');
+      expect(diagnostic.message).toContain('auto-commit (PostToolUse)');
+      expect(diagnostic.message).not.toContain('eslint');
+    });
+  });
+
+  describe('diagnosePipelines', () => {
+    it('should warn when the hooks of a pipeline run from separate commands', async () => {
+      await fs.outputJson(configManager.getHookConfigPath('project'), {
+        pipelines: { PostToolUse: [{ matcher: 'Edit|Write', hooks: ['code-formatter', 'auto-commit'] }] }
+      });
+      await configManager.saveSettings('project', {
+        hooks: { PostToolUse: [ownEntry('code-formatter'), ownEntry('auto-commit', 'Write')] }
+      });
+
+      expect(await configManager.diagnosePipelines()).toEqual([
+        expect.objectContaining({ status: 'warning', message: expect.stringContaining('code-formatter, auto-commit are installed in separate commands') })
+      ]);
+
+      const shared = ConfigManager.tagCommand(ownEntry('code-formatter').hooks[0].command, 'auto-commit', '1.0.0');
+      await configManager.saveSettings('project', {
+        hooks: { PostToolUse: [{ matcher: 'Edit|Write', hooks: [{ type: 'command', command: shared, timeout: 30 }] }] }
+      });
+
+      expect(await configManager.diagnosePipelines()).toEqual([
+        expect.objectContaining({ status: 'ok', message: 'PostToolUse [Edit|Write] runs code-formatter → auto-commit in order' })
+      ]);
+    });
+  });
+
+  describe('getPipelines', () => {
+    it('should read the pipelines of the configured project and home directories', async () => {
+      await fs.outputJson(path.join(tmpDir, 'home', '.claude', 'rins_hooks.json'), {
+        pipelines: { Stop: [{ hooks: ['notification'] }] }
+      });
+      await fs.outputJson(configManager.getHookConfigPath('project'), {
+        pipelines: { PostToolUse: [{ matcher: 'Edit|Write', hooks: ['code-formatter', 'auto-commit'] }] }
+      });
+
+      expect(await configManager.getPipelines()).toEqual([
+        { eventType: 'Stop', matcher: '', hooks: ['notification'] },
+        { eventType: 'PostToolUse', matcher: 'Edit|Write', hooks: ['code-formatter', 'auto-commit'] }
+      ]);
+    });
+  });
+
+  describe('runHookDiagnostics', () => {
+    it('should run the checks of installed, enabled hooks', async () => {
+      const diagnose = jest.fn().mockResolvedValue([{ check: 'Git Identity', status: 'error', message: 'not set' }]);
+      const loadHookClass = jest.spyOn(configManager.registry, 'loadHookClass').mockReturnValue(
+        class {
+          diagnose() {
+            return diagnose();
+          }
+        }
+      );
+      await configManager.saveSettings('project', {
+        hooks: { PostToolUse: [ownEntry('auto-commit'), ownEntry('code-formatter'), userEntry] }
+      });
+      await configManager.saveHookConfigFile('project', { hooks: { 'code-formatter': { enabled: false } } });
+
+      const diagnostics = await configManager.runHookDiagnostics();
+
+      expect(loadHookClass).toHaveBeenCalledTimes(1);
+      expect(diagnostics).toEqual([
+        { hook: 'auto-commit', check: 'auto-commit: Git Identity', status: 'error', message: 'not set' }
+      ]);
+    });
+
+    it('should report hooks whose checks throw', async () => {
+      jest.spyOn(configManager.registry, 'loadHookClass').mockImplementation(() => {
+        throw new Error('broken');
+      });
+      await configManager.saveSettings('project', { hooks: { PostToolUse: [ownEntry('auto-commit')] } });
+
+      const [diagnostic] = await configManager.runHookDiagnostics();
+
+      expect(diagnostic).toMatchObject({ hook: 'auto-commit', status: 'error' });
+      expect(diagnostic.message).toContain('broken');
+    });
+  });
+
+  describe('addHook', () => {
+    it('should keep entries of other hooks and user hooks with the same matcher', async () => {
+      await configManager.saveSettings('project', { hooks: { PostToolUse: [userEntry] } });
+
+      await configManager.addHook('PostToolUse', ownEntry('auto-commit'), 'project');
+      await configManager.addHook('PostToolUse', ownEntry('code-formatter'), 'project');
+
+      const settings = await configManager.loadSettings('project');
+      expect(settings.hooks.PostToolUse).toHaveLength(3);
+      expect(settings.hooks.PostToolUse[0]).toEqual(userEntry);
+    });
+
+    it('should update an existing entry for the same hook and matcher in place', async () => {
+      const updated = ownEntry('auto-commit');
+      updated.hooks[0].timeout = 45;
+      await configManager.addHook('PostToolUse', ownEntry('auto-commit'), 'project');
+      await configManager.addHook('PostToolUse', ownEntry('code-formatter'), 'project');
+      await configManager.addHook('PostToolUse', updated, 'project');
+
+      const settings = await configManager.loadSettings('project');
+      expect(settings.hooks.PostToolUse).toHaveLength(2);
+      expect(settings.hooks.PostToolUse[0].hooks[0].timeout).toBe(45);
+    });
+
+    it('should keep the entries of the same hook for other matchers', async () => {
+      await configManager.addHook('PreToolUse', ownEntry('auto-commit', 'Bash'), 'project');
+      await configManager.addHook('PreToolUse', ownEntry('auto-commit', 'Edit'), 'project');
+
+      const settings = await configManager.loadSettings('project');
+      expect(settings.hooks.PreToolUse.map(entry => entry.matcher)).toEqual(['Bash', 'Edit']);
+    });
+
+    it('should reject entries without an identity marker', async () => {
+      await expect(configManager.addHook('PostToolUse', userEntry, 'project')).rejects.toThrow('identity marker');
+    });
+  });
+
+  describe('updateSettings', () => {
+    it('should refuse to write settings that fail validation', async () => {
+      await configManager.saveSettings('project', { hooks: {} });
+
+      await expect(configManager.updateSettings('project', settings => {
+        settings.hooks.PostToolUse = [{ matcher: '(', hooks: [{ type: 'command', command: 'true' }] }];
+      })).rejects.toThrow('hooks.PostToolUse[0].matcher');
+
+      expect(await configManager.loadSettings('project')).toEqual({ hooks: {} });
+    });
+
+    it('should tolerate problems that were already in the file', async () => {
+      const broken = { matcher: 'Edit', hooks: [{ type: 'command', command: 'true', timeout: 9000 }] };
+      await configManager.saveSettings('project', { hooks: { PostToolUse: [ownEntry('auto-commit'), broken] } });
+
+      await configManager.removeHook('auto-commit', 'project');
+
+      expect(await configManager.loadSettings('project')).toEqual({ hooks: { PostToolUse: [broken] } });
+    });
+
+    it('should refuse to overwrite a file changed by another program unless forced', async () => {
+      const settingsPath = configManager.getSettingsPath('project');
+      await configManager.saveSettings('project', { hooks: {} });
+      const editElsewhere = settings => {
+        settings.hooks.Stop = [ownEntry('notification', '')];
+        fs.writeJsonSync(settingsPath, { model: 'opus', hooks: {} });
+      };
+
+      await expect(configManager.updateSettings('project', editElsewhere)).rejects.toThrow('changed by another program');
+      expect(await fs.readJson(settingsPath)).toEqual({ model: 'opus', hooks: {} });
+
+      await configManager.updateSettings('project', editElsewhere, { force: true });
+      expect((await fs.readJson(settingsPath)).hooks.Stop).toHaveLength(1);
+    });
+
+    it('should serialize concurrent updates with a lock', async () => {
+      await Promise.all([
+        configManager.addHook('PostToolUse', ownEntry('auto-commit'), 'project'),
+        configManager.addHook('PostToolUse', ownEntry('code-formatter'), 'project'),
+        configManager.addHook('Notification', ownEntry('notification', ''), 'project')
+      ]);
+
+      const settings = await configManager.loadSettings('project');
+      expect(settings.hooks.PostToolUse).toHaveLength(2);
+      expect(settings.hooks.Notification).toHaveLength(1);
+      expect(await fs.pathExists(`${configManager.getSettingsPath('project')}.lock`)).toBe(false);
+    });
+
+    it('should take over locks left by processes that no longer exist', async () => {
+      const lockPath = `${configManager.getSettingsPath('project')}.lock`;
+      await fs.outputJson(lockPath, { pid: 2 ** 22 + 1, createdAt: Date.now() });
+
+      await configManager.addHook('PostToolUse', ownEntry('auto-commit'), 'project');
+
+      expect(await fs.pathExists(lockPath)).toBe(false);
+    });
+
+    it('should give up when another live process holds the lock', async () => {
+      const settingsPath = configManager.getSettingsPath('project');
+      await fs.outputJson(`${settingsPath}.lock`, { pid: process.ppid, createdAt: Date.now() });
+
+      await expect(Utils.withFileLock(settingsPath, () => {}, { timeout: 200 })).rejects.toThrow('is locked by another process');
+    });
+
+    it('should preserve unknown keys, key order and formatting', async () => {
+      const settingsPath = configManager.getSettingsPath('project');
+      await fs.outputFile(settingsPath, '{\n\t"model": "opus",\n\t"hooks": {},\n\t"permissions": {\n\t\t"allow": []\n\t}\n}');
+
+      await configManager.addHook('PostToolUse', ownEntry('auto-commit'), 'project');
+
+      const raw = await fs.readFile(settingsPath, 'utf8');
+      expect(Object.keys(JSON.parse(raw))).toEqual(['model', 'hooks', 'permissions']);
+      expect(raw).toMatch(/^{\n\t"model"/);
+      expect(raw.endsWith('}')).toBe(true);
+    });
+
+    it('should not write or back up when nothing changes', async () => {
+      const result = await configManager.updateSettings('project', () => {});
+
+      expect(result.changed).toBe(false);
+      expect(await fs.pathExists(configManager.getSettingsPath('project'))).toBe(false);
+    });
+  });
+
+  describe('removeHook', () => {
+    it('should only remove commands managed by rins_hooks for that hook', async () => {
+      const sharedEntry = {
+        matcher: 'Write',
+        hooks: [userEntry.hooks[0], ownEntry('auto-commit').hooks[0]]
+      };
+      const lookalike = {
+        matcher: 'Write',
+        hooks: [{ type: 'command', command: 'node "/home/me/auto-commit/index.js"' }]
+      };
+      await configManager.saveSettings('local', {
+        model: 'sonnet',
+        hooks: { PostToolUse: [sharedEntry, lookalike, ownEntry('auto-commit')] }
+      });
+
+      await configManager.removeHook('auto-commit', 'local');
+
+      const settings = await configManager.loadSettings('local');
+      expect(settings.model).toBe('sonnet');
+      expect(settings.hooks.PostToolUse).toEqual([
+        { matcher: 'Write', hooks: [userEntry.hooks[0]] },
+        lookalike
+      ]);
+    });
+  });
+
+  describe('getInstallationStatus', () => {
+    it('should list only rins_hooks entries with their versions', async () => {
+      await configManager.saveSettings('user', {
+        hooks: {
+          PostToolUse: [userEntry, ownEntry('auto-commit')],
+          Notification: [ownEntry('notification', '')]
+        }
+      });
+
+      const status = await configManager.getInstallationStatus();
+      expect(status.user.map(h => [h.name, h.eventType, h.version])).toEqual([
+        ['auto-commit', 'PostToolUse', '1.0.0'],
+        ['notification', 'Notification', '1.0.0']
+      ]);
+      expect(status.project).toEqual([]);
+    });
+  });
+
+  describe('getEffectiveHooks', () => {
+    it('should merge every scope and report how entries affect each other', async () => {
+      const script = path.join(tmpDir, 'hooks', 'auto-commit', 'index.js');
+      await fs.outputFile(script, '');
+      const installed = (name, file, version = '1.0.0') => ({
+        matcher: 'Edit',
+        hooks: [{ type: 'command', command: ConfigManager.tagCommand(`node "${file}"`, name, version), timeout: 30 }]
+      });
+
+      await configManager.saveSettings('local', { hooks: { PostToolUse: [installed('auto-commit', script)] } });
+      await configManager.saveSettings('project', {
+        hooks: {
+          PostToolUse: [installed('auto-commit', script), userEntry],
+          Notification: [installed('notification', path.join(tmpDir, 'gone.js'))]
+        }
+      });
+      await configManager.saveSettings('user', {
+        hooks: { PostToolUse: [installed('auto-commit', script, '0.9.0'), installed('code-formatter', script), userEntry] }
+      });
+      await configManager.saveHookConfigFile('user', { hooks: { 'code-formatter': { enabled: false } } });
+
+      const hooks = await configManager.getEffectiveHooks();
+
+      expect(hooks.map(hook => [hook.scope, hook.eventType, hook.name, hook.status])).toEqual([
+        ['local', 'PostToolUse', 'auto-commit', 'active'],
+        ['project', 'PostToolUse', 'auto-commit', 'duplicate'],
+        ['project', 'PostToolUse', null, 'foreign'],
+        ['project', 'Notification', 'notification', 'missing'],
+        ['user', 'PostToolUse', 'auto-commit', 'shadowed'],
+        ['user', 'PostToolUse', 'code-formatter', 'disabled'],
+        ['user', 'PostToolUse', null, 'duplicate']
+      ]);
+      expect(hooks[1].duplicateOf).toBe('local');
+      expect(hooks[3].script).toBe(path.join(tmpDir, 'gone.js'));
+      expect(hooks[4].shadowedBy).toBe('local');
+    });
+  });
+
+  describe('getCommandScript', () => {
+    it('should resolve the script of interpreter and direct commands', () => {
+      const { cwd, homedir } = configManager.pathOptions;
+
+      expect(configManager.getCommandScript('node "/opt/hooks/a.js" --rins-hook=a@1.0.0')).toBe('/opt/hooks/a.js');
+      expect(configManager.getCommandScript('"$CLAUDE_PROJECT_DIR/node_modules/.bin/rins_hooks" run a'))
+        .toBe(path.join(cwd, 'node_modules/.bin/rins_hooks'));
+      expect(configManager.getCommandScript('bash ~/bin/check.sh')).toBe(`${homedir}/bin/check.sh`);
+      expect(configManager.getCommandScript('npx --no-install rins_hooks run a')).toBeNull();
+      expect(configManager.getCommandScript('node scripts/relative.js')).toBeNull();
+    });
+
+    it('should not read inline code or later commands as the script', () => {
+      expect(configManager.getCommandScript('bash -c "/usr/bin/env true && echo hi"')).toBeNull();
+      expect(configManager.getCommandScript('node -e "require(\'/opt/hooks/a.js\')"')).toBeNull();
+      expect(configManager.getCommandScript('python3 -m hooks.check /opt/hooks/input.json')).toBeNull();
+      expect(configManager.getCommandScript('node > /tmp/out.log; node /opt/hooks/a.js')).toBeNull();
+      expect(configManager.getCommandScript('node --require /opt/setup.js /opt/hooks/a.js && echo done'))
+        .toBe('/opt/hooks/a.js');
+    });
+
+    it('should not report inline shell commands as missing scripts', async () => {
+      const command = 'bash -c "/usr/bin/env true && echo hi"';
+      await configManager.saveSettings('user', {
+        hooks: { Stop: [{ hooks: [{ type: 'command', command }] }] }
+      });
+
+      const hooks = await configManager.getEffectiveHooks();
+
+      expect(hooks).toHaveLength(1);
+      expect(hooks[0]).toMatchObject({ name: null, status: 'foreign', script: null });
+    });
+  });
+
+  describe('non-interactive runs', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should fail fast instead of prompting without a terminal', async () => {
+      const prompt = jest.spyOn(inquirer, 'prompt');
+
+      await expect(configManager.editConfig('auto-commit', { local: true }))
+        .rejects.toThrow('use `rins_hooks config set <key> <value>` instead (cannot prompt without an interactive terminal)');
+      await expect(configManager.resetConfig(null, {}))
+        .rejects.toThrow('Resetting every hook needs confirmation; pass --yes to confirm');
+      expect(prompt).not.toHaveBeenCalled();
+    });
+
+    it('should reset every hook with --yes', async () => {
+      await configManager.saveSettings('project', { hooks: { PostToolUse: [ownEntry('auto-commit'), userEntry] } });
+
+      expect(await configManager.resetConfig(null, { yes: true })).toBe(true);
+
+      expect(await configManager.loadSettings('project')).toEqual({ hooks: { PostToolUse: [userEntry] } });
+    });
+  });
+
+  describe('enableHook / disableHook', () => {
+    beforeEach(async () => {
+      await configManager.saveSettings('project', { hooks: { PostToolUse: [ownEntry('auto-commit')] } });
+      await configManager.saveHookConfigFile('project', {
+        hooks: { 'auto-commit': { branchRestrictions: ['main'] } }
+      });
+    });
+
+    it('should disable a hook without touching its settings entry or configuration', async () => {
+      await configManager.disableHook('auto-commit', { project: true });
+
+      const settings = await configManager.loadSettings('project');
+      expect(settings.hooks.PostToolUse).toEqual([ownEntry('auto-commit')]);
+
+      const config = await configManager.loadHookConfigFile('project');
+      expect(config.hooks['auto-commit']).toEqual({ branchRestrictions: ['main'], enabled: false });
+
+      const status = await configManager.getInstallationStatus();
+      expect(status.project[0].status).toBe('disabled');
+    });
+
+    it('should restore the previous configuration when enabled again', async () => {
+      await configManager.disableHook('auto-commit', { project: true });
+      await configManager.enableHook('auto-commit', { project: true });
+
+      const config = await configManager.loadHookConfigFile('project');
+      expect(config).toEqual({ hooks: { 'auto-commit': { branchRestrictions: ['main'] } } });
+
+      const status = await configManager.getInstallationStatus();
+      expect(status.project[0].status).toBe('installed');
+    });
+
+    it('should override a lower scope that disables the hook', async () => {
+      await configManager.disableHook('auto-commit', { user: true });
+      await configManager.enableHook('auto-commit', { local: true });
+
+      const local = await configManager.loadHookConfigFile('local');
+      expect(local.hooks['auto-commit'].enabled).toBe(true);
+      expect((await configManager.getEffectiveHookConfig('auto-commit')).enabled).toBe(true);
+    });
+
+    it('should name a higher scope that keeps the hook disabled', async () => {
+      await configManager.disableHook('auto-commit', { local: true });
+
+      const result = await configManager.enableHook('auto-commit', { project: true });
+
+      expect(result).toEqual({
+        hook: 'auto-commit',
+        scope: 'project',
+        enabled: false,
+        overriddenBy: configManager.getHookConfigPath('local')
+      });
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining(
+        `is still disabled: ${configManager.getHookConfigPath('local')} overrides the project setting`
+      ));
+    });
+
+    it('should name the environment variable that keeps the hook enabled', async () => {
+      process.env.RINS_HOOKS_AUTO_COMMIT_ENABLED = 'true';
+
+      try {
+        const result = await configManager.disableHook('auto-commit', { project: true });
+
+        expect(result).toMatchObject({ enabled: true, overriddenBy: 'the RINS_HOOKS_AUTO_COMMIT_ENABLED environment variable' });
+      } finally {
+        delete process.env.RINS_HOOKS_AUTO_COMMIT_ENABLED;
+      }
+    });
+
+    it('should report no override when the change takes effect', async () => {
+      expect(await configManager.disableHook('auto-commit', { project: true }))
+        .toEqual({ hook: 'auto-commit', scope: 'project', enabled: false, overriddenBy: null });
+    });
+  });
+
+  describe('parseKeyPath', () => {
+    it('should split dotted keys and keep bracketed keys intact', () => {
+      expect(ConfigManager.parseKeyPath('auto-commit.maxCommitMessageLength')).toEqual(['auto-commit', 'maxCommitMessageLength']);
+      expect(ConfigManager.parseKeyPath('code-formatter.formatters[.vue]')).toEqual(['code-formatter', 'formatters', '.vue']);
+    });
+  });
+
+  describe('setConfigValue / getConfigValue', () => {
+    it('should write a parsed value to the chosen scope', async () => {
+      const result = await configManager.setConfigValue('auto-commit.maxCommitMessageLength', '200', { local: true });
+      const local = await fs.readJson(configManager.getHookConfigPath('local'));
+
+      expect(result).toEqual({ scope: 'local', value: 200 });
+      expect(local.hooks['auto-commit'].maxCommitMessageLength).toBe(200);
+    });
+
+    it('should write nested keys without dropping siblings', async () => {
+      await configManager.setConfigValue('code-formatter.formatters[.vue]', 'prettier --write', {});
+
+      expect(await configManager.getConfigValue('code-formatter.formatters[.vue]', { project: true })).toBe('prettier --write');
+      expect(await configManager.getConfigValue('code-formatter.formatters[.js]')).toBe('prettier --write');
+    });
+
+    it('should reject unknown hooks and options', async () => {
+      await expect(configManager.setConfigValue('nope.enabled', 'true', {})).rejects.toThrow("Hook 'nope' not found");
+      await expect(configManager.setConfigValue('auto-commit.bogus', '1', {})).rejects.toThrow("Unknown option 'bogus'");
+    });
+
+    it('should reject values that do not match the hook schema', async () => {
+      await expect(configManager.setConfigValue('auto-commit.maxCommitMessageLength', 'long', {}))
+        .rejects.toThrow('auto-commit.maxCommitMessageLength: must be integer');
+    });
+
+    it('should return undefined for keys that are not set in a scope', async () => {
+      expect(await configManager.getConfigValue('auto-commit.maxCommitMessageLength', { user: true })).toBeUndefined();
+    });
+  });
+
+  describe('validateFiles', () => {
+    it('should report errors with their paths for each configuration file', async () => {
+      await fs.outputJson(configManager.getSettingsPath('project'), {
+        hooks: { PostToolUse: [{ matcher: 'Edit', hooks: [{ type: 'command', command: 'true', timeout: -1 }] }] }
+      });
+      await fs.outputJson(configManager.getHookConfigPath('project'), {
+        hooks: { 'auto-commit': { enabled: 'no' } }
+      });
+
+      const results = await configManager.validateFiles('project');
+
+      expect(results).toEqual([
+        {
+          file: configManager.getSettingsPath('project'),
+          errors: [{ path: 'hooks.PostToolUse[0].hooks[0].timeout', message: 'must be > 0' }]
+        },
+        {
+          file: configManager.getHookConfigPath('project'),
+          errors: [{ path: 'hooks.auto-commit.enabled', message: 'must be boolean' }]
+        }
+      ]);
+      expect(await configManager.validateFiles('user')).toEqual([]);
+
+      const { valid, scopes } = await configManager.validateAll();
+      expect(valid).toBe(false);
+      expect(scopes).toEqual({ user: [], project: results, local: [] });
+    });
+
+    it('should only report errors for the given hook', async () => {
+      await fs.outputJson(configManager.getSettingsPath('project'), {
+        hooks: { PostToolUse: [ownEntry('auto-commit'), { ...userEntry, matcher: '(' }] }
+      });
+
+      const [settingsResult] = await configManager.validateFiles('project', 'auto-commit');
+
+      expect(settingsResult.errors).toEqual([
+        {
+          path: 'hooks.PostToolUse[0].hooks[0].command',
+          message: 'Hook script not found: /opt/rins_hooks/hooks/auto-commit/index.js'
+        }
+      ]);
+    });
+  });
+
+  describe('editConfig', () => {
+    const isTTY = process.stdin.isTTY;
+
+    beforeEach(() => {
+      process.stdin.isTTY = true;
+    });
+
+    afterEach(() => {
+      process.stdin.isTTY = isTTY;
+      jest.restoreAllMocks();
+    });
+
+    it('should save only the changed options to the chosen scope', async () => {
+      jest.spyOn(inquirer, 'prompt')
+        .mockResolvedValueOnce({ selectedOptions: ['maxCommitMessageLength', 'skipEmptyCommits'] })
+        .mockResolvedValueOnce({ answer: '120' })
+        .mockResolvedValueOnce({ answer: true });
+
+      await configManager.editConfig('auto-commit', { local: true });
+
+      const local = await fs.readJson(configManager.getHookConfigPath('local'));
+      expect(local.hooks['auto-commit']).toEqual({ maxCommitMessageLength: 120 });
+    });
+
+    it('should edit lists by keeping and adding items', async () => {
+      await configManager.setConfigValue('auto-commit.branchRestrictions', '["main","master"]', { project: true });
+      jest.spyOn(inquirer, 'prompt')
+        .mockResolvedValueOnce({ selectedOptions: ['branchRestrictions'] })
+        .mockResolvedValueOnce({ kept: ['main'] })
+        .mockResolvedValueOnce({ additions: 'release, develop' });
+
+      await configManager.editConfig('auto-commit', { project: true });
+
+      expect(await configManager.getConfigValue('auto-commit.branchRestrictions', { project: true }))
+        .toEqual(['main', 'release', 'develop']);
+    });
+
+    it('should prompt nested options by type', async () => {
+      const prompt = jest.spyOn(inquirer, 'prompt')
+        .mockResolvedValueOnce({ selectedOptions: ['integrations'] })
+        .mockResolvedValueOnce({ answer: true })
+        .mockResolvedValueOnce({ answer: 'https://hooks.slack.invalid/T000' })
+        .mockResolvedValueOnce({ answer: '#dev' });
+      // Discord and Teams keep their defaults
+      prompt.mockImplementation(([question]) => Promise.resolve({ answer: question.type === 'confirm' ? false : '' }));
+
+      await configManager.editConfig('notification', { user: true });
+
+      expect(prompt.mock.calls[1][0][0]).toMatchObject({ type: 'confirm', message: 'integrations.slack.enabled:' });
+      expect(await configManager.getConfigValue('notification.integrations', { user: true })).toEqual({
+        slack: { enabled: true, webhook: 'https://hooks.slack.invalid/T000', channel: '#dev' },
+        discord: { enabled: false, webhook: '' },
+        teams: { enabled: false, webhook: '' }
+      });
+    });
+
+    it('should not save options the hook\'s schema rejects', async () => {
+      jest.spyOn(inquirer, 'prompt')
+        .mockResolvedValueOnce({ selectedOptions: ['maxCommitMessageLength'] })
+        .mockResolvedValueOnce({ answer: '0' });
+
+      await expect(configManager.editConfig('auto-commit', { local: true }))
+        .rejects.toThrow('auto-commit.maxCommitMessageLength');
+      expect(await fs.pathExists(configManager.getHookConfigPath('local'))).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,363 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const Dispatcher = require('../src/dispatcher');
+const HookBase = require('../src/hook-base');
+
+describe('Dispatcher', () => {
+  const calls = [];
+
+  class FormatterHook extends HookBase {
+    constructor(config = {}) {
+      super('formatter', config);
+    }
+
+    onPostToolUse(input) {
+      calls.push('formatter');
+      return this.success({ message: `Formatted ${input.filePath}` });
+    }
+  }
+
+  class GuardHook extends HookBase {
+    constructor(config = {}) {
+      super('guard', config);
+    }
+
+    onPreToolUse() {
+      calls.push('guard');
+      return this.deny('Protected file');
+    }
+  }
+
+  class ContextHook extends HookBase {
+    constructor(config = {}) {
+      super('context', config);
+    }
+
+    onPreToolUse() {
+      calls.push('context');
+      return this.allow('Looks fine', { systemMessage: 'Checked' });
+    }
+
+    onPostToolUse() {
+      calls.push('context');
+      return this.addContext('Remember to run the tests');
+    }
+  }
+
+  // Discovered, e.g. as a dependency of a dependency, but neither installed nor declared
+  class StrayHook extends HookBase {
+    constructor(config = {}) {
+      super('stray', config);
+    }
+
+    onPostToolUse() {
+      calls.push('stray');
+      return this.success();
+    }
+  }
+
+  const hookClasses = { formatter: FormatterHook, guard: GuardHook, context: ContextHook, stray: StrayHook };
+  const registrations = {
+    formatter: [{ event: 'PostToolUse', matcher: 'Edit|Write', timeout: 30 }],
+    stray: [{ event: 'PostToolUse', matcher: '', timeout: 30 }],
+    guard: [
+      { event: 'PreToolUse', matcher: 'Bash', timeout: 30 },
+      { event: 'PreToolUse', matcher: 'Write', timeout: 30 }
+    ],
+    context: [
+      { event: 'PreToolUse', matcher: '', timeout: 30 },
+      { event: 'PostToolUse', matcher: '', timeout: 30 }
+    ]
+  };
+
+  const registry = {
+    findHooks: jest.fn(names => Promise.resolve(names
+      .filter(name => hookClasses[name])
+      .map(name => ({ name, path: path.join(os.tmpdir(), 'rins-hooks-missing', name) })))),
+    getHookEvents: hook => registrations[hook.name],
+    loadHookClass: hook => hookClasses[hook.name]
+  };
+
+  let dispatcher;
+  let projectDir;
+
+  beforeEach(async () => {
+    calls.length = 0;
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rins-hooks-dispatch-'));
+    await fs.outputJson(path.join(projectDir, '.claude', 'rins_hooks.json'), {
+      install: [{ hook: 'formatter' }, { hook: 'guard' }, { hook: 'context' }]
+    });
+    dispatcher = new Dispatcher({ registry, configOptions: { cwd: projectDir, homedir: projectDir, env: {} } });
+  });
+
+  afterEach(async () => {
+    await fs.remove(projectDir);
+  });
+
+  it('should run every hook registered for the event whose matcher applies', async () => {
+    const result = await dispatcher.run(global.testUtils.createHookInput({ hook_event_name: 'PostToolUse' }));
+
+    expect(calls).toEqual(['formatter', 'context']);
+    expect(result.output.hookSpecificOutput).toEqual({
+      hookEventName: 'PostToolUse',
+      additionalContext: 'Remember to run the tests'
+    });
+  });
+
+  it('should run hooks in the order they were installed or declared without hook names', async () => {
+    await fs.outputJson(path.join(projectDir, '.claude', 'rins_hooks.json'), {
+      install: [{ hook: 'context' }, { hook: 'formatter' }]
+    });
+    await dispatcher.run(global.testUtils.createHookInput({ hook_event_name: 'PostToolUse' }));
+    expect(calls).toEqual(['context', 'formatter']);
+
+    calls.length = 0;
+    await fs.outputJson(path.join(projectDir, '.claude', 'settings.json'), {
+      hooks: {
+        PostToolUse: [{ matcher: '', hooks: [{ type: 'command', command: 'npx --no-install rins_hooks run --rins-hook=formatter@1.0.0' }] }]
+      }
+    });
+    await dispatcher.run(global.testUtils.createHookInput({ hook_event_name: 'PostToolUse' }));
+    expect(calls).toEqual(['formatter', 'context']);
+  });
+
+  it('should only run installed or declared hooks without hook names', async () => {
+    await fs.remove(path.join(projectDir, '.claude', 'rins_hooks.json'));
+    await fs.outputJson(path.join(projectDir, '.claude', 'settings.json'), {
+      hooks: {
+        PostToolUse: [{ matcher: '', hooks: [{ type: 'command', command: 'npx --no-install rins_hooks run --rins-hook=formatter@1.0.0' }] }]
+      }
+    });
+
+    await dispatcher.run(global.testUtils.createHookInput({ hook_event_name: 'PostToolUse' }));
+
+    expect(calls).toEqual(['formatter']);
+    expect(registry.findHooks).toHaveBeenLastCalledWith(['formatter']);
+  });
+
+  it('should run explicit hooks in the given order', async () => {
+    await dispatcher.run(global.testUtils.createHookInput(), { event: 'PostToolUse', hooks: ['formatter', 'context'] });
+    expect(calls).toEqual(['formatter', 'context']);
+  });
+
+  it('should skip hooks whose matcher does not apply', async () => {
+    const result = await dispatcher.run(global.testUtils.createHookInput({ tool_name: 'Read' }), { event: 'PostToolUse', hooks: ['formatter'] });
+
+    expect(calls).toEqual([]);
+    expect(result).toEqual({ success: true, data: null, hook: 'rins_hooks' });
+  });
+
+  it('should skip disabled hooks', async () => {
+    const disabled = new Dispatcher({
+      registry,
+      configOptions: { cwd: projectDir, homedir: projectDir, env: { RINS_HOOKS_FORMATTER_ENABLED: 'false' } }
+    });
+
+    await disabled.run(global.testUtils.createHookInput(), { event: 'PostToolUse' });
+    expect(calls).toEqual(['context']);
+  });
+
+  it('should match every registration of a hook for the event', async () => {
+    for (const toolName of ['Bash', 'Write', 'Read']) {
+      await dispatcher.run(global.testUtils.createHookInput({ tool_name: toolName }), { event: 'PreToolUse', hooks: ['guard'] });
+    }
+
+    expect(calls).toEqual(['guard', 'guard']);
+  });
+
+  it('should let deny win over allow and combine system messages', async () => {
+    await fs.outputJson(path.join(projectDir, '.claude', 'rins_hooks.json'), {
+      install: [{ hook: 'context' }, { hook: 'guard' }]
+    });
+    const result = await dispatcher.run(global.testUtils.createHookInput({ hook_event_name: 'PreToolUse' }));
+
+    expect(result.output).toEqual({
+      systemMessage: 'Checked',
+      hookSpecificOutput: {
+        hookEventName: 'PreToolUse',
+        permissionDecision: 'deny',
+        permissionDecisionReason: 'Protected file'
+      }
+    });
+  });
+
+  it('should reject unknown events and hooks', async () => {
+    await expect(dispatcher.run({}, {})).rejects.toThrow('No hook event specified');
+    await expect(dispatcher.run({}, { event: 'Bogus' })).rejects.toThrow('Unknown hook event');
+    await expect(dispatcher.run({}, { event: 'Stop', hooks: ['missing'] })).rejects.toThrow("Hook 'missing' not found");
+  });
+
+  describe('recordFixture', () => {
+    it('should only record into hooks from .claude/hooks and hookPaths', async () => {
+      dispatcher = new Dispatcher({ registry, configOptions: { cwd: projectDir, homedir: projectDir, env: { RINS_HOOKS_RECORD_FIXTURES: '1' } } });
+      const input = global.testUtils.createHookInput({ hook_event_name: 'PostToolUse' });
+      const sources = ['builtin', 'project', 'hookPaths', 'npm:rins-hook-formatter'];
+
+      for (const source of sources) {
+        await dispatcher.recordFixture({ name: 'formatter', source, path: path.join(projectDir, source) }, input, 'PostToolUse');
+      }
+
+      const recorded = sources.filter(source => fs.existsSync(path.join(projectDir, source, 'fixtures', 'PostToolUse.json')));
+      expect(recorded).toEqual(['project', 'hookPaths']);
+    });
+  });
+
+  describe('pipelines', () => {
+    let tmpDir;
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rins-hooks-pipeline-'));
+    });
+
+    afterEach(async () => {
+      await fs.remove(tmpDir);
+    });
+
+    const writePipelines = (pipelines) =>
+      fs.outputJson(path.join(tmpDir, '.claude', 'rins_hooks.json'), { pipelines });
+
+    it('should run the first matching pipeline in order', async () => {
+      await writePipelines({
+        PostToolUse: [
+          { matcher: 'Read', hooks: ['context'] },
+          { matcher: 'Edit|Write', hooks: ['formatter', 'context'] }
+        ]
+      });
+      const piped = new Dispatcher({ registry, configOptions: { cwd: tmpDir, homedir: tmpDir, env: {} } });
+
+      await piped.run(global.testUtils.createHookInput(), { event: 'PostToolUse' });
+      expect(calls).toEqual(['formatter', 'context']);
+    });
+
+    it('should run the hooks of an installed command in pipeline order', async () => {
+      await writePipelines({ PostToolUse: [{ matcher: 'Edit|Write', hooks: ['formatter', 'guard', 'context'] }] });
+      const piped = new Dispatcher({ registry, configOptions: { cwd: tmpDir, homedir: tmpDir, env: {} } });
+
+      await piped.run(global.testUtils.createHookInput(), { event: 'PostToolUse', installed: ['context', 'formatter'] });
+      expect(calls).toEqual(['formatter', 'context']);
+    });
+
+    it('should stop later stages after a deny', async () => {
+      await writePipelines({ PreToolUse: [{ matcher: '', hooks: ['guard', 'context'] }] });
+      const piped = new Dispatcher({ registry, configOptions: { cwd: tmpDir, homedir: tmpDir, env: {} } });
+
+      const result = await piped.run(global.testUtils.createHookInput(), { event: 'PreToolUse' });
+      expect(calls).toEqual(['guard']);
+      expect(result.output.hookSpecificOutput.permissionDecision).toBe('deny');
+    });
+  });
+
+  describe('installed commands', () => {
+    const { spawnSync } = jest.requireActual('child_process');
+    const Installer = require('../src/installer');
+    let tmpDir;
+
+    const writeHook = (name) => {
+      const hookDir = path.join(tmpDir, 'project', '.claude', 'hooks', name);
+      return Promise.all([
+        fs.outputJson(path.join(hookDir, 'config.json'), {
+          name,
+          version: '1.0.0',
+          events: [{ event: 'PostToolUse', matcher: 'Edit|Write', timeout: 10 }]
+        }),
+        fs.outputFile(path.join(hookDir, 'index.js'), `const fs = require('fs');
+const HookBase = require(${JSON.stringify(path.join(__dirname, '..', 'src', 'hook-base'))});
+
+module.exports = class extends HookBase {
+  constructor(config = {}) {
+    super(${JSON.stringify(name)}, config, __dirname);
+  }
+
+  onPostToolUse(input) {
+    fs.appendFileSync(input.filePath, ${JSON.stringify(`${name}
+`)});
+    return this.success({ message: 'stamped' });
+  }
+};
+`)
+      ]);
+    };
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rins-hooks-installed-'));
+    });
+
+    afterEach(async () => {
+      await fs.remove(tmpDir);
+    });
+
+    it('should run the hooks of one installed command in pipeline order', async () => {
+      const projectDir = path.join(tmpDir, 'project');
+      const homeDir = path.join(tmpDir, 'home');
+      await writeHook('stamp-a');
+      await writeHook('stamp-b');
+      await fs.outputJson(path.join(projectDir, '.claude', 'rins_hooks.json'), {
+        pipelines: { PostToolUse: [{ matcher: 'Edit|Write', hooks: ['stamp-b', 'stamp-a'] }] }
+      });
+
+      const installer = new Installer({ cwd: projectDir, homedir: homeDir });
+      await installer.installHooks(['stamp-a', 'stamp-b'], { project: true, selftest: false });
+      const { hooks } = await fs.readJson(installer.configManager.getSettingsPath('project'));
+      expect(hooks.PostToolUse).toHaveLength(1);
+      expect(hooks.PostToolUse[0].hooks).toHaveLength(1);
+
+      const file = path.join(projectDir, 'stamps.txt');
+      const run = spawnSync(hooks.PostToolUse[0].hooks[0].command, {
+        shell: true,
+        cwd: projectDir,
+        env: { ...process.env, HOME: homeDir, USERPROFILE: homeDir },
+        input: JSON.stringify({ hook_event_name: 'PostToolUse', tool_name: 'Write', tool_input: { file_path: file } }),
+        encoding: 'utf8',
+        timeout: 30000
+      });
+
+      expect(run.stderr).toBe('');
+      expect(run.status).toBe(0);
+      expect(await fs.readFile(file, 'utf8')).toBe('stamp-b\nstamp-a\n');
+      expect(JSON.parse(run.stdout).results.map(result => result.hook)).toEqual(['stamp-b', 'stamp-a']);
+    });
+  });
+
+  describe('isStopResult', () => {
+    it('should stop on block, deny and continue: false', () => {
+      expect(Dispatcher.isStopResult({ decision: 'block', reason: 'x' })).toBe(true);
+      expect(Dispatcher.isStopResult({ output: { continue: false } })).toBe(true);
+      expect(Dispatcher.isStopResult({ output: { hookSpecificOutput: { permissionDecision: 'deny' } } })).toBe(true);
+      expect(Dispatcher.isStopResult({ output: { hookSpecificOutput: { permissionDecision: 'ask' } } })).toBe(false);
+      expect(Dispatcher.isStopResult({ success: true, data: null })).toBe(false);
+    });
+  });
+
+  describe('mergeResults', () => {
+    it('should let a block win over other results', () => {
+      const result = dispatcher.mergeResults([
+        { success: true, data: { message: 'ok' }, hook: 'a' },
+        { decision: 'block', reason: 'Tests failing', hook: 'b' }
+      ]);
+      expect(result).toEqual({ decision: 'block', reason: 'Tests failing', hook: 'rins_hooks' });
+    });
+
+    it('should report errors when no hook produced structured output', () => {
+      const result = dispatcher.mergeResults([
+        { success: false, error: 'a: failed', hook: 'a' },
+        { success: true, data: { message: 'ok' }, hook: 'b' }
+      ]);
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('a: failed');
+    });
+  });
+
+  describe('matchesTool', () => {
+    it('should treat empty and * matchers as match-all', () => {
+      expect(Dispatcher.matchesTool('', 'Write')).toBe(true);
+      expect(Dispatcher.matchesTool('*', 'Write')).toBe(true);
+    });
+
+    it('should match tool names against regex matchers', () => {
+      expect(Dispatcher.matchesTool('Edit|Write|MultiEdit', 'MultiEdit')).toBe(true);
+      expect(Dispatcher.matchesTool('Edit|Write', 'NotebookEdit')).toBe(false);
+      expect(Dispatcher.matchesTool('mcp__.*', 'mcp__github__search')).toBe(true);
+    });
+  });
+});
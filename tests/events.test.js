@@ -0,0 +1,71 @@
+const {
+  HOOK_EVENTS,
+  HookInput,
+  PreToolUseInput,
+  PostToolUseInput,
+  UserPromptSubmitInput,
+  PreCompactInput,
+  SessionStartInput,
+  createEventInput
+} = require('../src/events');
+
+describe('events', () => {
+  const common = {
+    session_id: 'test-session-123',
+    transcript_path: '/tmp/test-transcript.jsonl',
+    cwd: '/tmp/project'
+  };
+
+  it('should list every Claude Code hook event', () => {
+    expect(HOOK_EVENTS).toEqual([
+      'PreToolUse',
+      'PostToolUse',
+      'Notification',
+      'UserPromptSubmit',
+      'Stop',
+      'SubagentStop',
+      'PreCompact',
+      'SessionStart'
+    ]);
+  });
+
+  it('should create typed tool use inputs', () => {
+    const pre = createEventInput({
+      ...common,
+      hook_event_name: 'PreToolUse',
+      tool_name: 'Write',
+      tool_input: { file_path: '/tmp/project/a.js' }
+    });
+
+    expect(pre).toBeInstanceOf(PreToolUseInput);
+    expect(pre.sessionId).toBe('test-session-123');
+    expect(pre.toolName).toBe('Write');
+    expect(pre.filePath).toBe('/tmp/project/a.js');
+
+    const post = createEventInput({ ...common, hook_event_name: 'PostToolUse', tool_response: { success: true } });
+    expect(post).toBeInstanceOf(PostToolUseInput);
+    expect(post.toolResponse).toEqual({ success: true });
+    expect(post.toolInput).toEqual({});
+  });
+
+  it('should expose event specific fields', () => {
+    const prompt = createEventInput({ ...common, hook_event_name: 'UserPromptSubmit', prompt: 'Hello' });
+    expect(prompt).toBeInstanceOf(UserPromptSubmitInput);
+    expect(prompt.prompt).toBe('Hello');
+
+    const compact = createEventInput({ ...common, hook_event_name: 'PreCompact', trigger: 'auto' });
+    expect(compact).toBeInstanceOf(PreCompactInput);
+    expect(compact.trigger).toBe('auto');
+    expect(compact.customInstructions).toBe('');
+
+    const session = createEventInput({ ...common, hook_event_name: 'SessionStart', source: 'resume' });
+    expect(session).toBeInstanceOf(SessionStartInput);
+    expect(session.source).toBe('resume');
+  });
+
+  it('should fall back to the base input for unknown events', () => {
+    const input = createEventInput({ ...common, hook_event_name: 'Unknown' });
+    expect(input.constructor).toBe(HookInput);
+    expect(input.raw.cwd).toBe('/tmp/project');
+  });
+});
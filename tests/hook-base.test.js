@@ -1,5 +1,6 @@
 const HookBase = require('../src/hook-base');
 const fs = require('fs-extra');
+const os = require('os');
 const path = require('path');
 
 describe('HookBase', () => {
@@ -44,6 +45,57 @@ describe('HookBase', () => {
     });
   });
 
+  describe('dispatch', () => {
+    class MultiEventHook extends HookBase {
+      onPostToolUse(input) {
+        return this.success({ event: 'PostToolUse', filePath: input.filePath });
+      }
+
+      onStop(input) {
+        return this.success({ event: 'Stop', stopHookActive: input.stopHookActive });
+      }
+
+      execute(input) {
+        return this.success({ event: 'fallback', input });
+      }
+    }
+
+    let multiHook;
+
+    beforeEach(() => {
+      multiHook = new MultiEventHook('multi-event');
+    });
+
+    it('should route events to their typed handlers', async () => {
+      const postResult = await multiHook.dispatch(global.testUtils.createHookInput({
+        hook_event_name: 'PostToolUse'
+      }));
+      expect(postResult.data).toEqual({ event: 'PostToolUse', filePath: '/tmp/test-file.js' });
+
+      const stopResult = await multiHook.dispatch({ hook_event_name: 'Stop', stop_hook_active: true });
+      expect(stopResult.data).toEqual({ event: 'Stop', stopHookActive: true });
+      expect(multiHook.eventName).toBe('Stop');
+    });
+
+    it('should fall back to execute for events without a handler', async () => {
+      const input = { hook_event_name: 'Notification', message: 'Done' };
+      const result = await multiHook.dispatch(input);
+      expect(result.data).toEqual({ event: 'fallback', input });
+    });
+
+    it('should not run handlers when the hook is disabled', async () => {
+      const disabledHook = new MultiEventHook('multi-event', { enabled: false });
+      const result = await disabledHook.dispatch({ hook_event_name: 'Stop' });
+      expect(result).toEqual({ success: true, data: null, hook: 'multi-event' });
+    });
+
+    it('should report which events are handled', () => {
+      expect(multiHook.handlesEvent('PostToolUse')).toBe(true);
+      expect(multiHook.handlesEvent('PreToolUse')).toBe(false);
+      expect(multiHook.handlesEvent('Unknown')).toBe(false);
+    });
+  });
+
   describe('result methods', () => {
     it('should return success result', () => {
       const result = hook.success({ test: 'data' });
@@ -75,6 +127,44 @@ describe('HookBase', () => {
     });
   });
 
+  describe('structured output methods', () => {
+    it('should return PreToolUse permission decisions', () => {
+      expect(hook.deny('Protected file').output).toEqual({
+        hookSpecificOutput: {
+          hookEventName: 'PreToolUse',
+          permissionDecision: 'deny',
+          permissionDecisionReason: 'Protected file'
+        }
+      });
+      expect(hook.allow('Safe').output.hookSpecificOutput.permissionDecision).toBe('allow');
+      expect(hook.ask('Confirm').output.hookSpecificOutput.permissionDecision).toBe('ask');
+    });
+
+    it('should add context for the current event', () => {
+      hook.eventName = 'UserPromptSubmit';
+      const result = hook.addContext('Current branch: main', { suppressOutput: true });
+
+      expect(result.success).toBe(true);
+      expect(result.hook).toBe('test-hook');
+      expect(result.output).toEqual({
+        suppressOutput: true,
+        hookSpecificOutput: {
+          hookEventName: 'UserPromptSubmit',
+          additionalContext: 'Current branch: main'
+        }
+      });
+    });
+
+    it('should stop Claude with a reason and system message', () => {
+      const result = hook.halt('Build is broken', { systemMessage: 'Stopping' });
+      expect(result.output).toEqual({
+        continue: false,
+        stopReason: 'Build is broken',
+        systemMessage: 'Stopping'
+      });
+    });
+  });
+
   describe('generateHookConfig', () => {
     it('should generate Claude Code hook configuration', () => {
       const config = hook.generateHookConfig('PostToolUse');
@@ -103,6 +193,12 @@ describe('HookBase', () => {
     });
   });
 
+  describe('diagnose', () => {
+    it('should report nothing by default', async () => {
+      expect(await hook.diagnose()).toEqual([]);
+    });
+  });
+
   describe('getMetadata', () => {
     it('should return hook metadata', async () => {
       // Mock fs.readJson to return config
@@ -136,20 +232,106 @@ describe('HookBase', () => {
     });
   });
 
+  describe('deepMerge', () => {
+    it('should merge nested objects and replace arrays', () => {
+      const merged = HookBase.deepMerge(
+        { formatters: { '.js': 'prettier --write', '.py': 'black' }, excludePatterns: ['*.log'] },
+        { formatters: { '.py': 'ruff format' }, excludePatterns: ['dist/**'] }
+      );
+
+      expect(merged.formatters).toEqual({ '.js': 'prettier --write', '.py': 'ruff format' });
+      expect(merged.excludePatterns).toEqual(['dist/**']);
+    });
+  });
+
+  describe('parseEnvConfig', () => {
+    it('should map environment variables onto known config keys', () => {
+      const overrides = HookBase.parseEnvConfig('auto-commit', {
+        maxCommitMessageLength: 500,
+        branchRestrictions: []
+      }, {
+        RINS_HOOKS_AUTO_COMMIT_MAX_COMMIT_MESSAGE_LENGTH: '200',
+        RINS_HOOKS_AUTO_COMMIT_BRANCH_RESTRICTIONS: '["main"]',
+        RINS_HOOKS_CODE_FORMATTER_ENABLED: 'false'
+      });
+
+      expect(overrides).toEqual({ maxCommitMessageLength: 200, branchRestrictions: ['main'] });
+    });
+
+    it('should support nested keys separated by a double underscore', () => {
+      const overrides = HookBase.parseEnvConfig('notification', {
+        integrations: { slack: { enabled: false, webhook: '' } }
+      }, {
+        RINS_HOOKS_NOTIFICATION_INTEGRATIONS__SLACK__WEBHOOK: 'https://hooks.slack.com/x'
+      });
+
+      expect(overrides).toEqual({ integrations: { slack: { webhook: 'https://hooks.slack.com/x' } } });
+    });
+  });
+
+  describe('loadConfig', () => {
+    let tmpDir;
+    let hookDir;
+    let homedir;
+    let cwd;
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rins-hooks-config-'));
+      hookDir = path.join(tmpDir, 'hooks', 'test-hook');
+      homedir = path.join(tmpDir, 'home');
+      cwd = path.join(tmpDir, 'project');
+
+      await fs.outputJson(path.join(hookDir, 'config.json'), {
+        name: 'test-hook',
+        defaultConfig: { enabled: true, level: 'default', nested: { a: 1, b: 1 } }
+      });
+    });
+
+    afterEach(async () => {
+      await fs.remove(tmpDir);
+    });
+
+    it('should apply layers in precedence order', async () => {
+      await fs.outputJson(path.join(homedir, '.claude', 'rins_hooks.json'), {
+        hooks: { 'test-hook': { level: 'user', nested: { a: 2 } } }
+      });
+      await fs.outputJson(path.join(cwd, '.claude', 'rins_hooks.json'), {
+        hooks: { 'test-hook': { level: 'project' } }
+      });
+      await fs.outputJson(path.join(cwd, '.claude', 'rins_hooks.local.json'), {
+        hooks: { 'test-hook': { nested: { b: 3 } } }
+      });
+
+      const config = await HookBase.loadConfig('test-hook', {
+        hookDir,
+        homedir,
+        cwd,
+        env: { RINS_HOOKS_TEST_HOOK_ENABLED: 'false' }
+      });
+
+      expect(config).toEqual({ enabled: false, level: 'project', nested: { a: 2, b: 3 } });
+    });
+
+    it('should report invalid configuration files', async () => {
+      await fs.outputFile(path.join(cwd, '.claude', 'rins_hooks.json'), '{ invalid');
+
+      await expect(HookBase.loadConfig('test-hook', { hookDir, homedir, cwd, env: {} }))
+        .rejects.toThrow('Invalid configuration file');
+    });
+  });
+
   describe('parseInput', () => {
-    const originalStdin = process.stdin;
-    
     afterEach(() => {
-      process.stdin = originalStdin;
+      jest.restoreAllMocks();
     });
     
     it('should be a static method that returns a Promise', () => {
       expect(typeof HookBase.parseInput).toBe('function');
       
       // Mock stdin to prevent the method from hanging
-      process.stdin = {
+      jest.spyOn(process, 'stdin', 'get').mockReturnValue({
         on: jest.fn()
-      };
+      });
       
       const result = HookBase.parseInput();
       expect(result instanceof Promise).toBe(true);
@@ -157,6 +339,32 @@ describe('HookBase', () => {
       // Clean up by rejecting the promise
       result.catch(() => {});
     });
+
+    it('should report whether the input parsed during the self-test', async () => {
+      const { EventEmitter } = require('events');
+      const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rins-hooks-report-'));
+      const reportPath = path.join(tmpDir, 'report.jsonl');
+      const feed = (text) => {
+        const stdin = new EventEmitter();
+        jest.spyOn(process, 'stdin', 'get').mockReturnValue(stdin);
+        const parsed = HookBase.parseInput();
+        stdin.emit('data', Buffer.from(text));
+        stdin.emit('end');
+        return parsed;
+      };
+
+      process.env.RINS_HOOKS_SELFTEST_REPORT = reportPath;
+      try {
+        await expect(feed('{"hook_event_name":"Stop"}')).resolves.toEqual({ hook_event_name: 'Stop' });
+        await expect(feed('not json')).rejects.toThrow('Invalid JSON input');
+
+        const reports = (await fs.readFile(reportPath, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+        expect(reports).toEqual([{ parsedInput: true }, { parsedInput: false, error: expect.any(String) }]);
+      } finally {
+        delete process.env.RINS_HOOKS_SELFTEST_REPORT;
+        await fs.remove(tmpDir);
+      }
+    });
   });
 
   describe('outputResult', () => {
@@ -194,6 +402,15 @@ describe('HookBase', () => {
       expect(process.exit).toHaveBeenCalledWith(2);
     });
 
+    it('should output structured JSON result and exit with 0', () => {
+      const result = hook.deny('Protected file');
+
+      HookBase.outputResult(result);
+
+      expect(console.log).toHaveBeenCalledWith(JSON.stringify(result.output));
+      expect(process.exit).toHaveBeenCalledWith(0);
+    });
+
     it('should output approve result and exit with 0', () => {
       const result = { decision: 'approve', reason: 'Approved' };
       
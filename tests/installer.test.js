@@ -0,0 +1,519 @@
+const Installer = require('../src/installer');
+const Utils = require('../src/utils');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+describe('Installer', () => {
+  let installer;
+  let tmpDir;
+  let settingsPath;
+
+  const foreignSettings = {
+    model: 'opus',
+    hooks: {
+      PostToolUse: [{ matcher: 'Edit', hooks: [{ type: 'command', command: 'npx eslint --fix', timeout: 30 }] }]
+    }
+  };
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rins-hooks-installer-'));
+    installer = new Installer({
+      cwd: path.join(tmpDir, 'project'),
+      homedir: path.join(tmpDir, 'home')
+    });
+    settingsPath = installer.configManager.getSettingsPath('project');
+    await fs.outputJson(settingsPath, foreignSettings);
+    // Requirement checks spawn `which`, which is mocked in tests/setup.js
+    jest.spyOn(installer, 'checkRequirements').mockResolvedValue();
+    jest.spyOn(installer.selfTest, 'run').mockResolvedValue([]);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(tmpDir);
+  });
+
+  describe('installHooks', () => {
+    it('should install every hook in a single write', async () => {
+      const save = jest.spyOn(installer.configManager, 'saveSettings');
+
+      const result = await installer.installHooks(['auto-commit', 'notification'], { project: true });
+
+      const settings = await fs.readJson(settingsPath);
+      expect(result).toMatchObject({ scope: 'project', dryRun: false, changed: true });
+      expect(result.hooks.map(hook => [hook.name, hook.events[0].event])).toEqual([
+        ['auto-commit', 'PostToolUse'],
+        ['notification', 'Notification']
+      ]);
+      expect(save).toHaveBeenCalledTimes(1);
+      expect(settings.model).toBe('opus');
+      expect(settings.hooks.PostToolUse).toHaveLength(2);
+      expect(settings.hooks.Notification).toHaveLength(1);
+      expect(await installer.configManager.backups.listBackups(['project'])).toHaveLength(1);
+    });
+
+    it('should self-test the installed hooks unless told not to', async () => {
+      const failed = { name: 'auto-commit', passed: false, message: 'exited with status 1' };
+      installer.selfTest.run.mockResolvedValue([failed]);
+
+      const result = await installer.installHooks(['auto-commit'], { project: true });
+
+      expect(installer.selfTest.run).toHaveBeenCalledWith({ scopes: ['project'], hooks: ['auto-commit'] });
+      expect(result.selftest).toEqual([failed]);
+
+      installer.selfTest.run.mockClear();
+      const skipped = await installer.installHooks(['notification'], { project: true, selftest: false });
+
+      expect(installer.selfTest.run).not.toHaveBeenCalled();
+      expect(skipped.selftest).toBeUndefined();
+    });
+
+    it('should not modify settings when a hook is unknown', async () => {
+      await expect(installer.installHooks(['auto-commit', 'nope'], { project: true }))
+        .rejects.toThrow('Hook(s) not found: nope');
+
+      expect(await fs.readJson(settingsPath)).toEqual(foreignSettings);
+    });
+
+    it('should not modify settings when building any entry fails', async () => {
+      const createHookEntries = installer.createHookEntries.bind(installer);
+      jest.spyOn(installer, 'createHookEntries').mockImplementation(hook =>
+        hook.name === 'notification' ? Promise.reject(new Error('Hook script not found')) : createHookEntries(hook)
+      );
+
+      await expect(installer.installHooks(['auto-commit', 'notification'], { project: true }))
+        .rejects.toThrow('Hook script not found');
+
+      expect(await fs.readJson(settingsPath)).toEqual(foreignSettings);
+    });
+
+    it('should roll back to the backup when writing fails', async () => {
+      jest.spyOn(installer.configManager, 'saveSettings').mockImplementation(async () => {
+        await fs.writeFile(settingsPath, '{ "hooks": ');
+        throw new Error('disk full');
+      });
+
+      await expect(installer.installHooks(['auto-commit'], { project: true })).rejects.toThrow('disk full');
+
+      expect(await fs.readJson(settingsPath)).toEqual(foreignSettings);
+    });
+
+    it('should remove a settings file it created when writing fails', async () => {
+      await fs.remove(settingsPath);
+      jest.spyOn(installer.configManager, 'saveSettings').mockImplementation(async () => {
+        await fs.outputFile(settingsPath, '{');
+        throw new Error('disk full');
+      });
+
+      await expect(installer.installHooks(['auto-commit'], { project: true })).rejects.toThrow('rolled back');
+
+      expect(await fs.pathExists(settingsPath)).toBe(false);
+    });
+  });
+
+  describe('dispatcher entries', () => {
+    const bin = path.resolve(__dirname, '..', 'bin', 'rins_hooks');
+
+    it('should install every matcher a hook registers for one event', async () => {
+      const hookDir = path.join(tmpDir, 'project', '.claude', 'hooks', 'guard');
+      await fs.outputJson(path.join(hookDir, 'config.json'), {
+        name: 'guard',
+        version: '1.0.0',
+        events: [
+          { event: 'PreToolUse', matcher: 'Bash', timeout: 10 },
+          { event: 'PreToolUse', matcher: 'Edit', timeout: 20 }
+        ]
+      });
+      await fs.outputFile(path.join(hookDir, 'index.js'), '');
+
+      await installer.installHooks(['guard'], { project: true });
+      await installer.installHooks(['guard'], { project: true });
+
+      const { PreToolUse } = (await fs.readJson(settingsPath)).hooks;
+      expect(PreToolUse.map(entry => [entry.matcher, entry.hooks[0].command, entry.hooks[0].timeout])).toEqual([
+        ['Bash', `node "${bin}" run --event PreToolUse --rins-hook=guard@1.0.0`, 10],
+        ['Edit', `node "${bin}" run --event PreToolUse --rins-hook=guard@1.0.0`, 20]
+      ]);
+
+      for (const declared of [{ hook: 'guard' }, { hook: 'guard', events: [{ event: 'PreToolUse' }] }]) {
+        await fs.outputJson(installer.configManager.getHookConfigPath('project'), { install: [declared] });
+        expect((await installer.planSync('project')).drift).toBe(false);
+      }
+    });
+
+    it('should run hooks for the same event and matcher from one dispatcher command', async () => {
+      await installer.installHooks(['auto-commit', 'code-formatter', 'notification'], { project: true });
+
+      const settings = await fs.readJson(settingsPath);
+      expect(settings.hooks.PostToolUse).toEqual([
+        foreignSettings.hooks.PostToolUse[0],
+        {
+          matcher: 'Edit|Write|MultiEdit',
+          hooks: [{
+            type: 'command',
+            command: `node "${bin}" run --event PostToolUse --rins-hook=auto-commit@1.0.0 --rins-hook=code-formatter@1.0.0`,
+            timeout: 30
+          }]
+        }
+      ]);
+      expect(settings.hooks.Notification[0].hooks[0].command)
+        .toBe(`node "${bin}" run --event Notification --rins-hook=notification@1.0.0`);
+
+      const status = await installer.configManager.getInstallationStatus();
+      expect(status.project.map(hook => [hook.name, hook.eventType])).toEqual([
+        ['auto-commit', 'PostToolUse'],
+        ['code-formatter', 'PostToolUse'],
+        ['notification', 'Notification']
+      ]);
+    });
+
+    it('should keep a hook\'s place when it is reinstalled and drop only its marker on uninstall', async () => {
+      await installer.installHooks(['auto-commit', 'code-formatter'], { project: true });
+      await installer.installHooks(['auto-commit'], { project: true });
+
+      let [, entry] = (await fs.readJson(settingsPath)).hooks.PostToolUse;
+      expect(entry.hooks[0].command).toMatch(/--rins-hook=auto-commit@1\.0\.0 --rins-hook=code-formatter@1\.0\.0$/);
+
+      const result = await installer.uninstallHooks(['auto-commit'], { project: true });
+
+      [, entry] = (await fs.readJson(settingsPath)).hooks.PostToolUse;
+      expect(result.hooks).toEqual([{ name: 'auto-commit', removed: 1 }]);
+      expect(entry.hooks).toEqual([{
+        type: 'command',
+        command: `node "${bin}" run --event PostToolUse --rins-hook=code-formatter@1.0.0`,
+        timeout: 30
+      }]);
+    });
+
+    it('should replace per-hook commands from earlier installs', async () => {
+      const settings = await fs.readJson(settingsPath);
+      settings.hooks.PostToolUse.push({
+        matcher: 'Edit|Write|MultiEdit',
+        hooks: [{ type: 'command', command: 'node "/opt/rins_hooks/hooks/auto-commit/index.js" --rins-hook=auto-commit@1.0.0' }]
+      });
+      await fs.outputJson(settingsPath, settings);
+
+      await installer.installHooks(['code-formatter', 'auto-commit'], { project: true });
+
+      const { hooks } = await fs.readJson(settingsPath);
+      expect(hooks.PostToolUse).toHaveLength(2);
+      expect(hooks.PostToolUse[1].hooks.map(h => h.command)).toEqual([
+        `node "${bin}" run --event PostToolUse --rins-hook=code-formatter@1.0.0 --rins-hook=auto-commit@1.0.0`
+      ]);
+    });
+  });
+
+  describe('dry runs', () => {
+    it('should preview the settings file exactly as it would be written', async () => {
+      await fs.writeFile(settingsPath, JSON.stringify(foreignSettings, null, 4));
+      const save = jest.spyOn(installer.configManager, 'saveSettings');
+
+      const result = await installer.installHooks(['notification'], { project: true, dryRun: true });
+
+      const [file] = result.files;
+      expect(save).not.toHaveBeenCalled();
+      expect(result.changed).toBe(true);
+      expect(file.before).toEqual(foreignSettings);
+      expect(file.after.hooks.Notification[0].hooks[0].command).toBe(result.hooks[0].command);
+      expect(file.diff).toContain('+        "Notification": [');
+      expect(file.diff).toContain('\\ No newline at end of file');
+
+      await installer.installHooks(['notification'], { project: true });
+      expect(await fs.readFile(settingsPath, 'utf8')).toBe(Utils.formatJson(file.after, { indent: '    ', newline: '' }));
+    });
+
+    it('should report a new settings file and no-op installs', async () => {
+      await fs.remove(settingsPath);
+
+      const first = await installer.installHooks(['auto-commit'], { project: true, dryRun: true });
+      expect(first.files[0].before).toBeNull();
+
+      await installer.installHooks(['auto-commit'], { project: true });
+      const second = await installer.installHooks(['auto-commit'], { project: true, dryRun: true });
+      expect(second.changed).toBe(false);
+      expect(second.files[0].diff).toBe('');
+    });
+  });
+
+  describe('non-interactive installs', () => {
+    const windowsOnly = {
+      name: 'auto-commit',
+      version: '1.0.0',
+      platforms: ['win32'],
+      events: [{ event: 'PostToolUse', matcher: 'Edit', timeout: 30 }],
+      path: path.join(__dirname, '..', 'hooks', 'auto-commit')
+    };
+
+    beforeEach(() => {
+      jest.spyOn(installer, 'getAvailableHooks').mockResolvedValue([windowsOnly]);
+      jest.spyOn(os, 'platform').mockReturnValue('linux');
+    });
+
+    it('should fail instead of asking about unsupported platforms', async () => {
+      await expect(installer.installHooks(['auto-commit'], { project: true }))
+        .rejects.toThrow('auto-commit not supported on linux; pass --yes to confirm');
+
+      expect(await fs.readJson(settingsPath)).toEqual(foreignSettings);
+    });
+
+    it('should install anyway with --yes', async () => {
+      const result = await installer.installHooks(['auto-commit'], { project: true, yes: true });
+
+      expect(result.changed).toBe(true);
+    });
+
+    it('should refuse interactive installs without a terminal', async () => {
+      await expect(installer.interactiveInstall({ input: false }))
+        .rejects.toThrow('name the hooks to install or use --all');
+    });
+  });
+
+  describe('declared events', () => {
+    const guard = {
+      name: 'auto-commit',
+      version: '2.0.0',
+      events: [
+        { event: 'PreToolUse', matcher: 'Bash', timeout: 5 },
+        { event: 'Stop', matcher: '', timeout: 20 }
+      ],
+      path: path.join(__dirname, '..', 'hooks', 'auto-commit')
+    };
+
+    it('should register a hook under every event it declares', async () => {
+      jest.spyOn(installer, 'getAvailableHooks').mockResolvedValue([guard]);
+
+      await installer.installHooks(['auto-commit'], { project: true });
+
+      const settings = await fs.readJson(settingsPath);
+      expect(settings.hooks.PreToolUse[0].matcher).toBe('Bash');
+      expect(settings.hooks.PreToolUse[0].hooks[0].timeout).toBe(5);
+      expect(settings.hooks.Stop[0].hooks[0].timeout).toBe(20);
+    });
+
+    it('should drop registrations for events a hook no longer declares', async () => {
+      await installer.installHooks(['auto-commit'], { project: true });
+      jest.spyOn(installer, 'getAvailableHooks').mockResolvedValue([guard]);
+
+      await installer.installHooks(['auto-commit'], { project: true });
+
+      const settings = await fs.readJson(settingsPath);
+      expect(settings.hooks.PostToolUse).toEqual(foreignSettings.hooks.PostToolUse);
+      expect(Object.keys(settings.hooks)).toEqual(['PostToolUse', 'PreToolUse', 'Stop']);
+    });
+  });
+
+  describe('portable commands', () => {
+    it('should write commands without machine-specific paths', async () => {
+      await installer.installHooks(['auto-commit'], { project: true, portable: true });
+      await installer.installHooks(['notification'], { project: true, portable: 'node_modules' });
+
+      const settings = await fs.readJson(settingsPath);
+      expect(settings.hooks.PostToolUse[1].hooks[0].command)
+        .toBe('npx --no-install rins_hooks run --event PostToolUse --rins-hook=auto-commit@1.0.0');
+      expect(settings.hooks.Notification[0].hooks[0].command)
+        .toBe('"$CLAUDE_PROJECT_DIR/node_modules/.bin/rins_hooks" run --event Notification --rins-hook=notification@1.0.0');
+
+      const status = await installer.configManager.getInstallationStatus();
+      expect(status.project.every(hook => hook.portable)).toBe(true);
+    });
+
+    it('should replace an absolute-path installation in place', async () => {
+      await installer.installHooks(['auto-commit'], { project: true });
+      await installer.installHooks(['auto-commit'], { project: true, portable: true });
+
+      const settings = await fs.readJson(settingsPath);
+      expect(settings.hooks.PostToolUse).toHaveLength(2);
+      expect((await installer.configManager.runDiagnostics())[0].status).toBe('ok');
+    });
+
+    it('should reject unknown modes before writing', async () => {
+      await expect(installer.installHooks(['auto-commit'], { project: true, portable: 'vendor' }))
+        .rejects.toThrow("Unknown portable mode 'vendor'");
+
+      expect(await fs.readJson(settingsPath)).toEqual(foreignSettings);
+    });
+  });
+
+  describe('upgrade', () => {
+    const installOld = async (version, timeout) => {
+      await installer.installHooks(['auto-commit'], { project: true });
+      const settings = await fs.readJson(settingsPath);
+      const command = settings.hooks.PostToolUse[1].hooks[0];
+      command.command = command.command.replace('@1.0.0', `@${version}`);
+      command.timeout = timeout;
+      await fs.outputJson(settingsPath, settings);
+    };
+
+    it('should rewrite outdated entries with the current metadata', async () => {
+      await installOld('0.9.0', 5);
+
+      const [plan] = await installer.upgrade({ project: true });
+
+      const settings = await fs.readJson(settingsPath);
+      expect(plan.hooks).toEqual([{ name: 'auto-commit', from: '0.9.0', to: '1.0.0', action: 'upgrade' }]);
+      expect(settings.hooks.PostToolUse[0]).toEqual(foreignSettings.hooks.PostToolUse[0]);
+      expect(settings.hooks.PostToolUse[1].hooks[0].command).toContain('--rins-hook=auto-commit@1.0.0');
+      expect(settings.hooks.PostToolUse[1].hooks[0].timeout).toBe(30);
+    });
+
+    it('should run option migrations newer than the installed version', async () => {
+      await installOld('0.9.0', 60);
+      const configPath = installer.configManager.getHookConfigPath('project');
+      await fs.outputJson(configPath, { hooks: { 'auto-commit': { prefix: 'wip: ' } } });
+      const migrate = jest.fn(({ prefix, ...options }) => ({ ...options, commitMessagePrefix: prefix }));
+      jest.spyOn(installer.registry, 'getHookMigrations').mockResolvedValue([
+        { version: '0.5.0', migrate: () => { throw new Error('already applied'); } },
+        { version: '1.0.0', migrate }
+      ]);
+
+      await installer.upgrade({ project: true });
+
+      expect(migrate).toHaveBeenCalledTimes(1);
+      expect(await fs.readJson(configPath)).toEqual({ hooks: { 'auto-commit': { commitMessagePrefix: 'wip: ' } } });
+    });
+
+    it('should keep the install mode of portable commands', async () => {
+      await installer.installHooks(['auto-commit'], { project: true, portable: 'node_modules' });
+      const settings = await fs.readJson(settingsPath);
+      settings.hooks.PostToolUse[1].hooks[0].command = settings.hooks.PostToolUse[1].hooks[0].command.replace('@1.0.0', '');
+      await fs.outputJson(settingsPath, settings);
+
+      await installer.upgrade({ project: true });
+
+      expect((await fs.readJson(settingsPath)).hooks.PostToolUse[1].hooks[0].command)
+        .toBe('"$CLAUDE_PROJECT_DIR/node_modules/.bin/rins_hooks" run --event PostToolUse --rins-hook=auto-commit@1.0.0');
+    });
+
+    it('should skip hooks installed by a newer version', async () => {
+      await installOld('2.0.0', 5);
+      const before = await fs.readJson(settingsPath);
+
+      const [plan] = await installer.upgrade({ project: true });
+
+      expect(plan.hooks[0].action).toBe('newer');
+      expect(await fs.readJson(settingsPath)).toEqual(before);
+    });
+
+    it('should not write anything on a dry run', async () => {
+      await installOld('0.9.0', 5);
+      const before = await fs.readJson(settingsPath);
+
+      const [plan] = await installer.upgrade({ project: true, dryRun: true });
+
+      expect(plan.settingsDiff).toMatch(/^\+\s+"timeout": 30$/m);
+      expect(await fs.readJson(settingsPath)).toEqual(before);
+    });
+
+    it('should leave up to date installations alone', async () => {
+      await installer.installHooks(['auto-commit'], { project: true });
+      const save = jest.spyOn(installer.configManager, 'saveSettings');
+
+      const [plan] = await installer.upgrade({ project: true });
+
+      expect(plan.hooks[0].action).toBe('current');
+      expect(save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('sync', () => {
+    const writeManifest = install => fs.outputJson(installer.configManager.getHookConfigPath('project'), { install });
+
+    it('should install, update and remove hooks to match the manifest', async () => {
+      await installer.installHooks(['auto-commit', 'code-formatter'], { project: true });
+      await writeManifest([
+        { hook: 'auto-commit', events: [{ event: 'PostToolUse', matcher: 'Write', timeout: 10 }] },
+        { hook: 'notification', version: '^1.0.0' }
+      ]);
+
+      const plan = await installer.sync({});
+
+      expect(plan.hooks.map(hook => [hook.name, hook.action])).toEqual([
+        ['auto-commit', 'update'],
+        ['notification', 'install'],
+        ['code-formatter', 'remove']
+      ]);
+      const settings = await fs.readJson(settingsPath);
+      expect(settings.model).toBe('opus');
+      expect(settings.hooks.PostToolUse).toHaveLength(2);
+      expect(settings.hooks.PostToolUse[1].matcher).toBe('Write');
+      expect(settings.hooks.PostToolUse[1].hooks[0].timeout).toBe(10);
+      expect(settings.hooks.Notification).toHaveLength(1);
+      expect((await installer.sync({ check: true })).drift).toBe(false);
+    });
+
+    it('should report drift without writing in check mode', async () => {
+      await writeManifest([{ hook: 'auto-commit' }]);
+      const save = jest.spyOn(installer.configManager, 'saveSettings');
+
+      const plan = await installer.sync({ check: true });
+
+      expect(plan.drift).toBe(true);
+      expect(save).not.toHaveBeenCalled();
+    });
+
+    it('should not count another machine\'s install location as drift', async () => {
+      await writeManifest([{ hook: 'auto-commit' }]);
+      await installer.sync({});
+      const settings = await fs.readJson(settingsPath);
+      settings.hooks.PostToolUse[1].hooks[0].command = settings.hooks.PostToolUse[1].hooks[0].command
+        .replace(/node "[^"]*"/, 'node "/home/alice/rins_hooks/bin/rins_hooks"');
+      await fs.outputJson(settingsPath, settings);
+
+      const plan = await installer.sync({ check: true });
+
+      expect(plan.drift).toBe(false);
+      expect(plan.hooks[0].action).toBe('refresh');
+    });
+
+    it('should refuse versions and events the package cannot provide', async () => {
+      await writeManifest([
+        { hook: 'auto-commit', version: '^2.0.0' },
+        { hook: 'notification', events: [{ event: 'PreToolUse' }] }
+      ]);
+
+      await expect(installer.sync({})).rejects.toThrow(
+        'auto-commit ^2.0.0 is required but rins_hooks provides 1.0.0; notification does not handle PreToolUse'
+      );
+      expect(await fs.readJson(settingsPath)).toEqual(foreignSettings);
+    });
+
+    it('should require an install list', async () => {
+      await expect(installer.sync({})).rejects.toThrow('Add an "install" list');
+    });
+  });
+
+  describe('uninstallHooks', () => {
+    it('should remove only rins_hooks entries in a single transaction', async () => {
+      await installer.installHooks(['auto-commit', 'notification'], { project: true });
+
+      await installer.uninstallHooks(['auto-commit', 'notification'], { project: true });
+
+      expect(await fs.readJson(settingsPath)).toEqual(foreignSettings);
+    });
+
+    it('should report what a dry run would remove', async () => {
+      await installer.installHooks(['auto-commit'], { project: true });
+      const before = await fs.readJson(settingsPath);
+
+      const result = await installer.uninstallHooks(['auto-commit', 'notification'], { project: true, dryRun: true });
+
+      expect(result).toMatchObject({
+        scope: 'project',
+        dryRun: true,
+        changed: true,
+        hooks: [{ name: 'auto-commit', removed: 1 }, { name: 'notification', removed: 0 }]
+      });
+      expect(result.files[0]).toMatchObject({ path: settingsPath, before, after: foreignSettings });
+      expect(await fs.readJson(settingsPath)).toEqual(before);
+    });
+
+    it('should not write anything when no hook is installed', async () => {
+      const save = jest.spyOn(installer.configManager, 'saveSettings');
+
+      await installer.uninstallHooks(['auto-commit'], { project: true });
+
+      expect(save).not.toHaveBeenCalled();
+    });
+  });
+});
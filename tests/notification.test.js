@@ -0,0 +1,43 @@
+const NotificationHook = require('../hooks/notification/index');
+
+describe('NotificationHook', () => {
+  let hook;
+
+  beforeEach(() => {
+    hook = new NotificationHook({
+      integrations: { slack: { enabled: true, webhook: 'https://hooks.slack.invalid/T000' } },
+      customCommands: { onError: 'echo failed' }
+    });
+    jest.spyOn(hook, 'sendDesktopNotification').mockResolvedValue({ success: true });
+    jest.spyOn(hook, 'sendSlackNotification').mockResolvedValue({ success: true });
+    jest.spyOn(hook, 'executeCustomCommand').mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => {
+    delete process.env.RINS_HOOKS_SELFTEST;
+    jest.restoreAllMocks();
+  });
+
+  describe('execute', () => {
+    const input = { title: 'Build', message: 'The build failed' };
+
+    it('should send desktop, integration and custom command notifications', async () => {
+      const result = await hook.execute(input);
+
+      expect(result.success).toBe(true);
+      expect(result.data.results.map(entry => entry.type)).toEqual(['desktop', 'slack', 'custom']);
+    });
+
+    it('should not notify anyone during the self-test', async () => {
+      process.env.RINS_HOOKS_SELFTEST = '1';
+
+      const result = await hook.execute(input);
+
+      expect(result.success).toBe(true);
+      expect(result.data.message).toContain('Self-test');
+      expect(hook.sendDesktopNotification).not.toHaveBeenCalled();
+      expect(hook.sendSlackNotification).not.toHaveBeenCalled();
+      expect(hook.executeCustomCommand).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,173 @@
+const HookRegistry = require('../src/registry');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+describe('HookRegistry', () => {
+  describe('hookPaths', () => {
+    let tmpDir;
+    let registry;
+
+    const writeHook = (dir, name, description = name) =>
+      fs.outputJson(path.join(dir, name, 'config.json'), { name, description, events: ['Stop'] });
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rins-hooks-registry-'));
+      registry = new HookRegistry({ cwd: path.join(tmpDir, 'project'), homedir: path.join(tmpDir, 'home') });
+    });
+
+    afterEach(async () => {
+      await fs.remove(tmpDir);
+    });
+
+    it('should find hooks in the directories listed in rins_hooks.json', async () => {
+      await fs.outputJson(path.join(tmpDir, 'project', '.claude', 'rins_hooks.json'), { hookPaths: ['team-hooks'] });
+      await fs.outputJson(path.join(tmpDir, 'home', '.claude', 'rins_hooks.json'), { hookPaths: ['~/my-hooks'] });
+      await writeHook(path.join(tmpDir, 'project', 'team-hooks'), 'team-lint');
+      await writeHook(path.join(tmpDir, 'home', 'my-hooks'), 'my-notes');
+
+      expect(await registry.getHookPaths()).toEqual([
+        path.join(tmpDir, 'home', 'my-hooks'),
+        path.join(tmpDir, 'project', 'team-hooks')
+      ]);
+      expect((await registry.getHook('team-lint')).path).toBe(path.join(tmpDir, 'project', 'team-hooks', 'team-lint'));
+      expect(await registry.getHook('my-notes')).not.toBeNull();
+      expect(await registry.getHook('auto-commit')).not.toBeNull();
+    });
+
+    it('should keep the bundled hook when a listed directory reuses its name', async () => {
+      await fs.outputJson(path.join(tmpDir, 'project', '.claude', 'rins_hooks.json'), { hookPaths: ['hooks', 'missing'] });
+      await writeHook(path.join(tmpDir, 'project', 'hooks'), 'auto-commit', 'Impostor');
+
+      const hooks = await registry.getAvailableHooks();
+      await registry.getAvailableHooks();
+
+      expect(hooks.filter(hook => hook.name === 'auto-commit')).toHaveLength(1);
+      expect((await registry.getHook('auto-commit')).description).not.toBe('Impostor');
+      expect(console.warn).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('hook sources', () => {
+    let tmpDir;
+    let projectDir;
+    let registry;
+
+    const writeHook = (dir, name, description = name) =>
+      fs.outputJson(path.join(dir, 'config.json'), { name, description, events: ['Stop'] });
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rins-hooks-registry-'));
+      projectDir = path.join(tmpDir, 'project');
+      registry = new HookRegistry({ cwd: projectDir, homedir: path.join(tmpDir, 'home') });
+    });
+
+    afterEach(async () => {
+      await fs.remove(tmpDir);
+    });
+
+    it('should find hooks in .claude/hooks and in rins-hook-* packages', async () => {
+      const nodeModules = path.join(projectDir, 'node_modules');
+      await writeHook(path.join(projectDir, '.claude', 'hooks', 'team-lint'), 'team-lint');
+      await writeHook(path.join(nodeModules, 'rins-hook-jira'), undefined);
+      await writeHook(path.join(nodeModules, '@acme', 'rins-hook-suite', 'hooks', 'acme-audit'), 'acme-audit');
+      await writeHook(path.join(nodeModules, 'left-pad', 'hooks', 'not-a-hook'), 'not-a-hook');
+
+      const hooks = await registry.getAvailableHooks();
+      const sources = Object.fromEntries(hooks.map(hook => [hook.name, hook.source]));
+
+      expect(sources).toMatchObject({
+        'auto-commit': 'builtin',
+        'team-lint': 'project',
+        jira: 'npm:rins-hook-jira',
+        'acme-audit': 'npm:@acme/rins-hook-suite'
+      });
+      expect(sources['not-a-hook']).toBeUndefined();
+      expect((await registry.getHook('jira')).path).toBe(path.join(nodeModules, 'rins-hook-jira'));
+      expect(console.warn).not.toHaveBeenCalled();
+    });
+
+    it('should use the first source for a name and record the others as shadowed', async () => {
+      await fs.outputJson(path.join(projectDir, '.claude', 'rins_hooks.json'), { hookPaths: ['.claude/hooks', 'team-hooks'] });
+      await writeHook(path.join(projectDir, '.claude', 'hooks', 'team-lint'), 'team-lint', 'Project');
+      await writeHook(path.join(projectDir, 'team-hooks', 'team-lint'), 'team-lint', 'Shared');
+      await writeHook(path.join(projectDir, 'node_modules', 'rins-hook-team-lint'), 'team-lint', 'Published');
+
+      const hook = await registry.getHook('team-lint');
+
+      expect(hook).toMatchObject({ source: 'project', description: 'Project' });
+      expect(hook.shadowed).toEqual([
+        { source: 'hookPaths', path: path.join(projectDir, 'team-hooks', 'team-lint') },
+        { source: 'npm:rins-hook-team-lint', path: path.join(projectDir, 'node_modules', 'rins-hook-team-lint') }
+      ]);
+      expect((await registry.getHookSources()).filter(source => source.source === 'hookPaths')).toHaveLength(1);
+      expect(console.warn).toHaveBeenCalledTimes(2);
+    });
+
+    it('should find hooks by name and only scan packages for names not found before them', async () => {
+      const nodeModules = path.join(projectDir, 'node_modules');
+      await writeHook(path.join(projectDir, '.claude', 'hooks', 'team-lint'), 'team-lint', 'Project');
+      await writeHook(path.join(nodeModules, 'rins-hook-team-lint'), 'team-lint', 'Published');
+      await writeHook(path.join(nodeModules, 'rins-hook-jira'), undefined);
+      jest.spyOn(registry, 'findHookPackages');
+
+      const hooks = await registry.findHooks(['team-lint', 'auto-commit']);
+
+      expect(hooks.map(hook => [hook.name, hook.source, hook.description])).toEqual([
+        ['team-lint', 'project', 'Project'],
+        ['auto-commit', 'builtin', expect.any(String)]
+      ]);
+      expect(registry.findHookPackages).not.toHaveBeenCalled();
+
+      expect((await registry.findHooks(['jira', 'missing'])).map(hook => hook.source)).toEqual(['npm:rins-hook-jira']);
+      expect(registry.findHookPackages).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('isHookPackage', () => {
+    it('should match rins-hook-* and @scope/rins-hook-* packages', () => {
+      expect(HookRegistry.isHookPackage('rins-hook-jira')).toBe(true);
+      expect(HookRegistry.isHookPackage('@acme/rins-hook-suite')).toBe(true);
+      expect(HookRegistry.isHookPackage('rins_hooks')).toBe(false);
+      expect(HookRegistry.isHookPackage('@acme/lint')).toBe(false);
+    });
+  });
+
+  describe('getAvailableHooks', () => {
+    it('should read the events declared by the bundled hooks', async () => {
+      const registry = new HookRegistry();
+      const notification = await registry.getHook('notification');
+      const autoCommit = await registry.getHook('auto-commit');
+
+      expect(registry.getHookEvents(notification)).toEqual([{ event: 'Notification', matcher: '', timeout: 10 }]);
+      expect(registry.getHookEvents(autoCommit)).toEqual([
+        { event: 'PostToolUse', matcher: 'Edit|Write|MultiEdit', timeout: 30 }
+      ]);
+    });
+  });
+
+  describe('normalizeEvents', () => {
+    it('should fall back to the top-level matcher and timeout', () => {
+      expect(HookRegistry.normalizeEvents({
+        matcher: 'Bash',
+        timeout: 15,
+        events: [{ event: 'PreToolUse' }, 'Stop', { event: 'PostToolUse', matcher: 'Edit', timeout: 5 }]
+      })).toEqual([
+        { event: 'PreToolUse', matcher: 'Bash', timeout: 15 },
+        { event: 'Stop', matcher: 'Bash', timeout: 15 },
+        { event: 'PostToolUse', matcher: 'Edit', timeout: 5 }
+      ]);
+    });
+
+    it('should register hooks without declared events for PostToolUse', () => {
+      expect(HookRegistry.normalizeEvents({ matcher: 'Write' })).toEqual([
+        { event: 'PostToolUse', matcher: 'Write', timeout: 60 }
+      ]);
+    });
+
+    it('should reject unknown events', () => {
+      expect(() => HookRegistry.normalizeEvents({ events: [{ event: 'AfterEdit' }] })).toThrow('Unknown hook event: AfterEdit');
+      expect(() => HookRegistry.normalizeEvents({ events: [] })).toThrow('non-empty array');
+    });
+  });
+});
@@ -0,0 +1,155 @@
+const SettingsRepair = require('../src/repair');
+const ConfigManager = require('../src/config');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+describe('SettingsRepair', () => {
+  let configManager;
+  let repair;
+  let tmpDir;
+
+  const hooksDir = path.join(__dirname, '..', 'hooks');
+
+  const entry = (command, matcher = 'Edit|Write|MultiEdit') => ({
+    matcher,
+    hooks: [{ type: 'command', command, timeout: 30 }]
+  });
+
+  const ownCommand = (name, script = `/opt/rins_hooks/hooks/${name}/index.js`) =>
+    ConfigManager.tagCommand(`node "${script}"`, name, '1.0.0');
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rins-hooks-repair-'));
+    configManager = new ConfigManager({
+      cwd: path.join(tmpDir, 'project'),
+      homedir: path.join(tmpDir, 'home')
+    });
+    repair = new SettingsRepair({ configManager });
+  });
+
+  afterEach(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  it('should do nothing when there are no settings files', async () => {
+    expect(await repair.repairAll()).toEqual([]);
+  });
+
+  it('should re-point rins_hooks commands whose script moved', async () => {
+    await configManager.saveSettings('project', { hooks: { PostToolUse: [entry(ownCommand('auto-commit'))] } });
+
+    const changes = await repair.repairAll();
+
+    expect(changes).toEqual([expect.objectContaining({ scope: 'project', type: 'repointed' })]);
+    const settings = await configManager.loadSettings('project');
+    const command = settings.hooks.PostToolUse[0].hooks[0].command;
+    expect(command).toContain(`node "${path.join(hooksDir, 'auto-commit', 'index.js')}"`);
+    expect(ConfigManager.getHookIdentity(command)).toMatchObject({ name: 'auto-commit', version: '1.0.0' });
+  });
+
+  it('should re-point dispatcher commands to this installation', async () => {
+    const command = ConfigManager.tagCommand(
+      ConfigManager.tagCommand('node "/opt/rins_hooks/bin/rins_hooks" run --event PostToolUse', 'auto-commit', '1.0.0'),
+      'code-formatter',
+      '1.0.0'
+    );
+    await configManager.saveSettings('project', { hooks: { PostToolUse: [entry(command)] } });
+
+    const changes = await repair.repairAll();
+
+    expect(changes).toEqual([expect.objectContaining({ type: 'repointed', message: expect.stringContaining('auto-commit, code-formatter') })]);
+    const settings = await configManager.loadSettings('project');
+    expect(settings.hooks.PostToolUse[0].hooks[0].command).toBe(
+      `node "${path.resolve(__dirname, '..', 'bin', 'rins_hooks')}" run --event PostToolUse ` +
+      '--rins-hook=auto-commit@1.0.0 --rins-hook=code-formatter@1.0.0'
+    );
+  });
+
+  it('should remove rins_hooks entries whose script no longer exists', async () => {
+    await configManager.saveSettings('project', { hooks: { Stop: [entry(ownCommand('no-such-hook'), '')] } });
+
+    const changes = await repair.repairAll();
+
+    expect(changes.map(change => change.type)).toEqual(['removed']);
+    expect(await configManager.loadSettings('project')).toEqual({});
+  });
+
+  it('should only report other commands whose script no longer exists', async () => {
+    const missing = path.join(tmpDir, 'gone.js');
+    const settings = {
+      hooks: {
+        PostToolUse: [entry(`node "${missing}"`)],
+        Stop: [entry('bash -c "/usr/bin/env true && echo hi"', '')]
+      }
+    };
+    await configManager.saveSettings('user', settings);
+
+    const changes = await repair.repairAll();
+
+    expect(changes).toEqual([
+      expect.objectContaining({ scope: 'user', type: 'unfixable', message: expect.stringContaining(missing) })
+    ]);
+    expect(await configManager.loadSettings('user')).toEqual(settings);
+  });
+
+  it('should keep a hook registered for one event with several matchers', async () => {
+    const guard = matcher => entry(ownCommand('guard', path.resolve(__dirname, '..', 'bin', 'rins_hooks')), matcher);
+    const settings = { hooks: { PreToolUse: [guard('Bash'), guard('Edit'), guard('Edit')] } };
+    await configManager.saveSettings('project', settings);
+
+    const changes = await repair.repairAll();
+
+    expect(changes).toEqual([expect.objectContaining({ type: 'deduplicated' })]);
+    expect((await configManager.loadSettings('project')).hooks.PreToolUse.map(e => e.matcher)).toEqual(['Bash', 'Edit']);
+  });
+
+  it('should keep entries pointing into node_modules and report them', async () => {
+    const script = path.join(tmpDir, 'project', 'node_modules', 'rins_hooks', 'hooks', 'auto-commit', 'index.js');
+    await configManager.saveSettings('project', { hooks: { PostToolUse: [entry(ownCommand('auto-commit', script))] } });
+
+    const changes = await repair.repairAll();
+
+    expect(changes).toEqual([expect.objectContaining({ type: 'unfixable', message: expect.stringContaining('npm install') })]);
+    const settings = await configManager.loadSettings('project');
+    expect(settings.hooks.PostToolUse[0].hooks[0].command).toContain(script);
+  });
+
+  it('should drop repeated entries and take a backup first', async () => {
+    const lint = entry('npx eslint --fix');
+    await configManager.saveSettings('local', { hooks: { PostToolUse: [lint, lint, entry('npx prettier --write')] } });
+
+    const changes = await repair.repairAll();
+
+    expect(changes).toEqual([expect.objectContaining({ scope: 'local', type: 'deduplicated' })]);
+    const settings = await configManager.loadSettings('local');
+    expect(settings.hooks.PostToolUse.map(e => e.hooks[0].command)).toEqual(['npx eslint --fix', 'npx prettier --write']);
+
+    const [backup] = await configManager.backups.listBackups(['local']);
+    expect((await fs.readJson(backup.path)).hooks.PostToolUse).toHaveLength(3);
+  });
+
+  it('should recover an unparseable settings file from the newest valid backup', async () => {
+    await configManager.saveSettings('project', { hooks: { PostToolUse: [entry('npx eslint --fix')] } });
+    const good = await configManager.backups.createBackup('project');
+    await fs.writeFile(configManager.getSettingsPath('project'), '{ "hooks": ');
+
+    const changes = await repair.repairAll();
+
+    expect(changes).toEqual([expect.objectContaining({ type: 'restored', message: expect.stringContaining(good.id) })]);
+    expect((await configManager.loadSettings('project')).hooks.PostToolUse).toHaveLength(1);
+
+    const backups = await configManager.backups.listBackups(['project']);
+    const broken = await Promise.all(backups.map(b => fs.readFile(b.path, 'utf8')));
+    expect(broken).toContain('{ "hooks": ');
+  });
+
+  it('should report an unparseable settings file without a valid backup', async () => {
+    await fs.outputFile(configManager.getSettingsPath('user'), 'not json');
+
+    const changes = await repair.repairAll();
+
+    expect(changes).toEqual([expect.objectContaining({ scope: 'user', type: 'unfixable' })]);
+    expect(await fs.readFile(configManager.getSettingsPath('user'), 'utf8')).toBe('not json');
+  });
+});
@@ -0,0 +1,157 @@
+const HookScaffold = require('../src/scaffold');
+const ConfigManager = require('../src/config');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+describe('HookScaffold', () => {
+  let configManager;
+  let scaffold;
+  let tmpDir;
+  let projectDir;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rins-hooks-scaffold-'));
+    projectDir = path.join(tmpDir, 'project');
+    configManager = new ConfigManager({ cwd: projectDir, homedir: path.join(tmpDir, 'home') });
+    scaffold = new HookScaffold({ configManager });
+
+    // Hooks outside the package require rins_hooks from the project's node_modules
+    await fs.ensureDir(path.join(projectDir, 'node_modules'));
+    await fs.symlink(path.join(__dirname, '..'), path.join(projectDir, 'node_modules', 'rins_hooks'), 'junction');
+  });
+
+  afterEach(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  it('should create a hook in the project hooks directory by default', async () => {
+    const result = await scaffold.create('lint-guard', {
+      events: ['PreToolUse', 'Stop'],
+      matcher: 'Edit|Write',
+      description: 'Don\'t let lint errors in'
+    });
+
+    const hookDir = path.join(projectDir, '.claude', 'hooks', 'lint-guard');
+    expect(result.path).toBe(hookDir);
+    expect(result.files.map(file => path.relative(hookDir, file))).toEqual([
+      'index.js',
+      'config.json',
+      'lint-guard.test.js',
+      path.join('fixtures', 'PreToolUse.json'),
+      path.join('fixtures', 'Stop.json')
+    ]);
+    // .claude/hooks is always searched, so it is not added to hookPaths
+    expect(result.registered).toMatchObject({ scope: 'project', hookPath: '.claude/hooks', added: false });
+    expect(result.warnings).toEqual([]);
+    expect(await fs.pathExists(configManager.getHookConfigPath('project'))).toBe(false);
+
+    const hook = await configManager.registry.getHook('lint-guard');
+    expect(hook.source).toBe('project');
+    expect(hook.description).toBe('Don\'t let lint errors in');
+    expect(hook.events).toEqual([
+      { event: 'PreToolUse', matcher: 'Edit|Write', timeout: 60 },
+      { event: 'Stop', matcher: '', timeout: 60 }
+    ]);
+  });
+
+  it('should generate a hook that handles its fixtures', async () => {
+    await scaffold.create('prompt-audit', { events: ['UserPromptSubmit', 'PostToolUse'], dir: 'hooks' });
+
+    const hookDir = path.join(projectDir, 'hooks', 'prompt-audit');
+    const PromptAuditHook = require(path.join(hookDir, 'index.js'));
+    const hook = new PromptAuditHook();
+
+    expect(hook.hookDir).toBe(hookDir);
+    for (const event of ['UserPromptSubmit', 'PostToolUse']) {
+      const input = await fs.readJson(path.join(hookDir, 'fixtures', `${event}.json`));
+      expect(await hook.dispatch(input)).toMatchObject({ success: true, data: { message: `Handled ${event}` } });
+    }
+  });
+
+  it('should put the test and fixtures of a bundled hook under tests/', async () => {
+    const hooksDir = path.join(tmpDir, 'package', 'hooks');
+    await fs.ensureDir(hooksDir);
+    scaffold = new HookScaffold({ configManager: new ConfigManager({ cwd: projectDir, homedir: tmpDir, hooksDir }) });
+
+    const result = await scaffold.create('session-notes', { events: ['SessionStart'], dir: hooksDir });
+
+    expect(result.registered).toBeNull();
+    expect(result.files.map(file => path.relative(path.join(tmpDir, 'package'), file))).toEqual([
+      path.join('hooks', 'session-notes', 'index.js'),
+      path.join('hooks', 'session-notes', 'config.json'),
+      path.join('tests', 'session-notes.test.js'),
+      path.join('tests', 'fixtures', 'session-notes', 'SessionStart.json')
+    ]);
+    expect(await fs.readFile(result.files[0], 'utf8')).toContain('require(\'../../src/hook-base\')');
+    expect(await fs.readFile(result.files[2], 'utf8')).toContain('require(\'../hooks/session-notes/index\')');
+  });
+
+  it('should run without rins_hooks in the project and record real events as fixtures', async () => {
+    const { spawnSync } = jest.requireActual('child_process');
+    await fs.remove(path.join(projectDir, 'node_modules'));
+
+    const result = await scaffold.create('edit-log', { matcher: 'Edit|Write' });
+    expect(result.warnings).toEqual([expect.stringContaining('npm install --save-dev rins_hooks')]);
+
+    const input = {
+      session_id: 'a1b2c3',
+      transcript_path: path.join(tmpDir, 'transcript.jsonl'),
+      cwd: projectDir,
+      hook_event_name: 'PostToolUse',
+      tool_name: 'Edit',
+      tool_input: { file_path: path.join(projectDir, 'src', 'app.js'), old_string: 'a', new_string: 'b' },
+      tool_response: { filePath: path.join(projectDir, 'src', 'app.js'), success: true }
+    };
+    const run = spawnSync(process.execPath, [path.join(__dirname, '..', 'bin', 'rins_hooks'), 'run', 'edit-log'], {
+      cwd: projectDir,
+      input: JSON.stringify(input),
+      encoding: 'utf8',
+      env: { ...process.env, HOME: path.join(tmpDir, 'home'), RINS_HOOKS_RECORD_FIXTURES: '1' }
+    });
+
+    expect(run.stderr).toBe('');
+    expect(run.status).toBe(0);
+    expect(await fs.readJson(path.join(result.path, 'fixtures', 'PostToolUse.json'))).toEqual(input);
+  });
+
+  it('should create, install and self-test a hook from the command line', async () => {
+    const { spawnSync } = jest.requireActual('child_process');
+    const cli = (...args) => {
+      const run = spawnSync(process.execPath, [path.join(__dirname, '..', 'bin', 'rins_hooks'), '--json', ...args], {
+        cwd: projectDir,
+        input: '',
+        encoding: 'utf8',
+        env: { ...process.env, HOME: path.join(tmpDir, 'home') }
+      });
+      expect(run.status).toBe(0);
+      return JSON.parse(run.stdout);
+    };
+
+    cli('create', 'foo');
+    const installed = cli('install', 'foo', '--project');
+    const tested = cli('selftest');
+
+    for (const results of [installed.selftest, tested.results]) {
+      expect(results).toEqual([expect.objectContaining({ name: 'foo', event: 'PostToolUse', parsedInput: true, passed: true })]);
+      expect(JSON.parse(results[0].stdout)).toEqual({ results: [{ hook: 'foo', message: 'Handled PostToolUse' }] });
+    }
+    expect(tested.ok).toBe(true);
+  });
+
+  it('should register a directory once', async () => {
+    const first = await scaffold.create('first-hook', { dir: 'team-hooks' });
+    const result = await scaffold.create('second-hook', { dir: 'team-hooks' });
+
+    expect(first.registered).toMatchObject({ scope: 'project', hookPath: 'team-hooks', added: true });
+    expect(result.registered.added).toBe(false);
+    expect(await configManager.loadHookConfigFile('project')).toEqual({ hookPaths: ['team-hooks'] });
+  });
+
+  it('should reject bad names, unknown events and existing hooks', async () => {
+    await expect(scaffold.create('Lint Guard')).rejects.toThrow('Invalid hook name');
+    await expect(scaffold.create('lint-guard', { events: ['AfterEdit'] })).rejects.toThrow('Unknown hook event(s): AfterEdit');
+    await expect(scaffold.create('auto-commit', { dir: 'hooks' })).rejects.toThrow('already exists');
+    expect(await fs.pathExists(path.join(projectDir, 'hooks'))).toBe(false);
+  });
+});
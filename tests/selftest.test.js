@@ -0,0 +1,179 @@
+jest.unmock('child_process');
+
+const SelfTest = require('../src/selftest');
+const ConfigManager = require('../src/config');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+describe('SelfTest', () => {
+  let configManager;
+  let selfTest;
+  let tmpDir;
+
+  // Hook scripts that read their input like a rins_hooks hook and then behave as described
+  const hookBase = JSON.stringify(path.resolve(__dirname, '..', 'src', 'hook-base'));
+  const scripts = {
+    ok: `require(${hookBase}).parseInput().then(({ hook_event_name, tool_input }) => {
+  console.log(JSON.stringify({
+    event: hook_event_name,
+    cwd: process.cwd(),
+    git: require('fs').existsSync('.git'),
+    file: tool_input && tool_input.file_path,
+    selfTest: require(${hookBase}).isSelfTest()
+  }));
+});`,
+    // Hands its input on mangled, like a wrapper that breaks the JSON
+    mangled: `const { Readable } = require('stream');
+Object.defineProperty(process, 'stdin', { value: Readable.from(['{"hook_event_name":']) });
+require(${hookBase}).parseInput().catch(error => { console.error(error.message); process.exit(1); });`,
+    text: 'process.stdin.resume(); process.stdin.on(\'end\', () => console.log(\'done\'));',
+    crash: 'console.error(\'something broke\'); process.exit(1);',
+    slow: 'setTimeout(() => {}, 20000);'
+  };
+
+  const entry = (name, options = {}) => ({
+    matcher: options.matcher || 'Edit|Write',
+    hooks: [{
+      type: 'command',
+      command: ConfigManager.tagCommand(`node "${path.join(tmpDir, 'scripts', `${options.script || 'ok'}.js`)}"`, name, '1.0.0'),
+      timeout: options.timeout || 10
+    }]
+  });
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rins-hooks-selftest-test-'));
+    configManager = new ConfigManager({
+      cwd: path.join(tmpDir, 'project'),
+      homedir: path.join(tmpDir, 'home')
+    });
+    selfTest = new SelfTest({ configManager });
+
+    for (const [name, source] of Object.entries(scripts)) {
+      await fs.outputFile(path.join(tmpDir, 'scripts', `${name}.js`), source);
+    }
+  });
+
+  afterEach(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  describe('createPayload', () => {
+    it('should target the sample file with the first tool named by the matcher', () => {
+      const payload = SelfTest.createPayload('PostToolUse', 'Edit|Write|MultiEdit', '/tmp/work');
+
+      expect(payload).toMatchObject({
+        hook_event_name: 'PostToolUse',
+        cwd: '/tmp/work',
+        tool_name: 'Edit',
+        tool_input: { file_path: path.join('/tmp/work', 'selftest.js') },
+        tool_response: { success: true }
+      });
+    });
+
+    it('should fill in the fields of other events', () => {
+      expect(SelfTest.createPayload('PreToolUse', '.*', '/tmp/work').tool_name).toBe('Write');
+      expect(SelfTest.createPayload('Notification', '', '/tmp/work').message).toContain('self-test');
+      expect(SelfTest.createPayload('Stop', '', '/tmp/work').stop_hook_active).toBe(false);
+      expect(SelfTest.createPayload('SessionStart', '', '/tmp/work').source).toBe('startup');
+    });
+  });
+
+  describe('run', () => {
+    it('should run the installed command in a throwaway git repository', async () => {
+      await configManager.saveSettings('project', { hooks: { PostToolUse: [entry('lint')] } });
+
+      const [result] = await selfTest.run();
+
+      expect(result).toMatchObject({
+        scope: 'project',
+        name: 'lint',
+        event: 'PostToolUse',
+        passed: true,
+        parsedInput: true,
+        exitCode: 0,
+        timedOut: false,
+        validOutput: true
+      });
+
+      const output = JSON.parse(result.stdout);
+      expect(output.event).toBe('PostToolUse');
+      expect(output.git).toBe(true);
+      expect(output.cwd).not.toBe(configManager.pathOptions.cwd);
+      expect(output.file).toBe(path.join(output.cwd, 'selftest.js'));
+      expect(output.selfTest).toBe(true);
+      expect(await fs.pathExists(output.cwd)).toBe(false);
+    });
+
+    it('should report failing commands', async () => {
+      await configManager.saveSettings('project', {
+        hooks: {
+          PostToolUse: [
+            entry('text', { script: 'text' }),
+            entry('crash', { script: 'crash' }),
+            entry('mangled', { script: 'mangled' })
+          ],
+          Stop: [entry('slow', { script: 'slow', matcher: '', timeout: 1 })]
+        }
+      });
+
+      const results = await selfTest.run();
+      const byName = Object.fromEntries(results.map(result => [result.name, result]));
+
+      expect(results.every(result => !result.passed)).toBe(true);
+      expect(byName.text).toMatchObject({ exitCode: 0, parsedInput: null, validOutput: false, message: 'printed output that is not valid JSON' });
+      expect(byName.crash).toMatchObject({ exitCode: 1, message: 'exited with status 1: something broke' });
+      expect(byName.mangled).toMatchObject({ parsedInput: false, message: expect.stringMatching(/^could not parse the event input: /) });
+      expect(byName.slow).toMatchObject({ timedOut: true, message: 'did not finish within its 1s timeout' });
+      expect(byName.slow.durationMs).toBeLessThan(5000);
+    });
+
+    it('should only test the requested scopes and hooks', async () => {
+      await configManager.saveSettings('project', { hooks: { PostToolUse: [entry('lint'), entry('format')] } });
+      await configManager.saveSettings('user', { hooks: { PostToolUse: [entry('format')] } });
+
+      const results = await selfTest.run({ scopes: ['project'], hooks: ['format'] });
+
+      expect(results.map(result => [result.scope, result.name])).toEqual([['project', 'format']]);
+    });
+
+    it('should run hooks from the project\'s .claude/hooks through the dispatcher', async () => {
+      const hookDir = path.join(tmpDir, 'project', '.claude', 'hooks', 'guard');
+      await fs.outputJson(path.join(hookDir, 'config.json'), {
+        name: 'guard',
+        version: '1.0.0',
+        events: [{ event: 'PreToolUse', matcher: 'Bash', timeout: 10 }]
+      });
+      await fs.outputFile(path.join(hookDir, 'index.js'), `const HookBase = require(${hookBase});
+
+module.exports = class extends HookBase {
+  constructor(config = {}) {
+    super('guard', config, __dirname);
+  }
+
+  onPreToolUse() {
+    return this.allow('checked');
+  }
+};
+`);
+      const bin = path.resolve(__dirname, '..', 'bin', 'rins_hooks');
+      const command = ConfigManager.tagCommand(`node "${bin}" run --event PreToolUse`, 'guard', '1.0.0');
+      await configManager.saveSettings('project', {
+        hooks: { PreToolUse: [{ matcher: 'Bash', hooks: [{ type: 'command', command, timeout: 10 }] }] }
+      });
+
+      const [result] = await selfTest.run();
+
+      expect(result).toMatchObject({ name: 'guard', passed: true, parsedInput: true, stderr: '' });
+      expect(JSON.parse(result.stdout).hookSpecificOutput.permissionDecision).toBe('allow');
+    });
+
+    it('should not run foreign commands', async () => {
+      await configManager.saveSettings('project', {
+        hooks: { PostToolUse: [{ matcher: 'Edit', hooks: [{ type: 'command', command: 'exit 1' }] }] }
+      });
+
+      expect(await selfTest.run()).toEqual([]);
+    });
+  });
+});
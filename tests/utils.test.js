@@ -231,6 +231,14 @@ describe('Utils', () => {
     });
   });
 
+  describe('detectJsonFormat', () => {
+    it('should detect indentation and trailing newline', () => {
+      expect(Utils.detectJsonFormat('{\n\t"a": 1\n}')).toEqual({ indent: '\t', newline: '' });
+      expect(Utils.detectJsonFormat('{\n    "a": 1\n}\n')).toEqual({ indent: '    ', newline: '\n' });
+      expect(Utils.detectJsonFormat('')).toEqual({ indent: 2, newline: '\n' });
+    });
+  });
+
   describe('getInstallationInstructions', () => {
     it('should return installation instructions for known tools', () => {
       const gitInstructions = utils.getInstallationInstructions('git');
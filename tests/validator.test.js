@@ -0,0 +1,117 @@
+const ConfigValidator = require('../src/validator');
+const HookRegistry = require('../src/registry');
+
+describe('ConfigValidator', () => {
+  let validator;
+
+  beforeEach(() => {
+    validator = new ConfigValidator();
+  });
+
+  describe('hook schemas', () => {
+    it('should accept the default configuration of every bundled hook', async () => {
+      const hooks = await new HookRegistry().getAvailableHooks();
+
+      for (const hook of hooks) {
+        expect(await validator.validateHookOptions(hook.name, hook.defaultConfig)).toEqual([]);
+      }
+    });
+  });
+
+  describe('validateSettings', () => {
+    it('should accept valid settings and ignore settings other than hooks', () => {
+      const settings = {
+        model: 'opus',
+        hooks: {
+          PostToolUse: [
+            { matcher: 'Edit|Write', hooks: [{ type: 'command', command: 'npx eslint --fix', timeout: 30 }] }
+          ]
+        }
+      };
+
+      expect(validator.validateSettings(settings)).toEqual([]);
+    });
+
+    it('should report exact paths of invalid values', () => {
+      const settings = {
+        hooks: {
+          PostTooluse: [],
+          PostToolUse: [
+            { matcher: 'Edit|(Write', hooks: [{ type: 'command', command: 'true', timeout: 9000 }] },
+            { hooks: [{ type: 'command', timeout: '30' }] }
+          ]
+        }
+      };
+
+      const errors = validator.validateSettings(settings);
+
+      expect(errors).toEqual(expect.arrayContaining([
+        { path: 'hooks.PostTooluse', message: 'unknown key' },
+        { path: 'hooks.PostToolUse[0].matcher', message: expect.stringContaining('Unterminated group') },
+        { path: 'hooks.PostToolUse[0].hooks[0].timeout', message: 'timeout must be at most 600 seconds' },
+        { path: 'hooks.PostToolUse[1].hooks[0]', message: "must have required property 'command'" },
+        { path: 'hooks.PostToolUse[1].hooks[0].timeout', message: 'must be number' }
+      ]));
+      expect(errors).toHaveLength(5);
+    });
+  });
+
+  describe('validateHookConfigFile', () => {
+    it('should validate hook options against their schemas', async () => {
+      const errors = await validator.validateHookConfigFile({
+        hooks: {
+          'auto-commit': { maxCommitMesageLength: 200, branchRestrictions: 'main' },
+          'code-formatter': { formatters: { '.vue': false } },
+          'not-a-hook': {}
+        }
+      });
+
+      expect(errors).toEqual([
+        { path: 'hooks.auto-commit.maxCommitMesageLength', message: 'unknown key' },
+        { path: 'hooks.auto-commit.branchRestrictions', message: 'must be array' },
+        { path: 'hooks.code-formatter.formatters[.vue]', message: 'must be string' },
+        { path: 'hooks.not-a-hook', message: "unknown hook 'not-a-hook'" }
+      ]);
+    });
+
+    it('should validate pipelines and unknown top-level keys', async () => {
+      const errors = await validator.validateHookConfigFile({
+        pipeline: {},
+        pipelines: {
+          PostToolUse: [{ matcher: '*(', hooks: ['code-formatter', 'formatter'] }]
+        }
+      });
+
+      expect(errors).toEqual([
+        { path: 'pipeline', message: 'unknown key' },
+        { path: 'pipelines.PostToolUse[0].matcher', message: expect.stringContaining('Nothing to repeat') },
+        { path: 'pipelines.PostToolUse[0].hooks[1]', message: "unknown hook 'formatter'" }
+      ]);
+    });
+
+    it('should validate the install manifest', async () => {
+      const errors = await validator.validateHookConfigFile({
+        install: [
+          { hook: 'auto-commit', version: '^1.0.0', events: [{ event: 'PostToolUse', timeout: 10 }] },
+          { hook: 'auto-commit' },
+          { hook: 'formatter', version: 'latest!' },
+          { hook: 'notification', events: [{ event: 'Notify' }] }
+        ]
+      });
+
+      expect(errors).toEqual([
+        { path: 'install[3].events[0].event', message: expect.stringContaining('must be equal to one of the allowed values') },
+        { path: 'install[1].hook', message: "'auto-commit' is listed more than once" },
+        { path: 'install[2].hook', message: "unknown hook 'formatter'" },
+        { path: 'install[2].version', message: "invalid version range 'latest!'" }
+      ]);
+    });
+  });
+
+  describe('joinPath', () => {
+    it('should bracket indexes and keys containing dots', () => {
+      expect(ConfigValidator.joinPath('hooks', ['PostToolUse', '0', 'matcher'])).toBe('hooks.PostToolUse[0].matcher');
+      expect(ConfigValidator.joinPath('', ['formatters', '.js'])).toBe('formatters[.js]');
+    });
+  });
+});